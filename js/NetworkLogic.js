@@ -1,9 +1,214 @@
+// Distancias administrativas por origen de la ruta (menor = preferida)
+const ADMIN_DISTANCE = {
+    'C': 0,
+    'S': 1,
+    'O': 110,
+    'R': 120
+};
+
 class NetworkUtils {
+    static BROADCAST_MAC = 'ffff.ffff.ffff';
+
     // Convierte IP "192.168.1.1" a número de 32 bits
     static ipToLong(ip) {
         return ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet, 10), 0) >>> 0;
     }
 
+    // Convierte un número de 32 bits a IP "192.168.1.1"
+    static longToIp(long) {
+        return [long >>> 24, (long >>> 16) & 255, (long >>> 8) & 255, long & 255].join('.');
+    }
+
+    // Verifica el formato decimal punteado (4 octetos entre 0 y 255). Sin ceros a la izquierda
+    // ni espacios: las direcciones se comparan como texto, "01.2.3.4" nunca coincidiría con "1.2.3.4"
+    static isValidIp(ip) {
+        if (typeof ip !== 'string') return false;
+        const octets = ip.split('.');
+        return octets.length === 4 && octets.every(o => /^(0|[1-9]\d{0,2})$/.test(o) && parseInt(o, 10) <= 255);
+    }
+
+    // Verifica que la máscara sea válida y contigua (unos seguidos de ceros)
+    static isValidMask(mask) {
+        if (!this.isValidIp(mask)) return false;
+        const hostBits = ~this.ipToLong(mask) >>> 0;
+        return (hostBits & (hostBits + 1)) === 0;
+    }
+
+    // Máscara a partir de la longitud de prefijo (24 -> "255.255.255.0")
+    static prefixToMask(prefix) {
+        return this.longToIp(prefix === 0 ? 0 : (0xFFFFFFFF << (32 - prefix)) >>> 0);
+    }
+
+    // Interpreta notación CIDR "192.168.1.10/24" -> { ip, mask } (null si no es CIDR válido)
+    static parseCidr(text) {
+        const match = String(text).trim().match(/^([\d.]+)\/(\d{1,2})$/);
+        if (!match || !this.isValidIp(match[1])) return null;
+        const prefix = parseInt(match[2], 10);
+        if (prefix > 32) return null;
+        return { ip: match[1], mask: this.prefixToMask(prefix) };
+    }
+
+    // Cuenta los bits de red de una máscara ("255.255.255.0" -> 24)
+    static maskToPrefix(mask) {
+        let long = this.ipToLong(mask);
+        let prefix = 0;
+        while (long & 0x80000000) {
+            prefix++;
+            long = (long << 1) >>> 0;
+        }
+        return prefix;
+    }
+
+    // Máscara por clase de la dirección (A: /8, B: /16, C: /24)
+    static classfulMask(ip) {
+        const firstOctet = parseInt(ip.split('.')[0], 10);
+        if (firstOctet < 128) return '255.0.0.0';
+        if (firstOctet < 192) return '255.255.0.0';
+        return '255.255.255.0';
+    }
+
+    // Dirección de red a partir de una IP y su máscara
+    static networkAddress(ip, mask) {
+        return this.longToIp((this.ipToLong(ip) & this.ipToLong(mask)) >>> 0);
+    }
+
+    // Dirección de broadcast de la subred
+    static broadcastAddress(ip, mask) {
+        return this.longToIp((this.ipToLong(ip) | ~this.ipToLong(mask)) >>> 0);
+    }
+
+    // Máscara wildcard (inversa) usada por OSPF y las ACL ("255.255.255.0" -> "0.0.0.255")
+    static wildcardMask(mask) {
+        return this.longToIp(~this.ipToLong(mask) >>> 0);
+    }
+
+    // Cantidad de hosts utilizables con un prefijo (/31 punto a punto y /32 host único)
+    static hostCount(prefix) {
+        if (prefix >= 31) return 2 ** (32 - prefix);
+        return 2 ** (32 - prefix) - 2;
+    }
+
+    // Prefijo más largo con capacidad para `hosts` hosts, como mínimo un /30 (null si no cabe en IPv4)
+    static prefixForHosts(hosts) {
+        for (let prefix = 30; prefix >= 0; prefix--) {
+            if (this.hostCount(prefix) >= hosts) return prefix;
+        }
+        return null;
+    }
+
+    // Primera y última dirección utilizables de la subred -> { first, last }
+    // (tantas como hostCount: /31 y /32 no reservan red ni broadcast)
+    static hostRange(ip, mask) {
+        const prefix = this.maskToPrefix(mask);
+        const hosts = this.hostCount(prefix);
+        const network = this.ipToLong(this.networkAddress(ip, mask));
+        const first = hosts === 2 ** (32 - prefix) ? network : network + 1;
+        return { first: this.longToIp(first), last: this.longToIp(first + hosts - 1) };
+    }
+
+    // Resumen completo de la subred a la que pertenece ip/mask (calculadora de subredes)
+    static subnetInfo(ip, mask) {
+        const prefix = this.maskToPrefix(mask);
+        const range = this.hostRange(ip, mask);
+        return {
+            network: this.networkAddress(ip, mask),
+            broadcast: this.broadcastAddress(ip, mask),
+            mask,
+            prefix,
+            wildcard: this.wildcardMask(mask),
+            firstHost: range.first,
+            lastHost: range.last,
+            hosts: this.hostCount(prefix)
+        };
+    }
+
+    // Plan VLSM: reparte el bloque base entre las subredes pedidas ([{ name, hosts }]),
+    // de mayor a menor para que cada una quede alineada a su tamaño.
+    // Devuelve { subnets: [{ name, required, ...subnetInfo }], error } (error = '' si todo cabe)
+    static planVlsm(baseIp, basePrefix, requirements) {
+        const base = this.ipToLong(this.networkAddress(baseIp, this.prefixToMask(basePrefix)));
+        const end = base + 2 ** (32 - basePrefix);
+        const ordered = [...requirements].sort((a, b) => b.hosts - a.hosts);
+        const subnets = [];
+        let cursor = base;
+
+        for (const req of ordered) {
+            const prefix = this.prefixForHosts(req.hosts);
+            if (prefix === null || prefix < basePrefix) {
+                return { subnets, error: `${req.name} (${req.hosts} hosts) no cabe en un /${basePrefix}` };
+            }
+            if (cursor + 2 ** (32 - prefix) > end) {
+                return { subnets, error: `No queda espacio en el bloque para ${req.name} (${req.hosts} hosts)` };
+            }
+            subnets.push({ name: req.name, required: req.hosts, ...this.subnetInfo(this.longToIp(cursor), this.prefixToMask(prefix)) });
+            cursor += 2 ** (32 - prefix);
+        }
+        return { subnets, error: '' };
+    }
+
+    // Valida una dirección de host con su máscara. Devuelve null si es válida o
+    // { field: 'ip' | 'mask', message } con el motivo del rechazo
+    static validateHostAddress(ip, mask) {
+        if (!this.isValidIp(ip)) return { field: 'ip', message: 'Dirección IP mal formada' };
+        if (!mask) return { field: 'mask', message: 'Falta la máscara de subred' };
+        if (!this.isValidMask(mask)) return { field: 'mask', message: 'Máscara inválida (los bits de red deben ser contiguos)' };
+
+        const prefix = this.maskToPrefix(mask);
+        if (prefix === 0) return { field: 'mask', message: 'Una interfaz no puede usar la máscara /0' };
+        const firstOctet = parseInt(ip.split('.')[0], 10);
+        if (firstOctet === 0 || firstOctet === 127 || firstOctet >= 224) {
+            return { field: 'ip', message: 'Dirección reservada, no utilizable por un host' };
+        }
+        // Las redes /31 y /32 no tienen direcciones de red ni de broadcast
+        if (prefix <= 30) {
+            if (ip === this.networkAddress(ip, mask)) return { field: 'ip', message: 'Es la dirección de red de la subred' };
+            if (ip === this.broadcastAddress(ip, mask)) return { field: 'ip', message: 'Es la dirección de broadcast de la subred' };
+        }
+        return null;
+    }
+
+    // Verifica si dos subredes se solapan (la más grande contiene a la otra)
+    static subnetsOverlap(ip1, mask1, ip2, mask2) {
+        const widerMask = this.maskToPrefix(mask1) <= this.maskToPrefix(mask2) ? mask1 : mask2;
+        return this.isSameSubnet(ip1, ip2, widerMask);
+    }
+
+    // Genera una MAC determinista (formato Cisco "00d0.bc00.0101") por dispositivo e interfaz
+    static generateMac(deviceId, index) {
+        const bytes = [0x00, 0xd0, 0xbc, (deviceId >>> 8) & 255, deviceId & 255, index & 255];
+        const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 4)}.${hex.slice(4, 8)}.${hex.slice(8, 12)}`;
+    }
+
+    // Interpreta una lista de VLANs ("all", "10,20,30-35") -> 'all' | [ids] | null si es inválida
+    static parseVlanList(text) {
+        const value = String(text).trim().toLowerCase();
+        if (value === '' || value === 'all') return 'all';
+        const ids = [];
+        for (const part of value.split(',')) {
+            const range = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+            if (!range) return null;
+            const from = parseInt(range[1], 10);
+            const to = range[2] ? parseInt(range[2], 10) : from;
+            if (from < 1 || to > 4094 || from > to) return null;
+            for (let id = from; id <= to; id++) if (!ids.includes(id)) ids.push(id);
+        }
+        return ids.sort((a, b) => a - b);
+    }
+
+    // Formatea una lista de VLANs compactando rangos ([10, 11, 12, 20] -> "10-12,20")
+    static formatVlanList(list) {
+        if (list === 'all') return 'all';
+        const parts = [];
+        for (let i = 0; i < list.length; i++) {
+            let j = i;
+            while (j + 1 < list.length && list[j + 1] === list[j] + 1) j++;
+            parts.push(j > i ? `${list[i]}-${list[j]}` : `${list[i]}`);
+            i = j;
+        }
+        return parts.join(',');
+    }
+
     // Verifica si dos IPs están en la misma red
     static isSameSubnet(ip1, ip2, mask) {
         const longIp1 = this.ipToLong(ip1);
@@ -11,16 +216,645 @@ class NetworkUtils {
         const longMask = this.ipToLong(mask);
         return (longIp1 & longMask) === (longIp2 & longMask);
     }
+
+    // --- IPv6 ---
+
+    // Distingue IPv6 de IPv4 por la notación con dos puntos
+    static isIpv6(ip) {
+        return String(ip).includes(':');
+    }
+
+    // Expande una IPv6 (admite "::") a sus 8 grupos de 16 bits; null si es inválida
+    static parseIpv6(ip) {
+        const text = String(ip).trim().toLowerCase();
+        const halves = text.split('::');
+        if (halves.length > 2) return null;
+
+        const toGroups = part => part === '' ? [] : part.split(':');
+        const head = toGroups(halves[0]);
+        const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+        const missing = 8 - head.length - tail.length;
+        if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+        const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+        if (groups.some(g => !/^[0-9a-f]{1,4}$/.test(g))) return null;
+        return groups.map(g => parseInt(g, 16));
+    }
+
+    static isValidIpv6(ip) {
+        return this.parseIpv6(ip) !== null;
+    }
+
+    // Forma canónica (RFC 5952): minúsculas, sin ceros a la izquierda y "::" en la racha de ceros más larga
+    static formatIpv6(groups) {
+        let bestStart = -1;
+        let bestLength = 1;
+        for (let i = 0; i < 8; i++) {
+            let end = i;
+            while (end < 8 && groups[end] === 0) end++;
+            if (end - i > bestLength) {
+                bestStart = i;
+                bestLength = end - i;
+            }
+        }
+        const hex = groups.map(g => g.toString(16));
+        if (bestStart === -1) return hex.join(':');
+        return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+    }
+
+    // "2001:DB8:0:0::1" -> "2001:db8::1" (null si es inválida)
+    static normalizeIpv6(ip) {
+        const groups = this.parseIpv6(ip);
+        return groups ? this.formatIpv6(groups) : null;
+    }
+
+    // Interpreta "2001:db8::1/64" -> { ip, prefixLength } con la IP normalizada (null si es inválida)
+    static parseIpv6Cidr(text) {
+        const match = String(text).trim().match(/^([0-9a-fA-F:]+)\/(\d{1,3})$/);
+        if (!match) return null;
+        const ip = this.normalizeIpv6(match[1]);
+        const prefixLength = parseInt(match[2], 10);
+        if (!ip || prefixLength > 128) return null;
+        return { ip, prefixLength };
+    }
+
+    // Prefijo de red IPv6 ("2001:db8:1::10", 64 -> "2001:db8:1::")
+    static ipv6Network(ip, prefixLength) {
+        const groups = this.parseIpv6(ip).map((group, i) => {
+            const bits = Math.min(Math.max(prefixLength - i * 16, 0), 16);
+            return group & ((0xFFFF << (16 - bits)) & 0xFFFF);
+        });
+        return this.formatIpv6(groups);
+    }
+
+    static isSameIpv6Subnet(ip1, ip2, prefixLength) {
+        return this.ipv6Network(ip1, prefixLength) === this.ipv6Network(ip2, prefixLength);
+    }
+
+    static ipv6SubnetsOverlap(ip1, prefix1, ip2, prefix2) {
+        return this.isSameIpv6Subnet(ip1, ip2, Math.min(prefix1, prefix2));
+    }
+
+    // Identificador de interfaz EUI-64: MAC partida por "fffe" e invirtiendo el bit U/L
+    static eui64(mac) {
+        const bytes = mac.replace(/\./g, '').match(/../g).map(b => parseInt(b, 16));
+        bytes[0] ^= 0x02;
+        const id = [...bytes.slice(0, 3), 0xff, 0xfe, ...bytes.slice(3)];
+        return [0, 2, 4, 6].map(i => (id[i] << 8) | id[i + 1]);
+    }
+
+    // Dirección link-local (fe80::/64 + EUI-64) que toda interfaz IPv6 genera sola
+    static linkLocalFromMac(mac) {
+        return this.formatIpv6([0xfe80, 0, 0, 0, ...this.eui64(mac)]);
+    }
+
+    // Dirección SLAAC: prefijo /64 anunciado por el router + EUI-64 de la interfaz
+    static slaacAddress(prefix, mac) {
+        return this.formatIpv6([...this.parseIpv6(prefix).slice(0, 4), ...this.eui64(mac)]);
+    }
+
+    static isLinkLocalIpv6(ip) {
+        const groups = this.parseIpv6(ip);
+        return !!groups && (groups[0] & 0xffc0) === 0xfe80;
+    }
+
+    // Valida una dirección IPv6 de host con su prefijo. Devuelve null o el motivo del rechazo
+    static validateIpv6HostAddress(ip, prefixLength) {
+        const groups = this.parseIpv6(ip);
+        if (!groups) return 'Dirección IPv6 mal formada';
+        if (!(prefixLength >= 1 && prefixLength <= 128)) return 'Longitud de prefijo inválida (1-128)';
+        if (groups.every(g => g === 0)) return 'La dirección no especificada (::) no es utilizable';
+        if (groups.slice(0, 7).every(g => g === 0) && groups[7] === 1) return 'La dirección de loopback (::1) no es utilizable';
+        if ((groups[0] & 0xff00) === 0xff00) return 'Las direcciones multicast no se asignan a interfaces';
+        if (this.isLinkLocalIpv6(ip)) return 'La dirección link-local se genera automáticamente';
+        return null;
+    }
 }
 
 class Interface {
-    constructor(name, type = 'ethernet', ip = '', mask = '') {
+    constructor(name, type = 'ethernet', ip = '', mask = '', mac = '') {
         this.name = name;
         this.type = type; // 'ethernet', 'serial', 'console'
         this.ip = ip;
         this.mask = mask;
+        this.mac = mac;
         this.connectedDeviceId = null;
         this.connectedInterfaceName = null;
+        this.shutdown = false; // Administratively down ('shutdown')
+        this.linkFailed = false; // Cable cut (set on both ends)
+
+        // Cable plugged in: 'straight', 'crossover', 'serial', 'console' (null: cabled before cable types)
+        this.cable = null;
+        this.serialRole = null; // 'DCE' or 'DTE' end of a serial cable
+        this.clockRate = 0; // 'clock rate' in bps, required on the DCE end
+
+        this.dhcp = false; // Address obtained through DHCP (hosts)
+        this.helperAddress = ''; // 'ip helper-address' DHCP relay target (routers)
+        this.aclIn = null; // 'ip access-group <n> in' (routers)
+        this.aclOut = null; // 'ip access-group <n> out' (routers)
+        this.natRole = ''; // 'inside' / 'outside' ('ip nat inside|outside', routers)
+
+        // IPv6 (dual stack): one global address plus the automatic link-local
+        this.ipv6 = ''; // Normalized global unicast address
+        this.ipv6Prefix = 64; // Prefix length of ipv6
+        this.ipv6Autoconfig = false; // Address built through SLAAC (hosts)
+
+        // Subinterfaces (e.g. FastEthernet0/0.10) ride on a physical interface
+        this.parentName = null; // Physical interface name
+        this.encapsulationVlan = null; // 'encapsulation dot1Q <vlan>'
+
+        // Switchport settings (Switch ports only)
+        this.mode = 'access'; // 'access', 'trunk'
+        this.accessVlan = 1;
+        this.allowedVlans = 'all'; // 'all' or list of VLAN IDs (trunk)
+        this.nativeVlan = 1; // Untagged VLAN on a trunk
+    }
+
+    isVlanAllowed(vlan) {
+        return this.allowedVlans === 'all' || this.allowedVlans.includes(vlan);
+    }
+
+    // fe80::/64 address derived from the MAC (EUI-64); subinterfaces share their parent's
+    get linkLocal() {
+        return this.type === 'console' || !this.mac ? '' : NetworkUtils.linkLocalFromMac(this.mac);
+    }
+
+    // True if ip is one of the IPv4/IPv6 addresses of this interface
+    hasAddress(ip) {
+        return ip === this.ip || (NetworkUtils.isIpv6(ip) && (ip === this.ipv6 || ip === this.linkLocal));
+    }
+}
+
+class Route {
+    constructor(code, network, mask, nextHop = '', exitInterface = '', distance = ADMIN_DISTANCE[code], metric = 0) {
+        this.code = code; // 'C', 'S', 'R', 'O'
+        this.network = network;
+        this.mask = mask; // Dotted mask (IPv4) or prefix length (IPv6)
+        this.nextHop = nextHop; // IP of the next router ('' for connected / exit-interface routes)
+        this.exitInterface = exitInterface; // Interface name ('' when only next hop is given)
+        this.distance = distance;
+        this.metric = metric;
+        this.age = 0; // Update intervals since last refresh (dynamic routes)
+    }
+
+    get isIpv6() {
+        return NetworkUtils.isIpv6(this.network);
+    }
+
+    // True if destination IP falls inside this route's network (same address family only)
+    matches(ip) {
+        if (NetworkUtils.isIpv6(ip) !== this.isIpv6) return false;
+        return this.isIpv6
+            ? NetworkUtils.isSameIpv6Subnet(ip, this.network, this.mask)
+            : NetworkUtils.isSameSubnet(ip, this.network, this.mask);
+    }
+
+    get prefixLength() {
+        return this.isIpv6 ? this.mask : NetworkUtils.maskToPrefix(this.mask);
+    }
+}
+
+class RipProcess {
+    static INFINITY = 16;
+    static INVALID_AFTER = 6; // 180s invalid timer / 30s update interval
+    static FLUSH_AFTER = 8; // 240s flush timer / 30s update interval
+
+    constructor() {
+        this.enabled = false;
+        this.version = 2;
+        this.networks = []; // 'network' statements (classful)
+        this.splitHorizon = true;
+        this.routes = []; // Learned Route entries with code 'R' (metric 16 = unreachable)
+    }
+
+    addNetwork(network) {
+        const classful = NetworkUtils.networkAddress(network, NetworkUtils.classfulMask(network));
+        if (this.networks.includes(classful)) return false;
+        this.networks.push(classful);
+        return true;
+    }
+
+    removeNetwork(network) {
+        this.networks = this.networks.filter(n => n !== network);
+    }
+
+    // True if an interface IP is covered by one of the network statements
+    coversIp(ip) {
+        return this.networks.some(n => NetworkUtils.isSameSubnet(ip, n, NetworkUtils.classfulMask(n)));
+    }
+
+    getRoute(network, mask) {
+        return this.routes.find(r => r.network === network && r.mask === mask);
+    }
+}
+
+class OspfProcess {
+    static REFERENCE_BANDWIDTH = 100; // Mbps (IOS default)
+
+    constructor() {
+        this.enabled = false;
+        this.processId = 1;
+        this.routerId = ''; // Manual router-id ('' = highest interface IP)
+        this.networks = []; // 'network <addr> <wildcard> area 0' statements: { network, wildcard, area }
+    }
+
+    addNetwork(network, wildcard, area = 0) {
+        if (this.networks.some(n => n.network === network && n.wildcard === wildcard)) return false;
+        this.networks.push({ network, wildcard, area });
+        return true;
+    }
+
+    removeNetwork(index) {
+        this.networks.splice(index, 1);
+    }
+
+    // True if an interface IP matches a network statement (wildcard bits are ignored)
+    coversIp(ip) {
+        return this.networks.some(n => {
+            const care = (~NetworkUtils.ipToLong(n.wildcard)) >>> 0;
+            return ((NetworkUtils.ipToLong(ip) & care) >>> 0) === ((NetworkUtils.ipToLong(n.network) & care) >>> 0);
+        });
+    }
+
+    // Cost = reference bandwidth / interface bandwidth (inferred from the interface type)
+    static interfaceCost(iface) {
+        let bandwidth = 10;
+        if (iface.type === 'serial') bandwidth = 1.544;
+        else if (iface.name.startsWith('GigabitEthernet')) bandwidth = 1000;
+        else if (iface.name.startsWith('FastEthernet')) bandwidth = 100;
+        return Math.max(1, Math.floor(OspfProcess.REFERENCE_BANDWIDTH / bandwidth));
+    }
+}
+
+class DhcpServer {
+    constructor() {
+        this.enabled = false;
+        this.pools = []; // { name, startIp, endIp, mask, gateway, dnsServer, leaseTime (s) }
+        this.excluded = []; // 'ip dhcp excluded-address' ranges: { from, to }
+        this.leases = []; // Bindings: { ip, mac, hostname, pool, expires }
+    }
+
+    addPool(pool) {
+        if (this.pools.some(p => p.name === pool.name)) return false;
+        this.pools.push(pool);
+        return true;
+    }
+
+    removePool(name) {
+        this.pools = this.pools.filter(p => p.name !== name);
+        this.leases = this.leases.filter(l => l.pool !== name);
+    }
+
+    addExclusion(from, to = from) {
+        this.excluded.push({ from, to });
+    }
+
+    removeExclusion(index) {
+        this.excluded.splice(index, 1);
+    }
+
+    isExcluded(ip) {
+        const long = NetworkUtils.ipToLong(ip);
+        return this.excluded.some(r => long >= NetworkUtils.ipToLong(r.from) && long <= NetworkUtils.ipToLong(r.to));
+    }
+
+    // Pool serving the subnet of `ip` (the relay's giaddr or the server's own interface)
+    findPool(ip) {
+        return this.pools.find(p => NetworkUtils.isSameSubnet(p.startIp, ip, p.mask)) || null;
+    }
+
+    expireLeases(now = Date.now()) {
+        this.leases = this.leases.filter(l => l.expires > now);
+    }
+
+    // First free address of the pool for a client MAC (a client keeps its current lease).
+    // `inUse` holds addresses configured anywhere in the topology (conflict detection).
+    pickAddress(pool, mac, inUse) {
+        this.expireLeases();
+        const current = this.leases.find(l => l.mac === mac && l.pool === pool.name);
+        if (current) return current.ip;
+
+        const start = NetworkUtils.ipToLong(pool.startIp);
+        const end = NetworkUtils.ipToLong(pool.endIp);
+        for (let long = start; long <= end; long++) {
+            const ip = NetworkUtils.longToIp(long);
+            if (this.isExcluded(ip) || inUse.has(ip) || this.leases.some(l => l.ip === ip)) continue;
+            return ip;
+        }
+        return null;
+    }
+
+    commitLease(pool, ip, mac, hostname) {
+        this.leases = this.leases.filter(l => l.mac !== mac && l.ip !== ip);
+        const lease = { ip, mac, hostname, pool: pool.name, expires: Date.now() + pool.leaseTime * 1000 };
+        this.leases.push(lease);
+        return lease;
+    }
+
+    // DHCPRELEASE: the client gives the address back before the lease expires
+    releaseLease(ip, mac) {
+        this.leases = this.leases.filter(l => l.ip !== ip || l.mac !== mac);
+    }
+}
+
+class DnsService {
+    constructor() {
+        this.enabled = false;
+        this.records = []; // A records: { name, ip }
+    }
+
+    // Names are case-insensitive; a new record for an existing name replaces it
+    addRecord(name, ip) {
+        name = name.toLowerCase();
+        this.records = this.records.filter(r => r.name !== name);
+        this.records.push({ name, ip });
+    }
+
+    removeRecord(name) {
+        this.records = this.records.filter(r => r.name !== name.toLowerCase());
+    }
+
+    lookup(name) {
+        const record = this.records.find(r => r.name === name.toLowerCase());
+        return record ? record.ip : null;
+    }
+}
+
+// Numbered IPv4 access list: 1-99 standard (source only), 100-199 extended
+// (protocol, source, destination and destination port). First match wins and
+// anything left unmatched is denied (implicit 'deny any').
+class AccessList {
+    static PORT_NAMES = { ftp: 21, ssh: 22, telnet: 23, smtp: 25, domain: 53, bootps: 67, tftp: 69, www: 80, pop3: 110, https: 443 };
+
+    constructor(number) {
+        this.number = number;
+        this.entries = []; // { sequence, action, protocol, source, sourceWildcard, destination, destWildcard, port, matches }
+    }
+
+    static isValidNumber(number) {
+        return number >= 1 && number <= 199;
+    }
+
+    get type() {
+        return this.number < 100 ? 'standard' : 'extended';
+    }
+
+    // Reads an address spec at tokens[index]: 'any', 'host <ip>', '<ip> <wildcard>' or,
+    // for standard lists, a lone '<ip>'. Returns { address, wildcard, next } or null.
+    static parseAddress(tokens, index, allowBareHost = false) {
+        const token = (tokens[index] || '').toLowerCase();
+        if (token === 'any') return { address: '0.0.0.0', wildcard: '255.255.255.255', next: index + 1 };
+        if (token === 'host') {
+            return NetworkUtils.isValidIp(tokens[index + 1] || '') ? { address: tokens[index + 1], wildcard: '0.0.0.0', next: index + 2 } : null;
+        }
+        if (!NetworkUtils.isValidIp(token)) return null;
+        if (NetworkUtils.isValidIp(tokens[index + 1] || '')) return { address: token, wildcard: tokens[index + 1], next: index + 2 };
+        return allowBareHost ? { address: token, wildcard: '0.0.0.0', next: index + 1 } : null;
+    }
+
+    // Parses the part of an 'access-list' line after the number:
+    // '{permit|deny} <source>' or '{permit|deny} <protocol> <source> <destination> [eq <port>]'.
+    // Returns the entry fields or null when the syntax is wrong.
+    parseEntry(tokens) {
+        const action = (tokens[0] || '').toLowerCase();
+        if (action !== 'permit' && action !== 'deny') return null;
+
+        if (this.type === 'standard') {
+            const source = AccessList.parseAddress(tokens, 1, true);
+            if (!source || source.next !== tokens.length) return null;
+            return { action, protocol: 'ip', source: source.address, sourceWildcard: source.wildcard, destination: '0.0.0.0', destWildcard: '255.255.255.255', port: null };
+        }
+
+        const protocol = (tokens[1] || '').toLowerCase();
+        if (!['ip', 'icmp', 'tcp', 'udp'].includes(protocol)) return null;
+        const source = AccessList.parseAddress(tokens, 2);
+        const destination = source ? AccessList.parseAddress(tokens, source.next) : null;
+        if (!destination) return null;
+
+        let port = null;
+        let next = destination.next;
+        if ((tokens[next] || '').toLowerCase() === 'eq') {
+            if (protocol !== 'tcp' && protocol !== 'udp') return null;
+            const name = (tokens[next + 1] || '').toLowerCase();
+            port = AccessList.PORT_NAMES[name] || parseInt(name, 10);
+            if (!(port >= 1 && port <= 65535)) return null;
+            next += 2;
+        }
+        if (next !== tokens.length) return null;
+        return {
+            action, protocol, source: source.address, sourceWildcard: source.wildcard,
+            destination: destination.address, destWildcard: destination.wildcard, port
+        };
+    }
+
+    addEntry(fields) {
+        const last = this.entries[this.entries.length - 1];
+        const entry = { sequence: last ? last.sequence + 10 : 10, ...fields, matches: 0 };
+        this.entries.push(entry);
+        return entry;
+    }
+
+    removeEntry(index) {
+        this.entries.splice(index, 1);
+    }
+
+    resetCounters() {
+        this.entries.forEach(e => { e.matches = 0; });
+    }
+
+    static addressMatches(ip, address, wildcard) {
+        const care = ~NetworkUtils.ipToLong(wildcard) >>> 0;
+        return ((NetworkUtils.ipToLong(ip) & care) >>> 0) === ((NetworkUtils.ipToLong(address) & care) >>> 0);
+    }
+
+    entryMatches(entry, packet) {
+        if (!AccessList.addressMatches(packet.srcIp, entry.source, entry.sourceWildcard)) return false;
+        if (this.type === 'standard') return true;
+        if (entry.protocol !== 'ip' && entry.protocol !== packet.protocol) return false;
+        if (!AccessList.addressMatches(packet.dstIp, entry.destination, entry.destWildcard)) return false;
+        return entry.port === null || entry.port === packet.dstPort;
+    }
+
+    // packet: { srcIp, dstIp, protocol ('icmp' | 'tcp' | 'udp'), dstPort }.
+    // Returns { permitted, entry } (entry null = implicit deny). The caller counts the
+    // match in entry.matches once the packet is really sent.
+    evaluate(packet) {
+        const entry = this.entries.find(e => this.entryMatches(e, packet));
+        if (!entry) return { permitted: false, entry: null };
+        return { permitted: entry.action === 'permit', entry };
+    }
+
+    static formatAddress(address, wildcard) {
+        if (wildcard === '255.255.255.255') return 'any';
+        if (wildcard === '0.0.0.0') return `host ${address}`;
+        return `${address} ${wildcard}`;
+    }
+
+    // Entry as typed after 'access-list <number>' (e.g. 'deny tcp any host 10.0.0.5 eq 80')
+    formatEntry(entry) {
+        const source = AccessList.formatAddress(entry.source, entry.sourceWildcard);
+        if (this.type === 'standard') return `${entry.action} ${source}`;
+        const destination = AccessList.formatAddress(entry.destination, entry.destWildcard);
+        return `${entry.action} ${entry.protocol} ${source} ${destination}${entry.port !== null ? ` eq ${entry.port}` : ''}`;
+    }
+}
+
+// NAT of a router ('ip nat ...'): packets going from an 'ip nat inside' interface out of
+// an 'ip nat outside' one get their inside local source swapped for an inside global
+// address; replies coming back from outside are translated the other way.
+class NatService {
+    static TIMEOUT = 86400; // Dynamic translations (s), as IOS
+    static PAT_TIMEOUT = 60; // Overloaded (PAT) translations (s)
+
+    constructor() {
+        this.statics = []; // 'ip nat inside source static <local> <global>': { local, global }
+        this.pools = []; // 'ip nat pool': { name, startIp, endIp, mask }
+        this.rules = []; // 'ip nat inside source list': { acl, pool, interface, overload } (pool or interface)
+        this.translations = []; // Dynamic: { protocol, insideLocal, localPort, insideGlobal, globalPort, outside, outsidePort, overload, expires }
+    }
+
+    addStatic(local, global) {
+        if (this.statics.some(s => s.local === local || s.global === global)) return false;
+        this.statics.push({ local, global });
+        return true;
+    }
+
+    removeStatic(local) {
+        this.statics = this.statics.filter(s => s.local !== local);
+    }
+
+    addPool(pool) {
+        if (this.pools.some(p => p.name === pool.name)) return false;
+        this.pools.push(pool);
+        return true;
+    }
+
+    // A pool referenced by a rule cannot be removed (IOS: '%Pool <name> in use')
+    removePool(name) {
+        if (this.rules.some(r => r.pool === name)) return false;
+        this.pools = this.pools.filter(p => p.name !== name);
+        return true;
+    }
+
+    // One rule per access list: configuring it again replaces the previous one
+    setRule(rule) {
+        this.rules = this.rules.filter(r => r.acl !== rule.acl);
+        this.rules.push(rule);
+    }
+
+    removeRule(acl) {
+        this.rules = this.rules.filter(r => r.acl !== acl);
+        this.translations = [];
+    }
+
+    expireTranslations(now = Date.now()) {
+        this.translations = this.translations.filter(t => t.expires > now);
+    }
+
+    clearTranslations() {
+        this.translations = [];
+    }
+
+    // Inside global addresses this router stands for on its outside segment (answers ARP)
+    ownsGlobal(ip) {
+        if (this.statics.some(s => s.global === ip)) return true;
+        const long = NetworkUtils.ipToLong(ip);
+        return this.pools.some(p => long >= NetworkUtils.ipToLong(p.startIp) && long <= NetworkUtils.ipToLong(p.endIp));
+    }
+
+    // Free address of a pool for a one-to-one (non overloaded) translation
+    pickPoolAddress(pool) {
+        const end = NetworkUtils.ipToLong(pool.endIp);
+        for (let long = NetworkUtils.ipToLong(pool.startIp); long <= end; long++) {
+            const ip = NetworkUtils.longToIp(long);
+            if (this.statics.some(s => s.global === ip) || this.translations.some(t => t.insideGlobal === ip)) continue;
+            return ip;
+        }
+        return null;
+    }
+
+    // PAT keeps the inside port when it is free on the global address, else takes the first free one from 1024
+    pickGlobalPort(global, protocol, preferred) {
+        const taken = port => this.translations.some(t => t.overload && t.insideGlobal === global && t.protocol === protocol && t.globalPort === port);
+        if (!taken(preferred)) return preferred;
+        let port = 1024;
+        while (taken(port)) port++;
+        return port;
+    }
+
+    // Translates the source of a packet { srcIp, dstIp, protocol, srcPort } leaving through
+    // the outside. `permits(acl)` runs an access list on the packet and `interfaceIp(name)`
+    // gives the address used by 'interface ... overload'. Returns the new source { ip, port },
+    // null when nothing covers the packet (it leaves untranslated) or { exhausted: true }
+    // when the pool has no address left (the packet is dropped).
+    translateSource(packet, permits, interfaceIp, now = Date.now()) {
+        this.expireTranslations(now);
+        const fixed = this.statics.find(s => s.local === packet.srcIp);
+        if (fixed) return { ip: fixed.global, port: packet.srcPort };
+
+        // ICMP echoes are told apart by their identifier (1 on Windows), used as port
+        const port = packet.srcPort || 1;
+        const existing = this.translations.find(t => t.insideLocal === packet.srcIp &&
+            (!t.overload || (t.protocol === packet.protocol && t.localPort === port)));
+        if (existing) {
+            existing.expires = now + (existing.overload ? NatService.PAT_TIMEOUT : NatService.TIMEOUT) * 1000;
+            existing.outside = packet.dstIp;
+            existing.outsidePort = packet.dstPort || port;
+            return { ip: existing.insideGlobal, port: existing.overload ? existing.globalPort : packet.srcPort };
+        }
+
+        const rule = this.rules.find(r => permits(r.acl));
+        if (!rule) return null;
+        const pool = rule.pool ? this.pools.find(p => p.name === rule.pool) : null;
+        if (rule.pool && !pool) return null;
+
+        let global;
+        if (rule.interface) global = interfaceIp(rule.interface);
+        else global = rule.overload ? pool.startIp : this.pickPoolAddress(pool);
+        if (!global) return { exhausted: true };
+
+        const overload = rule.overload;
+        const globalPort = overload ? this.pickGlobalPort(global, packet.protocol, port) : null;
+        this.translations.push({
+            protocol: overload ? packet.protocol : null, insideLocal: packet.srcIp, localPort: overload ? port : null,
+            insideGlobal: global, globalPort, outside: packet.dstIp, outsidePort: packet.dstPort || port, overload,
+            expires: now + (overload ? NatService.PAT_TIMEOUT : NatService.TIMEOUT) * 1000
+        });
+        return { ip: global, port: overload ? globalPort : packet.srcPort };
+    }
+
+    // Reverse translation of a packet { dstIp, protocol, dstPort } arriving from outside:
+    // the inside local { ip, port } it is meant for, or null
+    translateDestination(packet, now = Date.now()) {
+        this.expireTranslations(now);
+        const port = packet.dstPort || 1;
+        const pat = this.translations.find(t => t.overload && t.insideGlobal === packet.dstIp &&
+            t.protocol === packet.protocol && t.globalPort === port);
+        if (pat) return { ip: pat.insideLocal, port: pat.localPort };
+        const dynamic = this.translations.find(t => !t.overload && t.insideGlobal === packet.dstIp);
+        if (dynamic) return { ip: dynamic.insideLocal, port: packet.dstPort };
+        const fixed = this.statics.find(s => s.global === packet.dstIp);
+        return fixed ? { ip: fixed.local, port: packet.dstPort } : null;
+    }
+
+    // Rows of 'show ip nat translations': live dynamic entries, then the static mappings
+    // { protocol, insideGlobal, insideLocal, outsideLocal, outsideGlobal, expires }
+    listTranslations(now = Date.now()) {
+        this.expireTranslations(now);
+        const withPort = (ip, port) => port ? `${ip}:${port}` : ip;
+        return [
+            ...this.translations.map(t => ({
+                protocol: t.protocol || '---',
+                insideGlobal: withPort(t.insideGlobal, t.globalPort),
+                insideLocal: withPort(t.insideLocal, t.localPort),
+                outsideLocal: t.overload ? withPort(t.outside, t.outsidePort) : '---',
+                outsideGlobal: t.overload ? withPort(t.outside, t.outsidePort) : '---',
+                expires: t.expires
+            })),
+            ...this.statics.map(s => ({
+                protocol: '---', insideGlobal: s.global, insideLocal: s.local, outsideLocal: '---', outsideGlobal: '---', expires: null
+            }))
+        ];
     }
 }
 
@@ -34,9 +868,35 @@ class Device {
         this.ip = ip || '';
         this.mask = mask || '';
         this.gateway = gateway || '';
+        this.dnsServer = ''; // Learned through DHCP or set by hand
+        this.ipv6Gateway = ''; // IPv6 default router (learned from router advertisements or set by hand)
 
         // For Routers (and potentially others)
         this.interfaces = [];
+        this.staticRoutes = []; // Route entries with code 'S'
+        this.ipv6StaticRoutes = []; // IPv6 'S' routes (mask holds the prefix length)
+        this.ipv6Routing = false; // 'ipv6 unicast-routing': forwards IPv6 and sends router advertisements
+        this.accessLists = []; // AccessList objects (routers), applied per interface with aclIn/aclOut
+        this.nat = new NatService(); // NAT/PAT between 'ip nat inside' and 'ip nat outside' interfaces (routers)
+        this.rip = new RipProcess();
+        this.ospf = new OspfProcess();
+
+        // ARP cache (hosts and routers)
+        this.arpCache = []; // { ip, mac, iface, lastSeen }
+        this.arpTimeout = type === 'Router' ? 14400 : 120; // seconds (IOS 4h, Windows ~2min)
+
+        // DHCP server service (Servers and Routers)
+        this.dhcpServer = new DhcpServer();
+        // DNS server service (Servers)
+        this.dnsService = new DnsService();
+
+        // For Switches
+        this.macTable = []; // { vlan, mac, port, lastSeen } learned entries
+        this.macAgingTime = 300; // seconds
+        this.vlans = [{ id: 1, name: 'default' }]; // VLAN database
+
+        this.failed = false; // Failed/powered off: every link of the device goes down
+        this.autoMdix = false; // Auto-MDIX: either straight-through or crossover cable works
 
         this.x = x;
         this.y = y;
@@ -45,13 +905,110 @@ class Device {
     }
 
     addInterface(name, type = 'ethernet', ip = '', mask = '') {
-        this.interfaces.push(new Interface(name, type, ip, mask));
+        const mac = NetworkUtils.generateMac(this.id, this.interfaces.length + 1);
+        this.interfaces.push(new Interface(name, type, ip, mask, mac));
+    }
+
+    // Creates a dot1Q subinterface (sharing the parent's MAC) right after its parent
+    addSubinterface(parentName, number, vlan) {
+        const parent = this.getInterface(parentName);
+        const name = `${parentName}.${number}`;
+        if (!parent || parent.parentName || parent.type !== 'ethernet' || this.getInterface(name)) return null;
+
+        const sub = new Interface(name, 'ethernet', '', '', parent.mac);
+        sub.parentName = parentName;
+        sub.encapsulationVlan = vlan;
+
+        let pos = this.interfaces.indexOf(parent) + 1;
+        while (pos < this.interfaces.length && this.interfaces[pos].parentName === parentName) pos++;
+        this.interfaces.splice(pos, 0, sub);
+        return sub;
+    }
+
+    // Only subinterfaces can be removed; physical ones are fixed by the hardware
+    removeSubinterface(name) {
+        const iface = this.getInterface(name);
+        if (!iface || !iface.parentName) return false;
+        this.interfaces = this.interfaces.filter(i => i !== iface);
+        // Routes pointing out of it can no longer be used
+        this.staticRoutes = this.staticRoutes.filter(r => r.exitInterface !== name);
+        this.ipv6StaticRoutes = this.ipv6StaticRoutes.filter(r => r.exitInterface !== name);
+        this.arpCache = this.arpCache.filter(e => e.iface !== name);
+        return true;
     }
 
     getInterface(name) {
         return this.interfaces.find(i => i.name === name);
     }
 
+    // Returns the interface configured with the given IPv4 or IPv6 address (if any).
+    // Switch ports do not take part in IPv6, so their link-local addresses are ignored.
+    getInterfaceByIp(ip) {
+        if (this.type === 'Switch') return this.interfaces.find(i => i.ip === ip);
+        return this.interfaces.find(i => i.hasAddress(ip));
+    }
+
+    hasVlan(id) {
+        return this.vlans.some(v => v.id === id);
+    }
+
+    addVlan(id, name = '') {
+        if (this.hasVlan(id)) return false;
+        this.vlans.push({ id, name: name || `VLAN${String(id).padStart(4, '0')}` });
+        this.vlans.sort((a, b) => a.id - b.id);
+        return true;
+    }
+
+    // VLAN 1 cannot be deleted; ports left in a deleted VLAN go inactive
+    removeVlan(id) {
+        if (id === 1) return false;
+        this.vlans = this.vlans.filter(v => v.id !== id);
+        return true;
+    }
+
+    addStaticRoute(network, mask, nextHop = '', exitInterface = '', distance = ADMIN_DISTANCE['S']) {
+        const exists = this.staticRoutes.some(r => r.network === network && r.mask === mask &&
+            r.nextHop === nextHop && r.exitInterface === exitInterface);
+        if (exists) return false;
+        this.staticRoutes.push(new Route('S', network, mask, nextHop, exitInterface, distance));
+        return true;
+    }
+
+    removeStaticRoute(index) {
+        this.staticRoutes.splice(index, 1);
+    }
+
+    getAccessList(number) {
+        return this.accessLists.find(acl => acl.number === number) || null;
+    }
+
+    // Returns the list with that number, creating it when missing
+    ensureAccessList(number) {
+        let acl = this.getAccessList(number);
+        if (!acl) {
+            acl = new AccessList(number);
+            this.accessLists.push(acl);
+            this.accessLists.sort((a, b) => a.number - b.number);
+        }
+        return acl;
+    }
+
+    removeAccessList(number) {
+        this.accessLists = this.accessLists.filter(acl => acl.number !== number);
+    }
+
+    addIpv6StaticRoute(network, prefixLength, nextHop = '', exitInterface = '', distance = ADMIN_DISTANCE['S']) {
+        const exists = this.ipv6StaticRoutes.some(r => r.network === network && r.mask === prefixLength &&
+            r.nextHop === nextHop && r.exitInterface === exitInterface);
+        if (exists) return false;
+        this.ipv6StaticRoutes.push(new Route('S', network, prefixLength, nextHop, exitInterface, distance));
+        return true;
+    }
+
+    removeIpv6StaticRoute(index) {
+        this.ipv6StaticRoutes.splice(index, 1);
+    }
+
     // Connect logic now needs to be aware of interfaces for Routers
     // But for physical connection visualization, we keep simple ID tracking
     connect(deviceId) {
@@ -69,4 +1026,66 @@ class Device {
             }
         });
     }
-}
\ No newline at end of file
+}
+
+// Undo/redo of project edits. Each undo entry holds the project snapshot (JSON) from
+// before an edit and a label for it; `current` is the snapshot the stacks lead to.
+// Consecutive edits with the same coalesce key (moves of one device) shortly after
+// each other merge into one entry.
+class EditHistory {
+    static LIMIT = 50; // Undo entries kept (the oldest are dropped)
+    static COALESCE_MS = 1500;
+
+    constructor() {
+        this.undoStack = []; // { label, snapshot, key, time }
+        this.redoStack = [];
+        this.current = null;
+    }
+
+    reset(snapshot) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = snapshot;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Records the state after an edit. Returns false if nothing changed.
+    record(snapshot, label, key = null, now = Date.now()) {
+        if (snapshot === this.current) return false;
+
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (key && last && last.key === key && this.redoStack.length === 0 && now - last.time < EditHistory.COALESCE_MS) {
+            last.time = now;
+        } else {
+            this.undoStack.push({ label, snapshot: this.current, key, time: now });
+            if (this.undoStack.length > EditHistory.LIMIT) this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.current = snapshot;
+        return true;
+    }
+
+    // Both return the entry to restore ({ label, snapshot }) or null
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push({ label: entry.label, snapshot: this.current, key: null, time: 0 });
+        this.current = entry.snapshot;
+        return entry;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push({ label: entry.label, snapshot: this.current, key: null, time: 0 });
+        this.current = entry.snapshot;
+        return entry;
+    }
+}
@@ -0,0 +1,506 @@
+// Discrete-event packet simulation. PDUs (an Ethernet II or HDLC frame carrying ARP or
+// an IP packet with its ICMP message) wait in a time-ordered queue as arrivals at a
+// device interface. Each step processes the next arrival the way that device would:
+// switches by MAC table and VLAN, hosts and routers through ARP, ACLs, NAT and routing.
+// Every decision is recorded in the timeline that the simulation panel plays back.
+class PacketEngine {
+    static LINK_DELAY = 1; // ms a frame takes to cross a link or a switch
+    static ARP_TIMEOUT = 1000; // ms a device waits for an ARP reply
+    static MAX_EVENTS = 2000; // Safety cap for run()
+
+    // ICMP (IPv4) and ICMPv6 type numbers
+    static ICMP_TYPES = {
+        4: { 'echo-request': 8, 'echo-reply': 0, 'unreachable': 3, 'time-exceeded': 11 },
+        6: { 'echo-request': 128, 'echo-reply': 129, 'unreachable': 1, 'time-exceeded': 3 }
+    };
+
+    static ICMP_NAMES = {
+        'echo-request': 'Echo Request', 'echo-reply': 'Echo Reply',
+        'unreachable': 'Destination Unreachable', 'time-exceeded': 'Time Exceeded'
+    };
+
+    constructor(sim) {
+        this.sim = sim;
+        this.reset();
+    }
+
+    reset() {
+        this.clock = 0;
+        this.queue = []; // Pending work, by time: { time, order, kind ('frame' | 'originate' | 'arp-timeout'), device, ... }
+        this.events = []; // Timeline: { time, device, from, inInterface, outInterface, action, info, pdu, outPdu }
+        this.arpRequests = []; // Unanswered ARP requests: { device, iface, nextIp }
+        this.waitingArp = []; // Packets parked by hosts until ARP resolves: { device, iface, nextIp, pdu }
+        this.flooded = new Set(); // 'switchId:pduId' already forwarded (no STP: a copy never loops)
+        this.order = 0;
+        this.nextPduId = 1;
+    }
+
+    get finished() {
+        return this.queue.length === 0;
+    }
+
+    static clone(pdu) {
+        return JSON.parse(JSON.stringify(pdu));
+    }
+
+    // Protocol shown in the timeline for a PDU
+    static describe(pdu) {
+        if (pdu.arp) return pdu.arp.protocol;
+        return pdu.ip.version === 6 ? 'ICMPv6' : 'ICMP';
+    }
+
+    // OSI layers of a PDU for the inspector: [{ title, fields: [[label, value]] }]
+    static layers(pdu) {
+        const layers = [];
+        const l2 = pdu.l2;
+        if (!l2) {
+            layers.push({ title: 'Capa 2: sin trama', fields: [['Estado', 'Se encapsula al salir por la interfaz']] });
+        } else if (l2.protocol === 'HDLC') {
+            layers.push({ title: 'Capa 2: HDLC', fields: [['Encapsulación', 'Cisco HDLC (enlace serie, sin direcciones MAC)']] });
+        } else {
+            const types = { IPv4: '0x0800', ARP: '0x0806', IPv6: '0x86DD' };
+            const fields = [['MAC destino', l2.dst], ['MAC origen', l2.src], ['Tipo', `${l2.type} (${types[l2.type]})`]];
+            if (l2.vlan !== undefined) fields.push(['Etiqueta 802.1Q', `VLAN ${l2.vlan}`]);
+            layers.push({ title: 'Capa 2: Ethernet II', fields });
+        }
+
+        if (pdu.arp) {
+            const arp = pdu.arp;
+            layers.push({
+                title: `Capa 3: ${arp.protocol}`,
+                fields: [
+                    ['Operación', arp.op === 'request' ? 'Solicitud (1)' : 'Respuesta (2)'],
+                    ['IP emisor', arp.senderIp], ['MAC emisor', arp.senderMac],
+                    ['IP objetivo', arp.targetIp], ['MAC objetivo', arp.targetMac]
+                ]
+            });
+            return layers;
+        }
+
+        const ip = pdu.ip;
+        layers.push({
+            title: `Capa 3: IPv${ip.version}`,
+            fields: [
+                ['IP origen', ip.src || '(se asigna al salir)'], ['IP destino', ip.dst],
+                [ip.version === 6 ? 'Límite de saltos' : 'TTL', ip.ttl],
+                [ip.version === 6 ? 'Siguiente cabecera' : 'Protocolo', `${ip.protocol} (${ip.version === 6 ? 58 : 1})`]
+            ]
+        });
+        const icmp = pdu.icmp;
+        layers.push({
+            title: ip.protocol,
+            fields: [
+                ['Tipo', `${icmp.number} (${PacketEngine.ICMP_NAMES[icmp.type]})`], ['Código', icmp.code],
+                ['Identificador', icmp.id], ['Secuencia', icmp.seq]
+            ]
+        });
+        return layers;
+    }
+
+    // What a device changed between the PDU it received and the one it sent
+    static changes(pdu, outPdu) {
+        if (!pdu || !outPdu) return [];
+        if (pdu.id !== outPdu.id) return [`Genera un PDU nuevo en respuesta (${PacketEngine.describe(outPdu)})`];
+
+        const changes = [];
+        const [a, b] = [pdu.l2, outPdu.l2];
+        if (!a) {
+            changes.push(`Encapsula el paquete en una trama ${b.protocol}`);
+        } else if (a.protocol !== b.protocol) {
+            changes.push(`Desencapsula la trama ${a.protocol} y la encapsula en ${b.protocol}`);
+        } else if (a.protocol === 'Ethernet II') {
+            if (a.src !== b.src) changes.push(`MAC origen reescrita: ${a.src} → ${b.src}`);
+            if (a.dst !== b.dst) changes.push(`MAC destino reescrita: ${a.dst} → ${b.dst}`);
+        }
+        const [tagIn, tagOut] = [a ? a.vlan : undefined, b.vlan];
+        if (tagIn !== tagOut) {
+            if (tagOut === undefined) changes.push(`Quita la etiqueta 802.1Q (VLAN ${tagIn})`);
+            else if (tagIn === undefined) changes.push(`Añade la etiqueta 802.1Q (VLAN ${tagOut})`);
+            else changes.push(`Cambia la etiqueta 802.1Q: VLAN ${tagIn} → VLAN ${tagOut}`);
+        }
+
+        if (pdu.ip && outPdu.ip) {
+            const [ipIn, ipOut] = [pdu.ip, outPdu.ip];
+            if (ipIn.ttl !== ipOut.ttl) changes.push(`${ipIn.version === 6 ? 'Límite de saltos' : 'TTL'} decrementado: ${ipIn.ttl} → ${ipOut.ttl}`);
+            if (ipIn.src !== ipOut.src) changes.push(`IP origen traducida (NAT): ${ipIn.src} → ${ipOut.src}`);
+            if (ipIn.dst !== ipOut.dst) changes.push(`IP destino traducida (NAT): ${ipIn.dst} → ${ipOut.dst}`);
+            if (pdu.icmp.id !== outPdu.icmp.id) changes.push(`Identificador ICMP traducido (PAT): ${pdu.icmp.id} → ${outPdu.icmp.id}`);
+        }
+        return changes;
+    }
+
+    // --- Traffic ---
+
+    // Queues `count` ICMP echo requests from source to destIp, one per second
+    ping(source, destIp, count = 1) {
+        const version = NetworkUtils.isIpv6(destIp) ? 6 : 4;
+        for (let seq = 1; seq <= count; seq++) {
+            const pdu = this.createIcmp(version, null, destIp, this.sim.getInitialTTL(source), 'echo-request', 0, 1, seq);
+            this.schedule(this.clock + (seq - 1) * 1000, { kind: 'originate', device: source, pdu });
+        }
+    }
+
+    createIcmp(version, src, dst, ttl, type, code, id, seq) {
+        return {
+            id: this.nextPduId++,
+            l2: null,
+            arp: null,
+            ip: { version, src, dst, ttl, protocol: version === 6 ? 'ICMPv6' : 'ICMP' },
+            icmp: { type, number: PacketEngine.ICMP_TYPES[version][type], code, id, seq }
+        };
+    }
+
+    // ACL/NAT view of a packet. The echo identifier acts as the port: source port of
+    // requests, destination port of replies and errors (which embed the original one).
+    flow(pdu) {
+        const request = pdu.icmp.type === 'echo-request';
+        return {
+            srcIp: pdu.ip.src, dstIp: pdu.ip.dst, protocol: 'icmp',
+            srcPort: request ? pdu.icmp.id : null, dstPort: request ? null : pdu.icmp.id, ttl: pdu.ip.ttl
+        };
+    }
+
+    // Runs the simulator's forwarding pipeline (NetworkSimulator.routePacket) on a PDU
+    // and writes the translated addresses, echo identifier and TTL back into it.
+    // Simulated packets are real traffic: the ACL entries they match are counted.
+    route(device, arrival, pdu) {
+        const packet = this.flow(pdu);
+        const step = this.sim.routePacket(device, arrival, packet);
+        this.sim.countAclMatches(step);
+        const port = pdu.icmp.type === 'echo-request' ? packet.srcPort : packet.dstPort;
+        pdu.ip.src = packet.srcIp;
+        pdu.ip.dst = packet.dstIp;
+        pdu.ip.ttl = packet.ttl;
+        if (port) pdu.icmp.id = port;
+        return step;
+    }
+
+    // --- Queue ---
+
+    schedule(time, item) {
+        const entry = { ...item, time, order: this.order++ };
+        const index = this.queue.findIndex(q => q.time > time);
+        if (index === -1) this.queue.push(entry);
+        else this.queue.splice(index, 0, entry);
+    }
+
+    // Processes queued work until something is recorded. Returns the new events.
+    step() {
+        while (this.queue.length > 0) {
+            const item = this.queue.shift();
+            this.clock = item.time;
+            const before = this.events.length;
+            this.process(item);
+            if (this.events.length > before) return this.events.slice(before);
+        }
+        return [];
+    }
+
+    // Processes everything due at the next instant (copies of a flooded frame travel
+    // together). Returns the new events.
+    advance() {
+        if (this.finished) return [];
+        const time = this.queue[0].time;
+        const before = this.events.length;
+        while (this.queue.length > 0 && this.queue[0].time === time) this.step();
+        return this.events.slice(before);
+    }
+
+    run() {
+        while (!this.finished && this.events.length < PacketEngine.MAX_EVENTS) this.step();
+        return this.events;
+    }
+
+    process(item) {
+        if (item.kind === 'originate') this.originate(item);
+        else if (item.kind === 'arp-timeout') this.arpTimeout(item);
+        else if (item.device.type === 'Switch') this.switchFrame(item);
+        else this.receiveFrame(item);
+    }
+
+    record(item, fields) {
+        const event = {
+            time: item.time, device: item.device, from: item.from || null,
+            inInterface: null, outInterface: null, action: 'drop', info: '', pdu: null, outPdu: null,
+            ...fields
+        };
+        this.events.push(event);
+        return event;
+    }
+
+    // --- Sending ---
+
+    // A device creates (or answers with) a packet: routed locally, no ACL/NAT of its own
+    originate(item) {
+        const { device, pdu } = item;
+        if (device.failed) return;
+
+        const step = this.route(device, null, pdu);
+        if (step.action === 'deliver') {
+            pdu.ip.src = pdu.ip.src || pdu.ip.dst;
+            this.record(item, { action: 'deliver', info: 'Destino local: el paquete no sale del dispositivo', pdu: PacketEngine.clone(pdu) });
+            return;
+        }
+        if (step.action === 'drop') {
+            this.record(item, { action: 'drop', info: step.reason, pdu: PacketEngine.clone(pdu) });
+            return;
+        }
+
+        const event = this.record(item, {
+            action: 'send', outInterface: step.iface.name, pdu: PacketEngine.clone(pdu),
+            info: `${PacketEngine.ICMP_NAMES[pdu.icmp.type]} ${pdu.ip.src} → ${pdu.ip.dst} (siguiente salto ${step.nextIp})`
+        });
+        event.outPdu = this.sendPacket(item, step.iface, step.nextIp, pdu);
+    }
+
+    // Frames the packet for the next hop and puts it on the wire. Ethernet needs the
+    // next hop's MAC: without it an ARP request goes out first; hosts park the packet
+    // until the reply, routers drop it (like IOS). Returns the frame sent or null.
+    sendPacket(item, iface, nextIp, pdu) {
+        const { device } = item;
+        if (iface.type === 'serial') {
+            pdu.l2 = { protocol: 'HDLC' };
+            return this.transmit(item, iface, pdu);
+        }
+
+        const cached = this.sim.lookupArp(device, nextIp);
+        if (cached && cached.iface === iface.name) {
+            pdu.l2 = { protocol: 'Ethernet II', src: iface.mac, dst: cached.mac, type: pdu.ip.version === 6 ? 'IPv6' : 'IPv4' };
+            return this.transmit(item, iface, pdu);
+        }
+
+        if (device.type === 'Router') {
+            this.record(item, { action: 'drop', outInterface: iface.name, pdu: PacketEngine.clone(pdu), info: `Descartado mientras se resuelve ARP de ${nextIp}` });
+        } else {
+            this.waitingArp.push({ device, iface, nextIp, pdu });
+        }
+        if (!this.arpRequests.some(r => r.device === device && r.iface === iface && r.nextIp === nextIp)) this.sendArpRequest(item, iface, nextIp);
+        return null;
+    }
+
+    sendArpRequest(item, iface, nextIp) {
+        const ipv6 = NetworkUtils.isIpv6(nextIp);
+        const request = {
+            id: this.nextPduId++,
+            l2: { protocol: 'Ethernet II', src: iface.mac, dst: NetworkUtils.BROADCAST_MAC, type: ipv6 ? 'IPv6' : 'ARP' },
+            arp: {
+                protocol: ipv6 ? 'NDP' : 'ARP', op: 'request',
+                senderIp: this.sim.getSourceAddress(iface, nextIp), senderMac: iface.mac,
+                targetIp: nextIp, targetMac: '0000.0000.0000'
+            },
+            ip: null,
+            icmp: null
+        };
+        this.arpRequests.push({ device: item.device, iface, nextIp });
+        this.schedule(item.time + PacketEngine.ARP_TIMEOUT, { kind: 'arp-timeout', device: item.device, iface, nextIp });
+
+        const event = this.record(item, {
+            action: 'send', outInterface: iface.name, pdu: PacketEngine.clone(request),
+            info: `${ipv6 ? 'Solicitud de vecino' : 'Solicitud ARP'}: ¿quién tiene ${nextIp}?`
+        });
+        event.outPdu = this.transmit(item, iface, request);
+    }
+
+    // Puts a frame on the link of iface (subinterfaces tag it and use their physical
+    // interface) and schedules its arrival at the other end. Returns the frame sent.
+    transmit(item, iface, pdu) {
+        const { device } = item;
+        let port = iface;
+        let tag = null;
+        if (iface.parentName) {
+            tag = iface.encapsulationVlan;
+            port = device.getInterface(iface.parentName);
+        }
+        if (tag !== null) pdu.l2.vlan = tag;
+        if (!this.sim.isInterfaceUp(port)) {
+            this.record(item, { action: 'drop', outInterface: iface.name, pdu: PacketEngine.clone(pdu), info: `La interfaz ${port.name} está caída` });
+            return null;
+        }
+
+        const peer = this.sim.getDevice(port.connectedDeviceId);
+        this.schedule(item.time + PacketEngine.LINK_DELAY, {
+            kind: 'frame', device: peer, iface: peer.getInterface(port.connectedInterfaceName), tag, from: device, pdu: PacketEngine.clone(pdu)
+        });
+        return PacketEngine.clone(pdu);
+    }
+
+    // --- Receiving ---
+
+    switchFrame(item) {
+        const { device: sw, iface: ingress, pdu } = item;
+        const frame = pdu.l2;
+        const vlan = this.sim.ingressVlan(sw, ingress, item.tag);
+        if (vlan === null) {
+            this.record(item, { action: 'drop', inInterface: ingress.name, pdu: PacketEngine.clone(pdu), info: `VLAN no permitida en ${ingress.name}` });
+            return;
+        }
+
+        const key = `${sw.id}:${pdu.id}`;
+        if (this.flooded.has(key)) {
+            this.record(item, { action: 'drop', inInterface: ingress.name, pdu: PacketEngine.clone(pdu), info: 'Copia duplicada descartada (bucle de capa 2)' });
+            return;
+        }
+        this.flooded.add(key);
+
+        this.sim.learnMac(sw, vlan, frame.src, ingress.name);
+        const entry = frame.dst !== NetworkUtils.BROADCAST_MAC ? this.sim.lookupMac(sw, vlan, frame.dst) : null;
+        const ports = (entry ? [sw.getInterface(entry.port)] : sw.interfaces).filter(port =>
+            port !== ingress && port.type !== 'console' && this.sim.isInterfaceUp(port) && this.sim.egressTag(port, vlan) !== undefined);
+        if (ports.length === 0) {
+            const info = entry ? `Filtrada: ${frame.dst} está en el puerto de entrada` : `Sin otros puertos activos en la VLAN ${vlan}`;
+            this.record(item, { action: 'drop', inInterface: ingress.name, pdu: PacketEngine.clone(pdu), info });
+            return;
+        }
+
+        let info;
+        if (entry) info = `${frame.dst} conocida en ${entry.port} (VLAN ${vlan})`;
+        else info = `${frame.dst === NetworkUtils.BROADCAST_MAC ? 'Difusión' : 'Unicast desconocido'}: inunda la VLAN ${vlan}`;
+        const event = this.record(item, {
+            action: 'forward', inInterface: ingress.name, outInterface: ports.map(p => p.name).join(', '), pdu: PacketEngine.clone(pdu), info
+        });
+
+        ports.forEach(port => {
+            const copy = PacketEngine.clone(pdu);
+            const tag = this.sim.egressTag(port, vlan);
+            if (tag === null) delete copy.l2.vlan;
+            else copy.l2.vlan = tag;
+            event.outPdu = event.outPdu || PacketEngine.clone(copy);
+            this.transmit({ ...item, device: sw }, port, copy);
+        });
+    }
+
+    receiveFrame(item) {
+        const { device, pdu } = item;
+        const iface = this.sim.receivingInterface(device, item.iface, item.tag);
+        if (!iface) {
+            this.record(item, { action: 'drop', inInterface: item.iface.name, pdu: PacketEngine.clone(pdu), info: `Sin subinterfaz para la VLAN ${item.tag}` });
+            return;
+        }
+        const frame = pdu.l2;
+        if (frame.protocol === 'Ethernet II' && frame.dst !== NetworkUtils.BROADCAST_MAC && frame.dst !== iface.mac) {
+            this.record(item, { action: 'drop', inInterface: iface.name, pdu: PacketEngine.clone(pdu), info: 'La MAC de destino no es de este dispositivo' });
+            return;
+        }
+
+        if (pdu.arp) this.receiveArp(item, iface);
+        else this.receivePacket(item, iface);
+    }
+
+    receiveArp(item, iface) {
+        const { device, pdu } = item;
+        const arp = pdu.arp;
+
+        if (arp.op === 'request') {
+            const answers = iface.hasAddress(arp.targetIp) || this.sim.canProxyArp(device, iface, arp.targetIp) ||
+                this.sim.isNatGlobalAddress(device, iface, arp.targetIp);
+            if (!answers) {
+                this.record(item, { action: 'drop', inInterface: iface.name, pdu: PacketEngine.clone(pdu), info: `${arp.targetIp} no es de este dispositivo` });
+                return;
+            }
+
+            this.sim.learnArp(device, arp.senderIp, arp.senderMac, iface.name);
+            const reply = {
+                id: this.nextPduId++,
+                l2: { ...pdu.l2, src: iface.mac, dst: arp.senderMac },
+                arp: { ...arp, op: 'reply', senderIp: arp.targetIp, senderMac: iface.mac, targetIp: arp.senderIp, targetMac: arp.senderMac },
+                ip: null,
+                icmp: null
+            };
+            delete reply.l2.vlan;
+            const event = this.record(item, {
+                action: 'deliver', inInterface: iface.name, outInterface: iface.name, pdu: PacketEngine.clone(pdu),
+                info: `Responde: ${arp.targetIp} está en ${iface.mac}`
+            });
+            event.outPdu = this.transmit(item, iface, reply);
+            return;
+        }
+
+        this.sim.learnArp(device, arp.senderIp, arp.senderMac, iface.name);
+        this.record(item, { action: 'deliver', inInterface: iface.name, pdu: PacketEngine.clone(pdu), info: `Aprende ${arp.senderIp} → ${arp.senderMac}` });
+
+        // Packets parked for this neighbor leave now
+        const resolved = w => w.device === device && w.nextIp === arp.senderIp && w.iface.name === iface.name;
+        this.arpRequests = this.arpRequests.filter(r => !resolved(r));
+        this.queue = this.queue.filter(q => q.kind !== 'arp-timeout' || !resolved(q));
+        const parked = this.waitingArp.filter(resolved);
+        this.waitingArp = this.waitingArp.filter(w => !resolved(w));
+        parked.forEach(w => {
+            const event = this.record({ ...item, from: null }, {
+                action: 'send', outInterface: w.iface.name, pdu: PacketEngine.clone(w.pdu),
+                info: `${PacketEngine.ICMP_NAMES[w.pdu.icmp.type]} en espera enviado a ${w.nextIp}`
+            });
+            event.outPdu = this.sendPacket(item, w.iface, w.nextIp, w.pdu);
+        });
+    }
+
+    // IP processing in the order of IOS (see NetworkSimulator.routePacket)
+    receivePacket(item, arrival) {
+        const { pdu } = item;
+        const received = PacketEngine.clone(pdu);
+        const step = this.route(item.device, arrival, pdu);
+        const notes = [
+            ...step.unfilteredAcls.map(a => `ACL ${a.number} de ${a.direction === 'in' ? 'entrada' : 'salida'} en ${a.iface.name} no se aplica: solo filtra IPv4`),
+            ...step.translations.map(t => `NAT: ${t.field === 'source' ? 'origen' : 'destino'} ${t.from} → ${t.to}`)
+        ];
+
+        if (step.action === 'deliver') {
+            this.deliver(item, arrival, received, pdu, notes);
+        } else if (step.action === 'drop' && step.icmp) {
+            this.reject(item, arrival, received, step.icmp.type, step.icmp.code, step.reason);
+        } else if (step.action === 'drop') {
+            this.record(item, { action: 'drop', inInterface: arrival.name, pdu: received, info: step.reason });
+        } else {
+            const event = this.record(item, {
+                action: 'forward', inInterface: arrival.name, outInterface: step.iface.name, pdu: received,
+                info: [`Reenvía a ${step.nextIp} por ${step.iface.name}`, ...notes].join('. ')
+            });
+            event.outPdu = this.sendPacket(item, step.iface, step.nextIp, pdu);
+        }
+    }
+
+    deliver(item, arrival, received, pdu, notes) {
+        const icmp = pdu.icmp;
+        if (icmp.type !== 'echo-request') {
+            this.record(item, {
+                action: 'deliver', inInterface: arrival.name, pdu: received,
+                info: [`${PacketEngine.ICMP_NAMES[icmp.type]} recibido de ${pdu.ip.src}`, ...notes].join('. ')
+            });
+            return;
+        }
+
+        this.record(item, {
+            action: 'deliver', inInterface: arrival.name, pdu: received,
+            info: [`Echo Request para ${pdu.ip.dst}: responde con Echo Reply`, ...notes].join('. ')
+        });
+        const reply = this.createIcmp(pdu.ip.version, pdu.ip.dst, pdu.ip.src, this.sim.getInitialTTL(item.device), 'echo-reply', 0, icmp.id, icmp.seq);
+        this.schedule(item.time, { kind: 'originate', device: item.device, pdu: reply });
+    }
+
+    // Drops a packet; routers tell the source with an ICMP error sent from the interface
+    // the packet came in on (never in answer to another ICMP error)
+    reject(item, arrival, received, type, code, reason) {
+        this.record(item, { action: 'drop', inInterface: arrival.name, pdu: received, info: reason });
+        if (item.device.type !== 'Router' || !['echo-request', 'echo-reply'].includes(received.icmp.type)) return;
+
+        const src = this.sim.getSourceAddress(arrival, received.ip.src);
+        const error = this.createIcmp(received.ip.version, src, received.ip.src, this.sim.getInitialTTL(item.device), type, code, received.icmp.id, received.icmp.seq);
+        this.schedule(item.time, { kind: 'originate', device: item.device, pdu: error });
+    }
+
+    // Nobody answered an ARP request: parked packets are lost
+    arpTimeout(item) {
+        const { device, iface, nextIp } = item;
+        const matches = w => w.device === device && w.iface === iface && w.nextIp === nextIp;
+        if (!this.arpRequests.some(matches)) return;
+
+        this.arpRequests = this.arpRequests.filter(r => !matches(r));
+        const parked = this.waitingArp.filter(matches);
+        this.waitingArp = this.waitingArp.filter(w => !matches(w));
+        if (parked.length === 0) {
+            this.record(item, { action: 'drop', outInterface: iface.name, info: `Sin respuesta ARP de ${nextIp}` });
+        }
+        parked.forEach(w => {
+            this.record(item, { action: 'drop', outInterface: iface.name, pdu: PacketEngine.clone(w.pdu), info: `Sin respuesta ARP de ${nextIp}: host de destino inalcanzable` });
+        });
+    }
+}
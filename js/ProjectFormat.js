@@ -0,0 +1,275 @@
+// The .netsim project format. Files carry a formatVersion; older files are brought up to
+// date by MIGRATIONS (one step per version) and then validated before anything in the
+// simulator is replaced, so a malformed lab is reported instead of half loaded.
+//
+// Version history:
+//   1  No formatVersion. Interfaces without MAC addresses and without console ports;
+//      hosts kept their address only on the device.
+//   2  formatVersion, simulator logs, every Device and Interface field.
+//   3  Servers have an RS232 console port, like the other hosts.
+class ProjectFormat {
+    static VERSION = 3;
+    static DEVICE_TYPES = ['PC', 'Laptop', 'Server', 'Switch', 'Router'];
+    static INTERFACE_TYPES = ['ethernet', 'serial', 'console'];
+    // Fields of every access list entry that must be an IPv4 address (or wildcard)
+    static ACL_ENTRY_IPS = ['source', 'sourceWildcard', 'destination', 'destWildcard'];
+
+    // Lists inside the device services that restore() rebuilds: 'ip' for lists of IPv4
+    // addresses, otherwise lists of objects and the fields of each that must be an IPv4 address
+    static SERVICE_LISTS = {
+        rip: { networks: 'ip', routes: [] },
+        ospf: { networks: ['network', 'wildcard'] },
+        dhcpServer: { pools: ['startIp', 'endIp', 'mask'], excluded: ['from', 'to'], leases: ['ip'] },
+        dnsService: { records: ['ip'] },
+        nat: { statics: ['local', 'global'], pools: ['startIp', 'endIp', 'mask'], rules: [], translations: [] }
+    };
+
+    // MIGRATIONS[n] turns version n data into version n + 1 (in place). They only fill in
+    // what is missing, and must cope with malformed data (validation comes afterwards).
+    static MIGRATIONS = {
+        1: data => {
+            const consoles = { Router: 'Console', Switch: 'Console', PC: 'RS232', Laptop: 'RS232', Server: 'RS232' };
+            (Array.isArray(data.devices) ? data.devices : []).forEach(d => {
+                if (!d || !Array.isArray(d.interfaces)) return;
+                const port = consoles[d.type];
+                if (port && !d.interfaces.some(i => i && i.type === 'console')) {
+                    d.interfaces.push({ name: port, type: 'console' });
+                }
+                d.interfaces.forEach((iface, idx) => {
+                    if (iface && !iface.mac) iface.mac = NetworkUtils.generateMac(d.id, idx + 1);
+                });
+                // Hosts: the device address now lives on the first interface
+                const first = d.interfaces[0];
+                if (d.type !== 'Router' && d.type !== 'Switch' && first && !first.ip && d.ip) {
+                    first.ip = d.ip;
+                    first.mask = d.mask || '';
+                }
+            });
+            data.logs = Array.isArray(data.logs) ? data.logs : [];
+        },
+        2: data => {
+            (Array.isArray(data.devices) ? data.devices : []).forEach(d => {
+                if (!d || d.type !== 'Server' || !Array.isArray(d.interfaces)) return;
+                if (d.interfaces.some(i => i && i.type === 'console')) return;
+                d.interfaces.push({ name: 'RS232', type: 'console', mac: NetworkUtils.generateMac(d.id, d.interfaces.length + 1) });
+            });
+        }
+    };
+
+    static serialize(sim) {
+        return {
+            format: 'netsim',
+            formatVersion: ProjectFormat.VERSION,
+            devices: sim.devices,
+            textLabels: sim.textLabels,
+            nextId: sim.nextId,
+            nextTextId: sim.nextTextId,
+            logs: sim.logs
+        };
+    }
+
+    // File text → { data, migratedFrom } or { errors: [message] }
+    static parse(text) {
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (err) {
+            return { errors: [`El archivo no es JSON válido (${err.message})`] };
+        }
+        return ProjectFormat.load(raw);
+    }
+
+    // Parsed data of any version → { data, migratedFrom } or { errors }. The input is not modified.
+    static load(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { errors: ['El archivo no contiene un proyecto'] };
+
+        const version = raw.formatVersion === undefined ? 1 : raw.formatVersion;
+        if (!Number.isInteger(version) || version < 1) return { errors: [`formatVersion inválido: ${JSON.stringify(raw.formatVersion)}`] };
+        if (version > ProjectFormat.VERSION) {
+            return { errors: [`El archivo usa el formato ${version}, más reciente que el admitido (${ProjectFormat.VERSION}). Actualice el simulador.`] };
+        }
+
+        const data = JSON.parse(JSON.stringify(raw));
+        for (let v = version; v < ProjectFormat.VERSION; v++) ProjectFormat.MIGRATIONS[v](data);
+        data.formatVersion = ProjectFormat.VERSION;
+
+        const errors = ProjectFormat.validate(data);
+        if (errors.length > 0) return { errors };
+        return { data, migratedFrom: version < ProjectFormat.VERSION ? version : null };
+    }
+
+    // Current-version data → list of problems, each naming the device/interface at fault
+    static validate(data) {
+        const errors = [];
+        if (!Array.isArray(data.devices)) return ['"devices" debe ser una lista'];
+        if (data.textLabels !== undefined && !Array.isArray(data.textLabels)) errors.push('"textLabels" debe ser una lista');
+        if (!Array.isArray(data.logs)) errors.push('"logs" debe ser una lista');
+
+        const ids = new Set();
+        data.devices.forEach((d, idx) => {
+            const where = `Dispositivo #${idx + 1}${d && typeof d.name === 'string' ? ` "${d.name}"` : ''}`;
+            if (!d || typeof d !== 'object') {
+                errors.push(`${where}: no es un objeto`);
+                return;
+            }
+            if (!Number.isInteger(d.id) || d.id < 1) errors.push(`${where}: "id" debe ser un entero positivo`);
+            else if (ids.has(d.id)) errors.push(`${where}: el id ${d.id} está repetido`);
+            ids.add(d.id);
+            if (!ProjectFormat.DEVICE_TYPES.includes(d.type)) errors.push(`${where}: tipo desconocido ${JSON.stringify(d.type)}`);
+            if (typeof d.name !== 'string' || !d.name) errors.push(`${where}: falta el nombre`);
+            if (!Number.isFinite(d.x) || !Number.isFinite(d.y)) errors.push(`${where}: posición (x, y) inválida`);
+            ['staticRoutes', 'ipv6StaticRoutes', 'accessLists', 'vlans', 'connections', 'arpCache', 'macTable'].forEach(key => {
+                if (d[key] !== undefined && !Array.isArray(d[key])) errors.push(`${where}: "${key}" debe ser una lista`);
+            });
+            const list = key => (Array.isArray(d[key]) ? d[key] : []);
+            list('staticRoutes').forEach((r, n) => {
+                if (!r || !NetworkUtils.isValidIp(r.network) || !NetworkUtils.isValidMask(r.mask)) {
+                    errors.push(`${where}: la ruta estática #${n + 1} no tiene red y máscara válidas`);
+                }
+            });
+            list('ipv6StaticRoutes').forEach((r, n) => {
+                if (!r || typeof r.network !== 'string' || !NetworkUtils.isValidIpv6(r.network) ||
+                    !Number.isInteger(r.mask) || r.mask < 0 || r.mask > 128) {
+                    errors.push(`${where}: la ruta estática IPv6 #${n + 1} no tiene prefijo y longitud válidos`);
+                }
+            });
+            list('accessLists').forEach((acl, n) => {
+                if (!acl || !AccessList.isValidNumber(acl.number) || !Number.isInteger(acl.number)) {
+                    errors.push(`${where}: la lista de acceso #${n + 1} no tiene un número válido (1-199)`);
+                } else if (!Array.isArray(acl.entries)) {
+                    errors.push(`${where}: la lista de acceso ${acl.number} no tiene una lista de entradas`);
+                } else if (acl.entries.some(e => !e || (e.action !== 'permit' && e.action !== 'deny'))) {
+                    errors.push(`${where}: la lista de acceso ${acl.number} tiene entradas sin permit/deny`);
+                } else {
+                    acl.entries.forEach((e, k) => ProjectFormat.ACL_ENTRY_IPS.filter(f => !NetworkUtils.isValidIp(e[f]))
+                        .forEach(f => errors.push(`${where}: lista de acceso ${acl.number} #${k + 1}: IP inválida en "${f}" ${JSON.stringify(e[f])}`)));
+                }
+            });
+            // Learned tables: the simulator ages and looks up every entry
+            list('arpCache').forEach((e, n) => {
+                if (!e || !(NetworkUtils.isValidIp(e.ip) || (typeof e.ip === 'string' && NetworkUtils.isValidIpv6(e.ip))) ||
+                    typeof e.mac !== 'string' || typeof e.iface !== 'string' || !Number.isFinite(e.lastSeen)) {
+                    errors.push(`${where}: la entrada ARP #${n + 1} no tiene IP, MAC, interfaz y hora válidas`);
+                }
+            });
+            list('macTable').forEach((e, n) => {
+                if (!e || !Number.isInteger(e.vlan) || typeof e.mac !== 'string' || typeof e.port !== 'string' || !Number.isFinite(e.lastSeen)) {
+                    errors.push(`${where}: la entrada #${n + 1} de la tabla MAC no tiene VLAN, MAC, puerto y hora válidos`);
+                }
+            });
+            list('vlans').forEach((v, n) => {
+                if (!v || !Number.isInteger(v.id) || v.id < 1 || v.id > 4094 || typeof v.name !== 'string') {
+                    errors.push(`${where}: la VLAN #${n + 1} no tiene id (1-4094) y nombre válidos`);
+                }
+            });
+            Object.entries(ProjectFormat.SERVICE_LISTS).forEach(([service, lists]) => {
+                const value = d[service];
+                if (value === undefined) return;
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${where}: "${service}" debe ser un objeto`);
+                    return;
+                }
+                Object.entries(lists).forEach(([key, fields]) => {
+                    const items = value[key];
+                    if (items === undefined) return;
+                    if (!Array.isArray(items)) {
+                        errors.push(`${where}: "${service}.${key}" debe ser una lista`);
+                        return;
+                    }
+                    items.forEach((item, n) => {
+                        const at = `${where}: ${service}.${key} #${n + 1}`;
+                        if (fields === 'ip') {
+                            if (!NetworkUtils.isValidIp(item)) errors.push(`${at}: IP inválida ${JSON.stringify(item)}`);
+                        } else if (!item || typeof item !== 'object') {
+                            errors.push(`${at}: no es un objeto`);
+                        } else {
+                            fields.filter(f => !NetworkUtils.isValidIp(item[f]))
+                                .forEach(f => errors.push(`${at}: IP inválida en "${f}" ${JSON.stringify(item[f])}`));
+                        }
+                    });
+                });
+            });
+            if (!Array.isArray(d.interfaces)) {
+                errors.push(`${where}: "interfaces" debe ser una lista`);
+                return;
+            }
+
+            const names = new Set();
+            d.interfaces.forEach((iface, n) => {
+                const at = `${where}, interfaz #${n + 1}${iface && typeof iface.name === 'string' ? ` "${iface.name}"` : ''}`;
+                if (!iface || typeof iface !== 'object') {
+                    errors.push(`${at}: no es un objeto`);
+                    return;
+                }
+                if (typeof iface.name !== 'string' || !iface.name) errors.push(`${at}: falta el nombre`);
+                else if (names.has(iface.name)) errors.push(`${at}: nombre repetido en el dispositivo`);
+                names.add(iface.name);
+                if (!ProjectFormat.INTERFACE_TYPES.includes(iface.type)) errors.push(`${at}: tipo desconocido ${JSON.stringify(iface.type)}`);
+                if (iface.ip && !NetworkUtils.isValidIp(iface.ip)) errors.push(`${at}: IP inválida "${iface.ip}"`);
+                if (iface.mask && !NetworkUtils.isValidMask(iface.mask)) errors.push(`${at}: máscara inválida "${iface.mask}"`);
+                if (iface.ipv6 && (typeof iface.ipv6 !== 'string' || !NetworkUtils.isValidIpv6(iface.ipv6))) {
+                    errors.push(`${at}: IPv6 inválida ${JSON.stringify(iface.ipv6)}`);
+                }
+                if (iface.ipv6Prefix !== undefined && (!Number.isInteger(iface.ipv6Prefix) || iface.ipv6Prefix < 0 || iface.ipv6Prefix > 128)) {
+                    errors.push(`${at}: longitud de prefijo IPv6 inválida ${JSON.stringify(iface.ipv6Prefix)} (0-128)`);
+                }
+            });
+        });
+
+        // Links: both ends must exist and point at each other
+        data.devices.forEach((d, idx) => {
+            if (!d || !Array.isArray(d.interfaces)) return;
+            d.interfaces.forEach((iface, n) => {
+                if (!iface || iface.connectedDeviceId === null || iface.connectedDeviceId === undefined) return;
+                const at = `Dispositivo #${idx + 1} "${d.name}", interfaz #${n + 1} "${iface.name}"`;
+                const peer = data.devices.find(p => p && p.id === iface.connectedDeviceId);
+                const peerIface = peer && Array.isArray(peer.interfaces) &&
+                    peer.interfaces.find(i => i && i.name === iface.connectedInterfaceName);
+                if (!peerIface) {
+                    errors.push(`${at}: conectada a ${iface.connectedDeviceId}/${iface.connectedInterfaceName}, que no existe`);
+                } else if (peerIface.connectedDeviceId !== d.id || peerIface.connectedInterfaceName !== iface.name) {
+                    errors.push(`${at}: el otro extremo (${peer.name} ${peerIface.name}) no está conectado a ella`);
+                }
+            });
+        });
+
+        if (!Number.isInteger(data.nextId) || data.nextId <= Math.max(0, ...ids)) {
+            errors.push(`"nextId" debe ser un entero mayor que todos los id de dispositivo`);
+        }
+        return errors;
+    }
+
+    // Replaces the simulator contents with validated, current-version data, rebuilding
+    // every model object with its class (Device, Interface, Route, services...)
+    static restore(sim, data) {
+        // Every device is rebuilt before anything is replaced: if one throws, sim is untouched
+        const devices = data.devices.map(d => ProjectFormat.restoreDevice(d));
+        sim.devices = devices;
+        sim.textLabels = data.textLabels || [];
+        sim.nextId = data.nextId;
+        sim.nextTextId = data.nextTextId || 1;
+        sim.logs = data.logs || [];
+    }
+
+    static restoreDevice(d) {
+        const dev = Object.assign(new Device(d.id, d.type, d.name, d.ip, d.mask, d.gateway, d.x, d.y), d);
+        const route = code => r => Object.assign(new Route(code, r.network, r.mask), r);
+
+        dev.interfaces = d.interfaces.map(i => Object.assign(new Interface(i.name, i.type), i));
+        // 'down' only lasts while a new cable negotiates (connectInterfaces); a restored cable is an
+        // established link, whatever the moment it was saved. Shutdown and cuts have their own fields.
+        dev.interfaces.forEach(i => {
+            if (i.connectedDeviceId) i.status = 'up';
+        });
+        dev.staticRoutes = (d.staticRoutes || []).map(route('S'));
+        dev.ipv6StaticRoutes = (d.ipv6StaticRoutes || []).map(route('S'));
+        dev.accessLists = (d.accessLists || []).map(a => Object.assign(new AccessList(a.number), a));
+        dev.rip = Object.assign(new RipProcess(), d.rip);
+        dev.rip.routes = dev.rip.routes.map(route('R'));
+        dev.ospf = Object.assign(new OspfProcess(), d.ospf);
+        dev.dhcpServer = Object.assign(new DhcpServer(), d.dhcpServer);
+        dev.dnsService = Object.assign(new DnsService(), d.dnsService);
+        dev.nat = Object.assign(new NatService(), d.nat);
+        return dev;
+    }
+}
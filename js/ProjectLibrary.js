@@ -0,0 +1,103 @@
+// Named projects kept in the browser (localStorage), so a page refresh loses nothing and
+// several labs can live side by side without files. The index lists the projects; each
+// one's data (the .netsim contents) is stored under its own key.
+class ProjectLibrary {
+    static INDEX_KEY = 'netsim.library';
+    static PROJECT_PREFIX = 'netsim.project.';
+
+    constructor(storage) {
+        this.storage = storage;
+        this.index = this.readIndex(); // { nextId, currentId, projects: [{ id, name, updated }] }
+    }
+
+    readIndex() {
+        const empty = { nextId: 1, currentId: null, projects: [] };
+        try {
+            return { ...empty, ...JSON.parse(this.storage.getItem(ProjectLibrary.INDEX_KEY)) };
+        } catch (err) {
+            return empty; // Missing or corrupt index: start over
+        }
+    }
+
+    writeIndex() {
+        this.storage.setItem(ProjectLibrary.INDEX_KEY, JSON.stringify(this.index));
+    }
+
+    // Most recently modified first
+    list() {
+        return [...this.index.projects].sort((a, b) => b.updated.localeCompare(a.updated));
+    }
+
+    get(id) {
+        return this.index.projects.find(p => p.id === id) || null;
+    }
+
+    get current() {
+        return this.get(this.index.currentId);
+    }
+
+    setCurrent(id) {
+        this.index.currentId = id;
+        this.writeIndex();
+    }
+
+    // A name not used by another project: 'Base', 'Base (2)', 'Base (3)'...
+    uniqueName(base, exceptId = null) {
+        const taken = name => this.index.projects.some(p => p.id !== exceptId && p.name === name);
+        let name = base;
+        for (let n = 2; taken(name); n++) name = `${base} (${n})`;
+        return name;
+    }
+
+    // data: project contents as an object or an already serialized JSON string
+    create(name, data) {
+        const project = { id: this.index.nextId++, name: this.uniqueName(name), updated: new Date().toISOString() };
+        this.storage.setItem(ProjectLibrary.PROJECT_PREFIX + project.id, typeof data === 'string' ? data : JSON.stringify(data));
+        this.index.projects.push(project);
+        this.writeIndex();
+        return project;
+    }
+
+    // Throws if the browser storage is full
+    save(id, data) {
+        const project = this.get(id);
+        if (!project) return false;
+        this.storage.setItem(ProjectLibrary.PROJECT_PREFIX + id, typeof data === 'string' ? data : JSON.stringify(data));
+        project.updated = new Date().toISOString();
+        this.writeIndex();
+        return true;
+    }
+
+    // Stored contents as a plain object (null if missing or unreadable)
+    load(id) {
+        try {
+            return JSON.parse(this.storage.getItem(ProjectLibrary.PROJECT_PREFIX + id));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Returns an error message, or null on success
+    rename(id, name) {
+        const project = this.get(id);
+        if (!project) return 'El proyecto no existe';
+        if (!name) return 'El nombre no puede estar vacío';
+        if (this.uniqueName(name, id) !== name) return `Ya existe un proyecto llamado "${name}"`;
+        project.name = name;
+        this.writeIndex();
+        return null;
+    }
+
+    duplicate(id) {
+        const project = this.get(id);
+        if (!project) return null;
+        return this.create(`${project.name} (copia)`, this.storage.getItem(ProjectLibrary.PROJECT_PREFIX + id));
+    }
+
+    remove(id) {
+        this.storage.removeItem(ProjectLibrary.PROJECT_PREFIX + id);
+        this.index.projects = this.index.projects.filter(p => p.id !== id);
+        if (this.index.currentId === id) this.index.currentId = null;
+        this.writeIndex();
+    }
+}
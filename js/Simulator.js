@@ -13,6 +13,7 @@ class NetworkSimulator {
         this.textLabels = []; // {id, x, y, text}
         this.nextTextId = 1;
         this.logs = []; // Connectivity logs
+        this.ripClock = 0; // RIP update intervals elapsed
     }
 
     addDevice(type, x, y) {
@@ -28,12 +29,15 @@ class NetworkSimulator {
             device.addInterface('FastEthernet0/1', 'ethernet');
             device.addInterface('Serial0/0/0', 'serial');
             device.addInterface('Serial0/0/1', 'serial');
+            device.addInterface('Console', 'console');
         } else if (type === 'Switch') {
             // 24 Ports
             for (let i = 1; i <= 24; i++) device.addInterface(`FastEthernet0/${i}`, 'ethernet');
+            device.addInterface('Console', 'console');
         } else {
             // PC, Laptop, Server
             device.addInterface('FastEthernet0', 'ethernet');
+            device.addInterface('RS232', 'console');
         }
 
         this.devices.push(device);
@@ -61,24 +65,86 @@ class NetworkSimulator {
         const d1 = this.getDevice(id1);
         const d2 = this.getDevice(id2);
 
+        const unplug = iface => {
+            iface.connectedDeviceId = null;
+            iface.connectedInterfaceName = null;
+            iface.cable = null;
+            iface.serialRole = null;
+            iface.linkFailed = false;
+        };
         if (d1) {
             const i1 = d1.getInterface(iface1Name);
-            if (i1) { i1.connectedDeviceId = null; i1.connectedInterfaceName = null; }
+            if (i1) unplug(i1);
             d1.disconnect(id2);
         }
         if (d2) {
             const i2 = d2.getInterface(iface2Name);
-            if (i2) { i2.connectedDeviceId = null; i2.connectedInterfaceName = null; }
+            if (i2) unplug(i2);
             d2.disconnect(id1);
         }
     }
 
+    // Why a cable cannot be plugged between two interfaces (null if it can).
+    // cable: 'straight', 'crossover', 'serial-dce' / 'serial-dte' (DCE/DTE end on i1), 'console'
+    getCablePlugError(cable, i1, i2) {
+        const ports = { straight: 'ethernet', crossover: 'ethernet', 'serial-dce': 'serial', 'serial-dte': 'serial', console: 'console' };
+        const port = ports[cable];
+        if (!port) return "Tipo de cable desconocido";
+        if (i1.type !== port || i2.type !== port) {
+            const names = { ethernet: 'puertos Ethernet', serial: 'puertos seriales', console: 'puertos de consola' };
+            return `Este cable solo se conecta entre ${names[port]}`;
+        }
+        return null;
+    }
+
+    // Cable an Ethernet link between two devices needs without auto-MDIX:
+    // switches are MDI-X, everything else MDI; alike ends need a crossover.
+    getRequiredEthernetCable(d1, d2) {
+        return (d1.type === 'Switch') === (d2.type === 'Switch') ? 'crossover' : 'straight';
+    }
+
+    // Why a plugged link cannot come up (null if it can): wrong Ethernet cable,
+    // console cables (no data plane) or a serial DCE end without clock rate
+    getLinkFault(d1, i1, d2, i2) {
+        if (!i1.cable) return null; // Links cabled before cable types existed
+        if (i1.cable === 'console') return "Cable de consola (solo gestión)";
+        if (i1.cable === 'serial') {
+            const dce = i1.serialRole === 'DCE' ? i1 : i2;
+            return dce.clockRate ? null : `Falta clock rate en el extremo DCE (${dce.name})`;
+        }
+        if (d1.autoMdix || d2.autoMdix) return null;
+        const needed = this.getRequiredEthernetCable(d1, d2);
+        if (i1.cable === needed) return null;
+        return `Cable incorrecto: se requiere cable ${needed === 'straight' ? 'directo' : 'cruzado'}`;
+    }
+
     getDevice(id) {
         return this.devices.find(d => d.id === id);
     }
 
-    // Connect specific interfaces
-    connectInterfaces(id1, ifName1, id2, ifName2) {
+    // Cuts (or repairs) the cable plugged into an interface
+    setLinkFailed(deviceId, ifaceName, failed) {
+        const device = this.getDevice(deviceId);
+        const iface = device ? device.getInterface(ifaceName) : null;
+        if (!iface || !iface.connectedDeviceId) return false;
+
+        const peer = this.getDevice(iface.connectedDeviceId);
+        const peerIface = peer ? peer.getInterface(iface.connectedInterfaceName) : null;
+        iface.linkFailed = failed;
+        if (peerIface) peerIface.linkFailed = failed;
+        return true;
+    }
+
+    setDeviceFailed(id, failed) {
+        const device = this.getDevice(id);
+        if (!device) return false;
+        device.failed = failed;
+        return true;
+    }
+
+    // Connect specific interfaces. Without a cable type, the one the ports call for is
+    // used (the right Ethernet cable, DCE on the first serial end, console).
+    connectInterfaces(id1, ifName1, id2, ifName2, cable = null) {
         const d1 = this.getDevice(id1);
         const d2 = this.getDevice(id2);
 
@@ -90,11 +156,16 @@ class NetworkSimulator {
         if (!i1 || !i2) return false;
         if (i1.connectedDeviceId || i2.connectedDeviceId) return false;
 
-        // Validate types usually (Serial-Serial, Eth-Eth), but we allow flexible for now or enforce?
-        // Let's enforce roughly
-        if (i1.type !== i2.type) {
-            // alert? Warning? For now allow but maybe warn in console
-            console.warn("Connecting different cable types");
+        if (!cable) {
+            const cables = { ethernet: this.getRequiredEthernetCable(d1, d2), serial: 'serial-dce', console: 'console' };
+            cable = cables[i1.type];
+        }
+        if (this.getCablePlugError(cable, i1, i2)) return false;
+        const serial = cable.startsWith('serial');
+        i1.cable = i2.cable = serial ? 'serial' : cable;
+        if (serial) {
+            i1.serialRole = cable === 'serial-dce' ? 'DCE' : 'DTE';
+            i2.serialRole = cable === 'serial-dce' ? 'DTE' : 'DCE';
         }
 
         i1.connectedDeviceId = id2;
@@ -119,7 +190,8 @@ class NetworkSimulator {
         return true;
     }
 
-    testConnectivity(sourceId, targetId) {
+    // Pings a device. With destIp only that address of the target is tried.
+    testConnectivity(sourceId, targetId, destIp = null) {
         const source = this.getDevice(parseInt(sourceId));
         const target = this.getDevice(parseInt(targetId));
 
@@ -130,355 +202,1396 @@ class NetworkSimulator {
             return { success: false, msg: "Error: No se puede hacer ping a sí mismo" };
         }
 
-        if (!this.checkPhysicalPath(source.id, target.id)) {
-            return { success: false, msg: "Error: No existe conexión física (cable) entre los dispositivos" };
-        }
-
-        if (!source.ip && source.type !== 'Router') return { success: false, msg: "Error: Configuración IP faltante en Origen" };
+        // IPv6 sources always have at least their link-local address
+        const ipv6 = !!destIp && NetworkUtils.isIpv6(destIp);
+        const sourceAddressed = destIp ? ipv6 || !!source.ip : this.getDeviceIPs(source).length > 0;
+        if (!sourceAddressed && source.type !== 'Router') return { success: false, msg: "Error: Configuración IP faltante en Origen" };
         // Router might behave without global IP if we ping from an interface, but here we assume general device ping
 
-        let result = { success: false, msg: "Tiempo de espera agotado" };
+        const targetIPs = destIp ? [destIp] : this.getDeviceIPs(target, source);
+        if (targetIPs.length === 0) return { success: false, msg: "Error: Configuración IP faltante en Destino" };
 
-        if (this.checkRoutingPath(source, target)) {
-            // Generate success message with plausible TTL and Time
-            // Distance estimation could be improved but constant is fine for now
-            let replyIP = target.ip;
-            if (target.type === 'Router') {
-                // Try to pick an IP that is reachable or just the first one
-                const reachableIface = target.interfaces.find(i => i.ip);
-                replyIP = reachableIface ? reachableIface.ip : 'Router';
-            }
-            result = { success: true, msg: `Respuesta desde ${replyIP}: bytes=32 tiempo=5ms TTL=248` };
-        } else {
-            if (source.gateway && !NetworkUtils.isSameSubnet(source.ip, source.gateway, source.mask)) {
-                result = { success: false, msg: "Error: Gateway inalcanzable (fuera de subred)" };
+        const path = this.resolvePingPath(source, target, targetIPs);
+        if (!path.success) {
+            this.countAclMatches(path.request, path.reply);
+            return { success: false, msg: this.describePingFailure(source, path) };
+        }
+
+        // Four echo requests. A router that had to ARP drops the packet that triggered
+        // the request (hosts queue it), so the first echo may be lost.
+        const lines = [];
+        let received = 0;
+        let attempt = path;
+        for (let seq = 0; seq < 4; seq++) {
+            if (seq > 0) attempt = this.resolvePingPath(source, target, targetIPs);
+            this.countAclMatches(attempt.request, attempt.reply);
+            if (!attempt.success) {
+                lines.push(this.describePingFailure(source, attempt));
+            } else if (this.lostToArp(attempt)) {
+                lines.push("Tiempo de espera agotado para esta solicitud.");
             } else {
-                result = { success: false, msg: "Red de destino inalcanzable" };
+                // TTL seen by the source: initial TTL of the replier minus routers crossed on the way back
+                const ttl = this.getInitialTTL(target) - attempt.reply.routersCrossed;
+                // Windows leaves size and TTL out of IPv6 echo replies
+                lines.push(NetworkUtils.isIpv6(attempt.destIp) ? `Respuesta desde ${attempt.destIp}: tiempo=5ms` : `Respuesta desde ${attempt.destIp}: bytes=32 tiempo=5ms TTL=${ttl}`);
+                received++;
             }
         }
 
-        // Append Explicit Success Message
-        if (result.success) {
-            const targetName = target.type === 'Router' ? 'Router' : target.ip;
-            result.msg += `\n\nEstadísticas de ping para ${targetName}:\n    Paquetes: Enviados = 4, Recibidos = 4, Perdidos = 0 (0% perdidos)`;
-        }
+        // The target saw (and answered) the translated addresses
+        path.request.translations.forEach(t => {
+            lines.push(`NAT en ${t.device.name}: ${t.field === 'source' ? 'origen' : 'destino'} ${t.from} traducido a ${t.to}`);
+        });
+        // Numbered ACLs do not apply to IPv6: tell which ones the echo went through unchecked
+        const unfiltered = [...path.request.unfilteredAcls, ...path.reply.unfilteredAcls]
+            .map(a => `ACL ${a.number} en ${a.device.name} (${a.iface.name} ${a.direction}): solo filtra IPv4, el tráfico IPv6 pasa sin comprobar`);
+        lines.push(...new Set(unfiltered));
+
+        const lost = 4 - received;
+        const targetName = destIp || (target.type === 'Router' ? 'Router' : path.destIp);
+        const msg = lines.join('\n') +
+            `\n\nEstadísticas de ping para ${targetName}:\n    Paquetes: Enviados = 4, Recibidos = ${received}, Perdidos = ${lost} (${lost * 25}% perdidos)`;
+
+        return { success: received > 0, msg };
+    }
 
-        return result;
+    // Text a failed echo produces at the source
+    describePingFailure(source, path) {
+        const request = path.request;
+        if (request.success) {
+            // A reply filtered by an ACL on the way back simply never arrives
+            if (path.reply.prohibited) return "Tiempo de espera agotado para esta solicitud.";
+            // Request arrived but the reply could not find its way back
+            return "Tiempo de espera agotado (el destino no tiene ruta de regreso)";
+        }
+        if (request.failedAt === source) {
+            // Source could not ARP its next hop: it reports the failure itself
+            if (request.arpFailed && request.sourceIp) return `Respuesta desde ${request.sourceIp}: Host de destino inalcanzable`;
+            return request.reason;
+        }
+        if (request.arpFailed || request.lost) return "Tiempo de espera agotado para esta solicitud.";
+        const failedIface = request.hops[request.hops.length - 1].inInterface;
+        return `Respuesta desde ${failedIface ? this.getSourceAddress(failedIface, path.destIp) : request.failedAt.name}: ${request.reason}`;
     }
 
-    checkRoutingPath(source, target) {
-        // 1. Check Direct Connection (Same Subnet)
-        const sourceIPs = source.type === 'Router' ? source.interfaces.map(i => i.ip).filter(ip => ip) : (source.ip ? [source.ip] : []);
-        const targetIPs = target.type === 'Router' ? target.interfaces.map(i => i.ip).filter(ip => ip) : (target.ip ? [target.ip] : []);
+    // True when a router on the way (or the replying router) had to ARP for this echo
+    lostToArp(path) {
+        return [...path.request.arpRequesters, ...path.reply.arpRequesters].some(d => d.type === 'Router');
+    }
 
-        for (let sip of sourceIPs) {
-            let sMask = source.type === 'Router' ? source.interfaces.find(i => i.ip === sip).mask : source.mask;
-            if (!sMask) continue;
-            for (let tip of targetIPs) {
-                if (NetworkUtils.isSameSubnet(sip, tip, sMask)) return true;
+    // Tries every IP of the target (or the given ones) and returns the first round
+    // trip that works (or the attempt against the first IP when none does). Only the
+    // attempt returned leaves ARP, MAC and NAT entries behind: the others are undone.
+    resolvePingPath(source, target, destIps = this.getDeviceIPs(target, source)) {
+        const before = destIps.length > 1 ? this.saveLearnedTables() : null;
+        let firstAttempt = null;
+        let afterFirst = null;
+        for (const destIp of destIps) {
+            if (firstAttempt) this.restoreLearnedTables(before);
+            const request = this.tracePacket(source, destIp);
+            let reply = null;
+            if (request.success) {
+                // Reply goes back to the address (and echo identifier) the request arrived
+                // with, so NAT on the way translates it back
+                reply = this.tracePacket(target, request.sourceIp, { protocol: 'icmp', srcPort: null, dstPort: request.sourcePort });
+            }
+            const attempt = { destIp, request, reply, success: !!(reply && reply.success) };
+            if (attempt.success) return attempt;
+            if (!firstAttempt) {
+                firstAttempt = attempt;
+                afterFirst = before && this.saveLearnedTables();
             }
         }
+        if (afterFirst) this.restoreLearnedTables(afterFirst);
+        return firstAttempt || { destIp: null, request: { success: false, hops: [], reason: "Red de destino inalcanzable", aclMatches: [], unfilteredAcls: [] }, reply: null, success: false };
+    }
 
-        // 2. Identify Start Router for Routing
-        let startRouter = null;
+    // Copy of what devices learn from the traffic they see: ARP caches, switch MAC
+    // tables and dynamic NAT translations
+    saveLearnedTables() {
+        return this.devices.map(d => ({
+            device: d,
+            arpCache: d.arpCache.map(e => ({ ...e })),
+            macTable: d.macTable.map(e => ({ ...e })),
+            translations: d.nat ? d.nat.translations.map(t => ({ ...t })) : null
+        }));
+    }
 
-        if (source.type === 'Router') {
-            startRouter = source;
-        } else {
-            // PC/Laptop/Server
-            if (!source.gateway) return false; // No Gateway
+    restoreLearnedTables(saved) {
+        saved.forEach(({ device, arpCache, macTable, translations }) => {
+            device.arpCache = arpCache.map(e => ({ ...e }));
+            device.macTable = macTable.map(e => ({ ...e }));
+            if (translations) device.nat.translations = translations.map(t => ({ ...t }));
+        });
+    }
+
+    // Pings a hostname or IP typed by the user. Names are resolved through the
+    // source's DNS server before any ICMP is sent.
+    pingHost(sourceId, host) {
+        const source = this.getDevice(parseInt(sourceId));
+        if (!source) return { success: false, msg: "Dispositivo no encontrado" };
 
-            // Check if Gateway is reachable (same subnet)
-            if (!NetworkUtils.isSameSubnet(source.ip, source.gateway, source.mask)) return false;
+        const resolved = this.resolveHostname(source, host);
+        if (!resolved.success) return resolved;
 
-            // Find Gateway Device
-            startRouter = this.devices.find(d => d.type === 'Router' && d.interfaces.some(i => i.ip === source.gateway));
-            if (!startRouter) return false; // Gateway device not found or not a Router
+        const owner = this.findDeviceByIp(resolved.ip) || this.findNatInsideHost(resolved.ip);
+        const literal = NetworkUtils.isValidIp(host) || NetworkUtils.isValidIpv6(host);
+        const header = !literal ? `Haciendo ping a ${host} [${resolved.ip}] con 32 bytes de datos:\n` : '';
+        if (!owner) {
+            return { success: false, msg: `${header}Tiempo de espera agotado para esta solicitud.` };
         }
 
-        // 3. BFS Routing
-        return this.findPathBFS(startRouter, target);
+        const res = this.testConnectivity(source.id, owner.device.id, resolved.ip);
+        return { success: res.success, msg: header + res.msg };
     }
 
-    findPathBFS(startRouter, targetDevice) {
-        if (startRouter.id === targetDevice.id) return true;
+    // Resolves a name into an IP with a DNS query that really crosses the network
+    // (query and response). Returns { success, ip } or { success: false, msg }.
+    resolveHostname(source, name) {
+        if (NetworkUtils.isValidIp(name)) return { success: true, ip: name };
+        if (NetworkUtils.isValidIpv6(name)) return { success: true, ip: NetworkUtils.normalizeIpv6(name) };
 
-        let visited = new Set();
-        let queue = [startRouter];
-        visited.add(startRouter.id);
+        const notFound = {
+            success: false,
+            msg: `La solicitud de ping no pudo encontrar el host ${name}. Compruebe el nombre y vuelva a intentarlo.`
+        };
+        if (!source.dnsServer) return notFound;
 
-        while (queue.length > 0) {
-            let current = queue.shift();
+        const server = this.findDeviceByIp(source.dnsServer);
+        if (!server || !server.device.dnsService.enabled) return notFound;
 
-            // Check if current router can directly reach target
-            const targetIPs = targetDevice.type === 'Router' ? targetDevice.interfaces.map(i => i.ip).filter(ip => ip) : [targetDevice.ip];
+        if (server.device !== source) {
+            const dns = { protocol: 'udp', srcPort: null, dstPort: 53 };
+            const query = this.tracePacket(source, source.dnsServer, dns);
+            if (!query.success || !this.tracePacket(server.device, query.sourceIp, { protocol: 'udp', srcPort: 53, dstPort: query.sourcePort }).success) return notFound;
+        }
 
-            for (let iface of current.interfaces) {
-                if (!iface.ip || !iface.mask) continue;
-                for (let tip of targetIPs) {
-                    if (tip && NetworkUtils.isSameSubnet(iface.ip, tip, iface.mask)) {
-                        return true; // Target is directly connected to this router
-                    }
-                }
-            }
+        const ip = server.device.dnsService.lookup(name);
+        return ip ? { success: true, ip } : notFound;
+    }
 
-            // Queue Neighbors
-            for (let iface of current.interfaces) {
-                if (iface.connectedDeviceId) {
-                    const neighbor = this.getDevice(iface.connectedDeviceId);
-                    if (neighbor && neighbor.type === 'Router' && !visited.has(neighbor.id)) {
-                        // Verify Logical Link (Layer 3 connectivity)
-                        const neighborIface = neighbor.getInterface(iface.connectedInterfaceName);
-                        // Check strictly if both sides have IP and match subnet
-                        if (neighborIface && neighborIface.ip && iface.ip && iface.mask) {
-                            if (NetworkUtils.isSameSubnet(iface.ip, neighborIface.ip, iface.mask)) {
-                                visited.add(neighbor.id);
-                                queue.push(neighbor);
-                            }
-                        }
-                    }
-                }
+    // Windows-style 'tracert' to a hostname or IP. Returns { success, msg, hops }.
+    tracertHost(sourceId, host) {
+        const source = this.getDevice(parseInt(sourceId));
+        if (!source) return { success: false, msg: "Dispositivo no encontrado" };
+
+        const resolved = this.resolveHostname(source, host);
+        if (!resolved.success) {
+            return { success: false, msg: `No se puede resolver el nombre de sistema de destino ${host}.`, hops: [] };
+        }
+
+        const trace = this.traceRoute(source, resolved.ip);
+        const target = resolved.ip !== host ? `${host} [${resolved.ip}]` : resolved.ip;
+        const lines = [`Traza a ${target}`, 'sobre un máximo de 30 saltos:', ''];
+        trace.hops.forEach(hop => {
+            const ttl = String(hop.ttl).padStart(3);
+            if (hop.timedOut) {
+                lines.push(`${ttl}     *        *        *     Tiempo de espera agotado para esta solicitud.`);
+            } else {
+                const rtt = hop.rtts.map(ms => `${ms} ms`.padStart(6)).join('  ');
+                lines.push(`${ttl}  ${rtt}  ${hop.ip}${hop.prohibited ? ' informa: Host de destino inalcanzable (prohibido administrativamente).' : ''}`);
             }
+        });
+        lines.push('', trace.reached ? 'Traza completa.' : 'Traza interrumpida.');
+        return { success: trace.reached, msg: lines.join('\n'), hops: trace.hops };
+    }
+
+    // Traceroute: probes with TTL 1, 2, 3... Each router where the TTL expires answers
+    // from its ingress interface, provided its reply can route back to the source.
+    // Stops with a timed-out hop where forwarding breaks.
+    // Returns { reached, hops: [{ ttl, device, ip, rtts, timedOut, prohibited }] }.
+    traceRoute(source, destIp, maxHops = 30) {
+        const request = this.tracePacket(source, destIp);
+        const hops = [];
+        const last = request.hops.length - 1;
+
+        for (let i = 1; i <= last && i <= maxHops; i++) {
+            const { device, inInterface, srcIp, srcPort } = request.hops[i];
+            const isTarget = request.success && i === last;
+            // Answered to the source address the probe had there (before or after NAT)
+            const replied = this.tracePacket(device, srcIp, { protocol: 'icmp', srcPort: null, dstPort: srcPort }).success;
+            // Simulated round trip: a few milliseconds per hop
+            const rtts = [0, 1, 2].map(probe => i * 2 + probe);
+            // The router whose ACL drops the probe answers 'administratively prohibited'
+            const prohibited = !request.success && i === last && request.prohibited;
+            hops.push({ ttl: i, device, ip: isTarget ? destIp : this.getSourceAddress(inInterface, destIp), rtts, timedOut: !replied, prohibited });
+            if (isTarget) return { reached: replied, hops };
+            if (!replied || prohibited) return { reached: false, hops };
         }
-        return false;
+
+        if (hops.length < maxHops) hops.push({ ttl: hops.length + 1, device: null, ip: null, rtts: [], timedOut: true });
+        return { reached: false, hops };
     }
 
-    checkPhysicalPath(startId, endId) {
-        let visited = new Set();
-        let queue = [startId];
-        visited.add(startId);
+    // Addresses a ping can target on a device: IPv4 ones, then global IPv6 ones. With a
+    // source, only the families it has an address in (an IPv6-only host pings over IPv6).
+    getDeviceIPs(device, source = null) {
+        const ipv4 = !source || source.interfaces.some(i => i.ip && i.mask);
+        const ipv6 = !source || source.interfaces.some(i => i.ipv6);
+        return [
+            ...(ipv4 ? device.interfaces.filter(i => i.ip && i.mask).map(i => i.ip) : []),
+            ...(ipv6 ? device.interfaces.filter(i => i.ipv6).map(i => i.ipv6) : [])
+        ];
+    }
 
-        while (queue.length > 0) {
-            let curr = queue.shift();
-            if (curr === endId) return true;
-
-            const device = this.getDevice(curr);
-            if (device) {
-                // BFS using connections
-                // Note: device.connections is simple ID list, acceptable for now
-                for (let neighborId of device.connections) {
-                    if (!visited.has(neighborId)) {
-                        visited.add(neighborId);
-                        queue.push(neighborId);
-                    }
-                }
-            }
+    // Address a packet towards destIp carries when it leaves (or is answered from) iface:
+    // the IPv4 address, or for IPv6 the global address unless the destination is link-local
+    getSourceAddress(iface, destIp) {
+        if (!NetworkUtils.isIpv6(destIp)) return iface.ip;
+        return iface.ipv6 && !NetworkUtils.isLinkLocalIpv6(destIp) ? iface.ipv6 : iface.linkLocal;
+    }
+
+    getInitialTTL(device) {
+        return device.type === 'Router' || device.type === 'Switch' ? 255 : 128;
+    }
+
+    isInterfaceUp(iface) {
+        if (!iface || iface.shutdown) return false;
+        if (iface.parentName) {
+            // Subinterfaces follow their physical interface
+            const owner = this.devices.find(d => d.interfaces.includes(iface));
+            return !!owner && this.isInterfaceUp(owner.getInterface(iface.parentName));
         }
-        return false;
+        if (!iface.connectedDeviceId || iface.status !== 'up' || iface.linkFailed) return false;
+        // Shutting down the far end, or a failed device at either end, also takes the link down
+        const peer = this.getDevice(iface.connectedDeviceId);
+        const peerIface = peer ? peer.getInterface(iface.connectedInterfaceName) : null;
+        if (!peerIface || peerIface.shutdown || peer.failed) return false;
+        const owner = this.getDevice(peerIface.connectedDeviceId);
+        return !!owner && !owner.failed && !this.getLinkFault(owner, iface, peer, peerIface);
+    }
+
+    // Finds which device (and interface) owns an IP
+    findDeviceByIp(ip) {
+        for (const device of this.devices) {
+            const iface = device.getInterfaceByIp(ip);
+            if (iface) return { device, iface };
+        }
+        return null;
     }
 
-    getRoute(sourceId, targetId) {
-        const source = this.getDevice(sourceId);
-        const target = this.getDevice(targetId);
-        if (!source || !target) return null;
+    // Lists the non-switch devices (and the interface they attach with) on the
+    // broadcast domain reached through `iface`, walking across switches.
+    getSegmentMembers(device, iface) {
+        return this.walkL2(device, iface, null, sw => sw.interfaces);
+    }
+
+    // Sends a packet for `nextIp` out of `iface`. Serial links hand it straight to the
+    // peer; Ethernet needs the next hop's MAC (ARP) and a frame through the switches.
+    // Returns { neighbor: { device, iface } | null, arpRequested, arpFailed }.
+    transmit(device, iface, nextIp) {
+        if (iface.type === 'serial') {
+            const peer = this.isInterfaceUp(iface) ? this.getDevice(iface.connectedDeviceId) : null;
+            const neighbor = peer ? { device: peer, iface: peer.getInterface(iface.connectedInterfaceName) } : null;
+            return { neighbor, arpRequested: false, arpFailed: false };
+        }
+
+        const arp = this.resolveArp(device, iface, nextIp);
+        if (!arp.mac) return { neighbor: null, arpRequested: arp.requested, arpFailed: true };
+        const neighbor = this.deliverFrame(device, iface, { srcMac: iface.mac, dstMac: arp.mac })[0] || null;
+        return { neighbor, arpRequested: arp.requested, arpFailed: false };
+    }
 
-        // Path finding logic suitable for this specific simulator (L3 logic)
-        // Similar to checkRoutingPath but returns array of Device objects
+    // --- ARP ---
 
-        // 1. Identify Start Router
-        let startRouter = null;
-        let prefix = [];
+    ageArpCache(device) {
+        const now = Date.now();
+        device.arpCache = device.arpCache.filter(e => now - e.lastSeen < device.arpTimeout * 1000);
+    }
 
-        if (source.type === 'Router') {
-            startRouter = source;
-            prefix.push(source);
+    learnArp(device, ip, mac, ifaceName) {
+        this.ageArpCache(device);
+        const entry = device.arpCache.find(e => e.ip === ip);
+        if (entry) {
+            entry.mac = mac;
+            entry.iface = ifaceName;
+            entry.lastSeen = Date.now();
         } else {
-            prefix.push(source);
-            if (NetworkUtils.isSameSubnet(source.ip, target.ip, source.mask)) {
-                // Direct connection (Switch or direct cable)
-                // For animation, we should ideally find the physical path (Switches)
-                // But for now, direct hop logic: Source -> Target
-                return [source, target];
-            }
-            if (!source.gateway) return null;
-            startRouter = this.devices.find(d => d.type === 'Router' && d.interfaces.some(i => i.ip === source.gateway));
-            // Add intermediate switches if possible, but for now just logical hops
-            if (startRouter) prefix.push(startRouter);
-            else return null; // No gateway found
+            device.arpCache.push({ ip, mac, iface: ifaceName, lastSeen: Date.now() });
+        }
+    }
+
+    lookupArp(device, ip) {
+        this.ageArpCache(device);
+        return device.arpCache.find(e => e.ip === ip) || null;
+    }
+
+    // Resolves `ip` to a MAC on the segment behind `iface`: cache hit, or an ARP
+    // request broadcast through the switches answered with a unicast reply. IPv6
+    // neighbor solicitations work the same way and share the cache.
+    // Returns { mac, requested } (mac is null when nobody answered).
+    resolveArp(device, iface, ip) {
+        const cached = this.lookupArp(device, ip);
+        if (cached && cached.iface === iface.name) return { mac: cached.mac, requested: false };
+
+        const receivers = this.deliverFrame(device, iface, { srcMac: iface.mac, dstMac: NetworkUtils.BROADCAST_MAC });
+        for (const receiver of receivers) {
+            const owner = receiver.iface.hasAddress(ip);
+            if (!owner && !this.canProxyArp(receiver.device, receiver.iface, ip) &&
+                !this.isNatGlobalAddress(receiver.device, receiver.iface, ip)) continue;
+
+            // The target learns the sender from the request, then unicasts the reply back
+            const senderIp = this.getSourceAddress(iface, ip);
+            if (senderIp) this.learnArp(receiver.device, senderIp, iface.mac, receiver.iface.name);
+            this.deliverFrame(receiver.device, receiver.iface, { srcMac: receiver.iface.mac, dstMac: iface.mac });
+            this.learnArp(device, ip, receiver.iface.mac, iface.name);
+            return { mac: receiver.iface.mac, requested: true };
+        }
+        return { mac: null, requested: true };
+    }
+
+    // Routers answer ARP for off-link addresses they have a route to through another
+    // interface (proxy ARP, enabled by default on IOS).
+    canProxyArp(router, iface, ip) {
+        if (router.type !== 'Router' || !iface.ip || !iface.mask || NetworkUtils.isIpv6(ip)) return false;
+        if (NetworkUtils.isSameSubnet(iface.ip, ip, iface.mask)) return false;
+        const route = this.lookupRoute(this.getRoutingTable(router), ip);
+        return !!route && route.exitInterface !== iface.name;
+    }
+
+    // --- Layer 2 switching ---
+
+    // Walks a frame leaving `iface` with 802.1Q `tag` (null = untagged) through the
+    // switches. `selectPorts(sw, vlan, ingress)` picks the candidate egress ports of
+    // each switch. Returns every other device reached with a tag it accepts, as
+    // { device, iface, tag, path } where path lists the switches crossed.
+    walkL2(device, iface, tag, selectPorts) {
+        if (!this.isInterfaceUp(iface)) return [];
+        if (iface.parentName) {
+            // A subinterface sends tagged frames out of its physical interface
+            tag = iface.encapsulationVlan;
+            iface = device.getInterface(iface.parentName);
         }
 
-        // BFS with Path Reconstruction
-        let queue = [{ node: startRouter, path: [startRouter] }];
-        let visited = new Set([startRouter.id]);
+        const reached = [];
+        const visited = new Set([device.id]); // No STP: never revisit a device
+        const queue = [{ deviceId: iface.connectedDeviceId, ifaceName: iface.connectedInterfaceName, tag, path: [] }];
 
         while (queue.length > 0) {
-            let { node: current, path } = queue.shift();
-
-            // Check if current can reach target directly
-            const targetIPs = target.type === 'Router' ? target.interfaces.map(i => i.ip).filter(ip => ip) : [target.ip];
-            let directlyConnected = false;
-            for (let iface of current.interfaces) {
-                if (!iface.ip || !iface.mask) continue;
-                for (let tip of targetIPs) {
-                    if (tip && NetworkUtils.isSameSubnet(iface.ip, tip, iface.mask)) {
-                        directlyConnected = true;
-                        break;
-                    }
-                }
+            const hop = queue.shift();
+            if (visited.has(hop.deviceId)) continue;
+
+            const current = this.getDevice(hop.deviceId);
+            const ingress = current ? current.getInterface(hop.ifaceName) : null;
+            if (!ingress) continue;
+
+            if (current.type === 'Switch') {
+                const vlan = this.ingressVlan(current, ingress, hop.tag);
+                if (vlan === null) continue; // Dropped at the port
+                visited.add(current.id);
+
+                selectPorts(current, vlan, ingress).forEach(port => {
+                    // Known destination on the ingress port: the switch filters the frame
+                    if (port === ingress || !this.isInterfaceUp(port)) return;
+                    const outTag = this.egressTag(port, vlan);
+                    if (outTag === undefined) return;
+                    queue.push({ deviceId: port.connectedDeviceId, ifaceName: port.connectedInterfaceName, tag: outTag, path: [...hop.path, current] });
+                });
+            } else {
+                const receiver = this.receivingInterface(current, ingress, hop.tag);
+                if (!receiver) continue;
+                visited.add(current.id);
+                reached.push({ device: current, iface: receiver, tag: hop.tag, path: hop.path });
             }
+        }
+        return reached;
+    }
 
-            if (directlyConnected) {
-                // Determine if we need to add the target as the final step
-                // If it's the router itself? No, target is destination.
-                if (target.id !== current.id) {
-                    return [...prefix.slice(0, prefix.indexOf(path[0])), ...path, target];
-                }
-                return [...prefix.slice(0, prefix.indexOf(path[0])), ...path];
-            }
+    // VLAN a frame belongs to once it enters a switch port (null = dropped)
+    ingressVlan(sw, port, tag) {
+        let vlan;
+        if (port.mode === 'trunk') {
+            vlan = tag === null ? port.nativeVlan : tag;
+            if (!port.isVlanAllowed(vlan)) return null;
+        } else {
+            if (tag !== null) return null;
+            vlan = port.accessVlan;
+        }
+        return sw.hasVlan(vlan) ? vlan : null;
+    }
 
-            // Neighbors
-            for (let iface of current.interfaces) {
-                if (iface.connectedDeviceId) {
-                    const neighbor = this.getDevice(iface.connectedDeviceId);
-                    if (neighbor && neighbor.type === 'Router' && !visited.has(neighbor.id)) {
-                        const neighborIface = neighbor.getInterface(iface.connectedInterfaceName);
-                        if (neighborIface && neighborIface.ip && iface.ip && iface.mask) {
-                            if (NetworkUtils.isSameSubnet(iface.ip, neighborIface.ip, iface.mask)) {
-                                visited.add(neighbor.id);
-                                queue.push({ node: neighbor, path: [...path, neighbor] });
-                            }
-                        }
-                    }
-                }
-            }
+    // 802.1Q tag a frame leaves a switch port with (null = untagged, undefined = not forwarded)
+    egressTag(port, vlan) {
+        if (port.mode === 'trunk') {
+            if (!port.isVlanAllowed(vlan)) return undefined;
+            return vlan === port.nativeVlan ? null : vlan;
         }
-        return null;
+        return port.accessVlan === vlan ? null : undefined;
     }
-}
 
-// UI Controller
-const sim = new NetworkSimulator();
+    // Interface of a host/router taking a frame that arrives on `ingress`: untagged
+    // frames go to the physical interface, tagged ones to the matching dot1Q subinterface.
+    receivingInterface(device, ingress, tag) {
+        if (tag === null) return ingress;
+        return device.interfaces.find(i => i.parentName === ingress.name && i.encapsulationVlan === tag) || null;
+    }
 
-const UI = {
-    draggedType: null,
-    selectedDeviceId: null,
-    currentTool: 'pointer', // 'pointer' | 'connect' | 'text'
-    connectStartId: null,
-    draggedTextId: null, // For moving text
-    zoomLevel: 1, // Zoom level (1 = 100%)
-    sidebarCollapsed: false,
+    // Sends an Ethernet frame out of `iface`. Switches learn the source MAC on the
+    // ingress port (per VLAN), forward known unicasts out of a single port and flood
+    // unknown unicasts and broadcasts within the VLAN. Returns every
+    // { device, iface, tag, path } that accepted the frame.
+    deliverFrame(device, iface, frame) {
+        const tag = frame.tag === undefined ? null : frame.tag;
+        const reached = this.walkL2(device, iface, tag, (sw, vlan, ingress) => {
+            this.learnMac(sw, vlan, frame.srcMac, ingress.name);
+            const entry = frame.dstMac !== NetworkUtils.BROADCAST_MAC ? this.lookupMac(sw, vlan, frame.dstMac) : null;
+            return entry ? [sw.getInterface(entry.port)] : sw.interfaces;
+        });
+        return reached.filter(r => frame.dstMac === NetworkUtils.BROADCAST_MAC || r.iface.mac === frame.dstMac);
+    }
 
-    init() {
-        // Check if on mobile/tablet and collapse sidebar by default BEFORE rendering
-        if (window.innerWidth <= 1024) {
-            this.sidebarCollapsed = true;
-            const sidebar = document.querySelector('aside');
-            const footer = document.querySelector('.sidebar-footer');
-            if (sidebar) {
-                sidebar.classList.add('collapsed');
-            }
-            if (footer) {
-                footer.style.width = '0';
-            }
+    // Drops entries older than the aging time or pointing to ports that went down
+    ageMacTable(sw) {
+        const now = Date.now();
+        sw.macTable = sw.macTable.filter(e =>
+            now - e.lastSeen < sw.macAgingTime * 1000 && this.isInterfaceUp(sw.getInterface(e.port)));
+    }
+
+    learnMac(sw, vlan, mac, port) {
+        this.ageMacTable(sw);
+        const entry = sw.macTable.find(e => e.vlan === vlan && e.mac === mac);
+        if (entry) {
+            // Host moved (or refreshed): the newest port wins
+            entry.port = port;
+            entry.lastSeen = Date.now();
+        } else {
+            sw.macTable.push({ vlan, mac, port, lastSeen: Date.now() });
         }
-        this.render();
-        this.updateZoomDisplay();
-    },
+    }
 
-    setTool(tool) {
-        this.currentTool = tool;
-        this.connectStartId = null;
-        document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
-        const btn = document.getElementById(`tool-${tool}`);
-        if (btn) btn.classList.add('active');
+    lookupMac(sw, vlan, mac) {
+        this.ageMacTable(sw);
+        return sw.macTable.find(e => e.vlan === vlan && e.mac === mac) || null;
+    }
 
-        const ws = document.getElementById('workspace');
-        if (tool === 'connect') ws.style.cursor = 'crosshair';
-        else if (tool === 'text') ws.style.cursor = 'text';
-        else ws.style.cursor = 'default';
-    },
+    // Returns the routing table of a router: connected networks plus installed
+    // static and dynamic routes, keeping the lowest administrative distance per prefix.
+    getRoutingTable(router) {
+        const candidates = [];
 
-    handleDragStart(e, type) {
-        this.draggedType = type;
-        e.dataTransfer.effectAllowed = 'copy';
-    },
+        router.interfaces.forEach(iface => {
+            if (iface.ip && iface.mask && this.isInterfaceUp(iface)) {
+                candidates.push(new Route('C', NetworkUtils.networkAddress(iface.ip, iface.mask), iface.mask, '', iface.name));
+            }
+        });
 
-    // --- Touch Drag & Drop Implementation ---
-    touchDragItem: null,
-    touchGhost: null,
+        router.staticRoutes.forEach(route => {
+            if (this.resolveRouteEgress(router, route, candidates)) candidates.push(route);
+        });
 
-    handleTouchDragStart(e, type) {
-        e.preventDefault(); // Prevent scrolling
-        const touch = e.touches[0];
-        this.touchDragItem = type;
+        if (router.ospf.enabled) {
+            this.getOspfRoutes(router).forEach(route => candidates.push(route));
+        }
 
-        // Create Ghost Element
-        this.touchGhost = document.createElement('div');
-        this.touchGhost.className = 'ghost-drag';
-        this.touchGhost.innerHTML = `<i class="fa-solid ${ICON_MAP[type]}"></i> <span>${type}</span>`;
-        this.touchGhost.style.left = `${touch.clientX}px`;
-        this.touchGhost.style.top = `${touch.clientY}px`;
-        document.body.appendChild(this.touchGhost);
+        if (router.rip.enabled) {
+            router.rip.routes.forEach(route => {
+                if (route.metric < RipProcess.INFINITY && this.isInterfaceUp(router.getInterface(route.exitInterface))) {
+                    candidates.push(route);
+                }
+            });
+        }
 
-        // Attach global move/end listeners
-        document.addEventListener('touchmove', this._touchMoveHandler, { passive: false });
-        document.addEventListener('touchend', this._touchEndHandler);
-    },
+        const best = new Map();
+        candidates.forEach(route => {
+            const key = `${route.network}/${route.prefixLength}`;
+            const current = best.get(key);
+            if (!current || route.distance < current.distance) best.set(key, route);
+        });
 
-    _touchMoveHandler: (e) => UI.handleTouchMove(e),
-    _touchEndHandler: (e) => UI.handleTouchEnd(e),
+        return [...best.values()].sort((a, b) =>
+            NetworkUtils.ipToLong(a.network) - NetworkUtils.ipToLong(b.network) || a.prefixLength - b.prefixLength);
+    }
 
-    handleTouchMove(e) {
-        if (!this.touchGhost) return;
-        e.preventDefault();
-        const touch = e.touches[0];
-        this.touchGhost.style.left = `${touch.clientX}px`;
-        this.touchGhost.style.top = `${touch.clientY}px`;
-    },
+    // IPv6 routing table: connected prefixes and usable static routes
+    getIpv6RoutingTable(router) {
+        const candidates = [];
+        router.interfaces.forEach(iface => {
+            if (iface.ipv6 && this.isInterfaceUp(iface)) {
+                candidates.push(new Route('C', NetworkUtils.ipv6Network(iface.ipv6, iface.ipv6Prefix), iface.ipv6Prefix, '', iface.name));
+            }
+        });
+        router.ipv6StaticRoutes.forEach(route => {
+            if (this.resolveRouteEgress(router, route, candidates)) candidates.push(route);
+        });
 
-    handleTouchEnd(e) {
-        if (!this.touchDragItem) return;
+        const best = new Map();
+        candidates.forEach(route => {
+            const key = `${route.network}/${route.prefixLength}`;
+            const current = best.get(key);
+            if (!current || route.distance < current.distance) best.set(key, route);
+        });
+        const sortKey = ip => NetworkUtils.parseIpv6(ip).map(g => g.toString(16).padStart(4, '0')).join('');
+        return [...best.values()].sort((a, b) =>
+            sortKey(a.network).localeCompare(sortKey(b.network)) || a.prefixLength - b.prefixLength);
+    }
 
-        // Clean up listeners
-        document.removeEventListener('touchmove', this._touchMoveHandler);
-        document.removeEventListener('touchend', this._touchEndHandler);
+    // Longest prefix match over a routing table
+    lookupRoute(table, destIp) {
+        let best = null;
+        table.forEach(route => {
+            if (route.matches(destIp) && (!best || route.prefixLength > best.prefixLength)) best = route;
+        });
+        return best;
+    }
 
-        // Remove ghost
-        if (this.touchGhost) {
-            this.touchGhost.remove();
-            this.touchGhost = null;
+    // Resolves the interface a route sends traffic out of (recursing through
+    // next hops). Returns { iface, nextIp } or null when the route is unusable.
+    resolveRouteEgress(router, route, table, depth = 0) {
+        if (depth > 8) return null;
+
+        if (route.exitInterface) {
+            const iface = router.getInterface(route.exitInterface);
+            if (!this.isInterfaceUp(iface)) return null;
+            return { iface, nextIp: route.nextHop || null };
         }
+        // A link-local next hop is meaningless without an exit interface
+        if (NetworkUtils.isLinkLocalIpv6(route.nextHop)) return null;
+
+        const viaRoute = this.lookupRoute(table.filter(r => r !== route), route.nextHop);
+        if (!viaRoute) return null;
+        const via = this.resolveRouteEgress(router, viaRoute, table, depth + 1);
+        if (!via) return null;
+        // Once resolved, the next hop we must reach on the wire is this route's next hop
+        return { iface: via.iface, nextIp: via.nextIp || route.nextHop };
+    }
 
-        // Check if dropped on workspace
-        const touch = e.changedTouches[0];
-        const ws = document.getElementById('workspace');
-        const rect = ws.getBoundingClientRect();
+    // Decides where a device sends a packet for destIp.
+    // Returns { iface, nextIp } or { error } describing why it cannot be forwarded.
+    getForwardingDecision(device, destIp) {
+        if (NetworkUtils.isIpv6(destIp)) return this.getIpv6ForwardingDecision(device, destIp);
+
+        if (device.type === 'Router') {
+            const table = this.getRoutingTable(device);
+            const route = this.lookupRoute(table, destIp);
+            if (!route) return { error: "Red de destino inalcanzable" };
+            const egress = this.resolveRouteEgress(device, route, table);
+            if (!egress) return { error: "Red de destino inalcanzable" };
+            return { iface: egress.iface, nextIp: egress.nextIp || destIp, route };
+        }
 
-        // Check bounds
-        if (touch.clientX >= rect.left && touch.clientX <= rect.right &&
-            touch.clientY >= rect.top && touch.clientY <= rect.bottom) {
+        const nic = device.interfaces.find(i => i.ip && i.mask);
+        if (!nic) return { error: "Error: Configuración IP faltante" };
+        if (NetworkUtils.isSameSubnet(nic.ip, destIp, nic.mask)) return { iface: nic, nextIp: destIp };
+        if (!device.gateway) return { error: "Error: Puerta de enlace no configurada" };
+        if (!NetworkUtils.isSameSubnet(nic.ip, device.gateway, nic.mask)) {
+            return { error: "Error: Gateway inalcanzable (fuera de subred)" };
+        }
+        return { iface: nic, nextIp: device.gateway };
+    }
 
-            const x = (touch.clientX - rect.left) / this.zoomLevel;
-            const y = (touch.clientY - rect.top) / this.zoomLevel;
+    // IPv6 counterpart of getForwardingDecision. Link-local destinations are only
+    // reachable on the link they belong to; hosts send everything off-link to their
+    // default router (usually its link-local address, learned from an RA).
+    getIpv6ForwardingDecision(device, destIp) {
+        if (NetworkUtils.isLinkLocalIpv6(destIp)) {
+            const iface = this.findLinkLocalInterface(device, destIp);
+            return iface ? { iface, nextIp: destIp } : { error: "Host de destino inalcanzable" };
+        }
 
-            sim.addDevice(this.touchDragItem, x, y);
-            this.render();
-            this.showToast('Dispositivo agregado', 'success');
+        if (device.type === 'Router') {
+            const table = this.getIpv6RoutingTable(device);
+            const route = this.lookupRoute(table, destIp);
+            if (!route) return { error: "Red de destino inalcanzable" };
+            const egress = this.resolveRouteEgress(device, route, table);
+            if (!egress) return { error: "Red de destino inalcanzable" };
+            return { iface: egress.iface, nextIp: egress.nextIp || destIp, route };
+        }
 
-            // If on mobile, auto-close sidebar after drop
-            if (window.innerWidth <= 768 && !this.sidebarCollapsed) {
-                this.toggleSidebar();
+        const nic = device.interfaces.find(i => i.ipv6);
+        if (!nic) return { error: "Error: Configuración IPv6 faltante" };
+        if (NetworkUtils.isSameIpv6Subnet(nic.ipv6, destIp, nic.ipv6Prefix)) return { iface: nic, nextIp: destIp };
+        if (!device.ipv6Gateway) return { error: "Error: Puerta de enlace IPv6 no configurada" };
+        if (!NetworkUtils.isLinkLocalIpv6(device.ipv6Gateway) &&
+            !NetworkUtils.isSameIpv6Subnet(nic.ipv6, device.ipv6Gateway, nic.ipv6Prefix)) {
+            return { error: "Error: Gateway IPv6 inalcanzable (fuera de subred)" };
+        }
+        return { iface: nic, nextIp: device.ipv6Gateway };
+    }
+
+    // Interface of device whose link holds the given link-local address (null if none)
+    findLinkLocalInterface(device, linkLocal) {
+        return device.interfaces.find(iface => {
+            if (iface.type === 'console' || !this.isInterfaceUp(iface)) return false;
+            if (iface.type === 'serial') {
+                const peer = this.getDevice(iface.connectedDeviceId);
+                return !!peer && peer.getInterface(iface.connectedInterfaceName).linkLocal === linkLocal;
+            }
+            return this.getSegmentMembers(device, iface).some(m => m.iface.linkLocal === linkLocal);
+        }) || null;
+    }
+
+    // Forwards a packet hop by hop from `source` towards destIp. `traffic` describes
+    // it for the ACLs and NAT of the routers crossed: { protocol, srcPort, dstPort }.
+    // Returns { success, hops: [{ device, inInterface, outInterface, via, srcIp, srcPort }],
+    //           sourceIp, sourcePort, translations, routersCrossed, arpRequesters, arpFailed,
+    //           lost, prohibited, failedAt, reason, aclMatches, unfilteredAcls }. lost: the
+    //           packet left but no device took it (VLAN, shutdown or cut link on the way). sourceIp/sourcePort
+    //           are the ones the packet carries at the end (after NAT); hops keep the ones
+    //           seen at each device. ACL counters are left alone (see countAclMatches).
+    tracePacket(source, destIp, traffic = { protocol: 'icmp', srcPort: null, dstPort: null }) {
+        const hops = [{ device: source, inInterface: null, outInterface: null, via: [], srcIp: null, srcPort: null }];
+        const result = {
+            success: false, hops, sourceIp: null, sourcePort: traffic.srcPort || null, translations: [], routersCrossed: 0,
+            arpRequesters: [], arpFailed: false, lost: false, prohibited: false, failedAt: null, reason: '', aclMatches: [], unfilteredAcls: []
+        };
+        const packet = {
+            srcIp: null, dstIp: destIp, protocol: traffic.protocol, srcPort: traffic.srcPort || null,
+            dstPort: traffic.dstPort || null, ttl: this.getInitialTTL(source)
+        };
+        let current = source;
+
+        while (true) {
+            const hop = hops[hops.length - 1];
+            const step = this.routePacket(current, hop.inInterface, packet);
+            step.translations.forEach(t => result.translations.push({ device: current, ...t }));
+            result.aclMatches.push(...step.aclMatches);
+            step.unfilteredAcls.forEach(a => result.unfilteredAcls.push({ device: current, ...a }));
+            result.sourceIp = packet.srcIp;
+            result.sourcePort = packet.srcPort;
+
+            if (step.action === 'deliver') {
+                result.success = true;
+                return result;
+            }
+            if (step.action === 'drop') {
+                result.failedAt = current;
+                result.prohibited = !!step.prohibited;
+                result.reason = step.message;
+                return result;
+            }
+
+            hop.outInterface = step.iface;
+            if (current !== source) result.routersCrossed++;
+
+            const delivery = this.transmit(current, step.iface, step.nextIp);
+            if (delivery.arpRequested) result.arpRequesters.push(current);
+            const neighbor = delivery.neighbor;
+            if (!neighbor) {
+                result.failedAt = current;
+                result.arpFailed = delivery.arpFailed;
+                result.lost = !delivery.arpFailed;
+                result.reason = result.lost ? "Tiempo de espera agotado para esta solicitud." : "Host de destino inalcanzable";
+                return result;
             }
+
+            hops.push({
+                device: neighbor.device, inInterface: neighbor.iface, outInterface: null, via: neighbor.path || [],
+                srcIp: packet.srcIp, srcPort: packet.srcPort
+            });
+            current = neighbor.device;
         }
+    }
 
-        this.touchDragItem = null;
-    },
+    // What `device` does with a packet that came in through `arrival` (null for one it
+    // originates itself, which skips its own ACLs and NAT). This is the forwarding
+    // pipeline shared by tracePacket and the packet engine: inbound ACL, outside-to-inside
+    // NAT, local delivery, TTL, routing, inside-to-outside NAT, outbound ACL.
+    // `packet` is { srcIp, dstIp, protocol, srcPort, dstPort, ttl } and is translated in
+    // place (a missing srcIp becomes the address of the exit interface).
+    // Returns { action: 'deliver' | 'forward' | 'drop', translations: [{ field, from, to }],
+    //           aclMatches: ACL entries matched, unfilteredAcls: [{ iface, number, direction }]
+    //           IPv6 went through without being checked (numbered ACLs only filter IPv4) }
+    //   forward: iface, nextIp
+    //   drop:    reason (detail for the timeline), message (what the source is told),
+    //            icmp: { type, code } error a router sends back (or null), prohibited
+    routePacket(device, arrival, packet) {
+        const translations = [];
+        const aclMatches = [];
+        const unfilteredAcls = [];
+        const done = fields => ({ translations, aclMatches, unfilteredAcls, ...fields });
+        const drop = (reason, message, icmp = null, prohibited = false) => done({ action: 'drop', reason, message, icmp, prohibited });
+        const permits = (iface, direction) => {
+            const number = direction === 'in' ? iface.aclIn : iface.aclOut;
+            if (number && device.type === 'Router' && NetworkUtils.isIpv6(packet.dstIp)) unfilteredAcls.push({ iface, number, direction });
+            return this.aclPermits(device, iface, direction, packet, aclMatches);
+        };
+        const prohibited = (iface, direction) => drop(
+            `Denegado por la ACL ${direction === 'in' ? iface.aclIn : iface.aclOut} de ${direction === 'in' ? 'entrada' : 'salida'} en ${iface.name}`,
+            "Host de destino inalcanzable (prohibido administrativamente)", { type: 'unreachable', code: 13 }, true);
+
+        if (arrival && !permits(arrival, 'in')) return prohibited(arrival, 'in');
+
+        // Outside-to-inside NAT happens before routing
+        const inside = arrival ? this.natDestination(device, arrival, packet) : null;
+        if (inside) {
+            translations.push({ field: 'destination', from: packet.dstIp, to: inside.ip });
+            packet.dstIp = inside.ip;
+            packet.dstPort = inside.port;
+        }
 
-    handleDragOver(e) { e.preventDefault(); },
-    handleDrop(e) {
-        e.preventDefault();
-        const rect = document.getElementById('workspace').getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+        if (device.getInterfaceByIp(packet.dstIp)) return done({ action: 'deliver' });
 
-        if (this.draggedType) {
-            sim.addDevice(this.draggedType, x, y);
-            this.draggedType = null;
-            this.render();
+        // Routers decrement TTL before forwarding
+        if (arrival) {
+            // Without 'ipv6 unicast-routing' a router does not forward IPv6
+            if (device.type !== 'Router' || (NetworkUtils.isIpv6(packet.dstIp) && !device.ipv6Routing)) {
+                return drop('El paquete no es para este dispositivo y no lo enruta', "Host de destino inalcanzable");
+            }
+            packet.ttl--;
+            if (packet.ttl <= 0) return drop("TTL expirado en tránsito", "TTL expirado en tránsito", { type: 'time-exceeded', code: 0 });
         }
-    },
 
-    handleWorkspaceClick(e) {
+        const decision = this.getForwardingDecision(device, packet.dstIp);
+        if (decision.error) return drop(decision.error, decision.error, { type: 'unreachable', code: 0 });
+        if (!packet.srcIp) packet.srcIp = this.getSourceAddress(decision.iface, packet.dstIp);
+
+        // Inside-to-outside NAT happens after routing, before the outbound ACL
+        const global = this.natSource(device, arrival, decision.iface, packet, aclMatches);
+        if (global && global.exhausted) return drop('Pool NAT agotado', "Host de destino inalcanzable", { type: 'unreachable', code: 1 });
+        if (global) {
+            translations.push({ field: 'source', from: packet.srcIp, to: global.ip });
+            packet.srcIp = global.ip;
+            packet.srcPort = global.port;
+        }
+
+        // Outbound ACLs only filter traffic routed through the router, not its own
+        if (arrival && !permits(decision.iface, 'out')) return prohibited(decision.iface, 'out');
+
+        return done({ action: 'forward', iface: decision.iface, nextIp: decision.nextIp });
+    }
+
+    // Runs the ACL applied to iface in one direction ('in' / 'out'). Interfaces without
+    // an ACL and references to a list that does not exist (as in IOS) pass. Numbered ACLs
+    // are IPv4 only, so IPv6 packets pass unchecked. The entry matched goes into `matches`.
+    aclPermits(device, iface, direction, packet, matches = []) {
+        const number = direction === 'in' ? iface.aclIn : iface.aclOut;
+        if (!number || device.type !== 'Router' || NetworkUtils.isIpv6(packet.dstIp)) return true;
+        const acl = device.getAccessList(number);
+        if (!acl) return true;
+        const result = acl.evaluate(packet);
+        if (result.entry) matches.push(result.entry);
+        return result.permitted;
+    }
+
+    // Adds the ACL matches of packets really sent (traces or engine steps) to the
+    // counters of 'show access-lists'. Lookups and probes never count.
+    countAclMatches(...traces) {
+        traces.forEach(trace => {
+            if (trace) trace.aclMatches.forEach(entry => { entry.matches++; });
+        });
+    }
+
+    // --- NAT ---
+
+    // Outside-to-inside translation of a packet that arrived on an 'ip nat outside'
+    // interface: the inside local { ip, port } or null
+    natDestination(router, arrival, packet) {
+        if (router.type !== 'Router' || arrival.natRole !== 'outside' || NetworkUtils.isIpv6(packet.dstIp)) return null;
+        return router.nat.translateDestination(packet);
+    }
+
+    // Inside-to-outside translation of a packet routed from an 'ip nat inside' interface
+    // out of an 'ip nat outside' one (see NatService.translateSource)
+    natSource(router, arrival, egress, packet, matches = []) {
+        if (router.type !== 'Router' || !arrival || arrival.natRole !== 'inside' || egress.natRole !== 'outside') return null;
+        if (NetworkUtils.isIpv6(packet.dstIp)) return null;
+        return router.nat.translateSource(packet,
+            number => {
+                const acl = router.getAccessList(number);
+                if (!acl) return false;
+                const result = acl.evaluate(packet);
+                if (result.entry) matches.push(result.entry);
+                return result.permitted;
+            },
+            name => {
+                const iface = router.getInterface(name);
+                return iface ? iface.ip : '';
+            });
+    }
+
+    // Routers answer ARP on their outside segment for the inside global addresses they translate
+    isNatGlobalAddress(router, iface, ip) {
+        return router.type === 'Router' && iface.natRole === 'outside' && router.nat.ownsGlobal(ip);
+    }
+
+    // Inside host published under an inside global address by a static or live
+    // translation of some router: what a ping to that global address reaches
+    findNatInsideHost(ip) {
+        for (const router of this.devices) {
+            if (router.type !== 'Router') continue;
+            const inside = router.nat.translateDestination({ dstIp: ip, protocol: 'icmp', dstPort: null });
+            if (inside) return this.findDeviceByIp(inside.ip);
+        }
+        return null;
+    }
+
+    // --- RIPv2 ---
+
+    // Interfaces of a router taking part in RIP (up, addressed and covered by a network statement)
+    getRipInterfaces(router) {
+        if (router.type !== 'Router' || !router.rip.enabled) return [];
+        return router.interfaces.filter(i => i.ip && i.mask && this.isInterfaceUp(i) && router.rip.coversIp(i.ip));
+    }
+
+    // Builds the update a router sends out of an interface: its RIP-enabled connected
+    // networks and learned routes (unreachable ones advertised with metric 16).
+    buildRipUpdate(router, iface) {
+        const entries = [];
+        this.getRipInterfaces(router).forEach(i => {
+            if (i === iface) return;
+            entries.push({ network: NetworkUtils.networkAddress(i.ip, i.mask), mask: i.mask, metric: 0 });
+        });
+        router.rip.routes.forEach(route => {
+            // Split horizon: never advertise a route out of the interface it was learned on
+            if (router.rip.splitHorizon && route.exitInterface === iface.name) return;
+            entries.push({ network: route.network, mask: route.mask, metric: route.metric });
+        });
+        return entries;
+    }
+
+    // Advances RIP by one update interval (30s): every RIP router sends its update to
+    // its directly cabled RIP neighbors, then timers age and expired routes are flushed.
+    ripTick() {
+        const routers = this.devices.filter(d => d.type === 'Router' && d.rip.enabled);
+
+        // Routes through an interface that went down become unreachable right away
+        routers.forEach(router => {
+            router.rip.routes.forEach(route => {
+                if (!this.isInterfaceUp(router.getInterface(route.exitInterface)) && route.metric < RipProcess.INFINITY) {
+                    route.metric = RipProcess.INFINITY;
+                    route.age = RipProcess.INVALID_AFTER;
+                }
+            });
+        });
+
+        // Snapshot every update before processing so all routers speak "at the same time"
+        const updates = [];
+        routers.forEach(router => {
+            this.getRipInterfaces(router).forEach(iface => {
+                const neighbor = this.getDevice(iface.connectedDeviceId);
+                if (!neighbor || neighbor.type !== 'Router') return;
+                const neighborIface = neighbor.getInterface(iface.connectedInterfaceName);
+                if (!this.getRipInterfaces(neighbor).includes(neighborIface)) return;
+                if (!NetworkUtils.isSameSubnet(iface.ip, neighborIface.ip, iface.mask)) return;
+                updates.push({ sender: iface, receiver: neighbor, receiverIface: neighborIface, entries: this.buildRipUpdate(router, iface) });
+            });
+        });
+
+        routers.forEach(router => router.rip.routes.forEach(route => route.age++));
+
+        updates.forEach(update => this.processRipUpdate(update.receiver, update.receiverIface, update.sender.ip, update.entries));
+
+        routers.forEach(router => {
+            router.rip.routes.forEach(route => {
+                if (route.age >= RipProcess.INVALID_AFTER) route.metric = RipProcess.INFINITY;
+            });
+            router.rip.routes = router.rip.routes.filter(route => route.age < RipProcess.FLUSH_AFTER);
+        });
+
+        this.ripClock++;
+    }
+
+    processRipUpdate(router, iface, senderIp, entries) {
+        const connected = router.interfaces.filter(i => i.ip && i.mask && this.isInterfaceUp(i))
+            .map(i => `${NetworkUtils.networkAddress(i.ip, i.mask)}/${i.mask}`);
+
+        entries.forEach(entry => {
+            if (connected.includes(`${entry.network}/${entry.mask}`)) return;
+
+            const metric = Math.min(entry.metric + 1, RipProcess.INFINITY);
+            const existing = router.rip.getRoute(entry.network, entry.mask);
+
+            if (!existing) {
+                if (metric < RipProcess.INFINITY) {
+                    router.rip.routes.push(new Route('R', entry.network, entry.mask, senderIp, iface.name, ADMIN_DISTANCE['R'], metric));
+                }
+                return;
+            }
+
+            if (existing.nextHop === senderIp) {
+                // Same neighbor: always believe it, even if the metric got worse
+                if (metric < RipProcess.INFINITY) {
+                    existing.metric = metric;
+                    existing.age = 0;
+                } else if (existing.metric < RipProcess.INFINITY) {
+                    // Poisoned: start the flush timer
+                    existing.metric = RipProcess.INFINITY;
+                    existing.age = RipProcess.INVALID_AFTER;
+                }
+            } else if (metric < existing.metric) {
+                existing.nextHop = senderIp;
+                existing.exitInterface = iface.name;
+                existing.metric = metric;
+                existing.age = 0;
+            }
+        });
+    }
+
+    // --- OSPF (single area) ---
+
+    getOspfInterfaces(router) {
+        if (router.type !== 'Router' || !router.ospf.enabled) return [];
+        return router.interfaces.filter(i => i.ip && i.mask && this.isInterfaceUp(i) && router.ospf.coversIp(i.ip));
+    }
+
+    // Manual router-id, otherwise the highest interface IP
+    getOspfRouterId(router) {
+        if (router.ospf.routerId) return router.ospf.routerId;
+        const ips = router.interfaces.filter(i => i.ip).map(i => i.ip);
+        if (ips.length === 0) return '0.0.0.0';
+        return ips.reduce((a, b) => NetworkUtils.ipToLong(b) > NetworkUtils.ipToLong(a) ? b : a);
+    }
+
+    // Adjacencies: OSPF routers on the same segment with matching subnet and mask
+    getOspfNeighbors(router) {
+        const neighbors = [];
+        this.getOspfInterfaces(router).forEach(iface => {
+            this.getSegmentMembers(router, iface).forEach(member => {
+                if (member.device.type !== 'Router') return;
+                if (!this.getOspfInterfaces(member.device).includes(member.iface)) return;
+                if (member.iface.mask !== iface.mask || !NetworkUtils.isSameSubnet(iface.ip, member.iface.ip, iface.mask)) return;
+                neighbors.push({
+                    device: member.device,
+                    routerId: this.getOspfRouterId(member.device),
+                    address: member.iface.ip,
+                    iface,
+                    cost: OspfProcess.interfaceCost(iface),
+                    state: 'FULL'
+                });
+            });
+        });
+        return neighbors;
+    }
+
+    // Type 1 (router) LSA: adjacencies plus stub networks of OSPF interfaces
+    buildRouterLsa(router) {
+        const links = this.getOspfNeighbors(router).map(n => ({
+            type: 'router', linkId: n.routerId, device: n.device, iface: n.iface, nextHop: n.address, cost: n.cost
+        }));
+        this.getOspfInterfaces(router).forEach(iface => {
+            links.push({
+                type: 'stub', linkId: NetworkUtils.networkAddress(iface.ip, iface.mask), mask: iface.mask,
+                iface, cost: OspfProcess.interfaceCost(iface)
+            });
+        });
+        return { linkStateId: this.getOspfRouterId(router), advRouter: router, links };
+    }
+
+    // The LSDB every router in an area ends up with after flooding: one router LSA
+    // per router reachable through adjacencies.
+    getOspfLsdb(router) {
+        if (!router.ospf.enabled) return [];
+        const lsdb = [];
+        const visited = new Set([router.id]);
+        const queue = [router];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            const lsa = this.buildRouterLsa(current);
+            lsdb.push(lsa);
+            lsa.links.forEach(link => {
+                if (link.type === 'router' && !visited.has(link.device.id)) {
+                    visited.add(link.device.id);
+                    queue.push(link.device);
+                }
+            });
+        }
+        return lsdb;
+    }
+
+    // Dijkstra over the LSDB rooted at `router`.
+    // Returns { tree: [{ device, routerId, cost, parent, iface, nextHop }], routes: [Route] }
+    runSpf(router) {
+        const lsdb = this.getOspfLsdb(router);
+        const lsaOf = new Map(lsdb.map(lsa => [lsa.advRouter.id, lsa]));
+        const nodes = new Map([[router.id, { device: router, routerId: this.getOspfRouterId(router), cost: 0, parent: null, iface: null, nextHop: null }]]);
+        const done = new Set();
+
+        while (true) {
+            let current = null;
+            nodes.forEach(node => {
+                if (!done.has(node.device.id) && (!current || node.cost < current.cost)) current = node;
+            });
+            if (!current) break;
+            done.add(current.device.id);
+
+            const lsa = lsaOf.get(current.device.id);
+            if (!lsa) continue;
+            lsa.links.forEach(link => {
+                if (link.type !== 'router' || done.has(link.device.id)) return;
+                // Both ends must advertise each other (two-way check)
+                const back = lsaOf.get(link.device.id);
+                if (!back || !back.links.some(l => l.type === 'router' && l.device === current.device)) return;
+
+                const cost = current.cost + link.cost;
+                const known = nodes.get(link.device.id);
+                if (known && known.cost <= cost) return;
+                nodes.set(link.device.id, {
+                    device: link.device,
+                    routerId: link.linkId,
+                    cost,
+                    parent: current,
+                    // First hop is inherited from the parent, except for the root's own neighbors
+                    iface: current.device === router ? link.iface : current.iface,
+                    nextHop: current.device === router ? link.nextHop : current.nextHop
+                });
+            });
+        }
+
+        const tree = [...nodes.values()];
+        const ownNetworks = new Set(this.getOspfInterfaces(router).map(i => `${NetworkUtils.networkAddress(i.ip, i.mask)}/${i.mask}`));
+        const best = new Map();
+        tree.forEach(node => {
+            if (node.device === router) return;
+            lsaOf.get(node.device.id).links.forEach(link => {
+                if (link.type !== 'stub') return;
+                const key = `${link.linkId}/${link.mask}`;
+                if (ownNetworks.has(key)) return;
+                const cost = node.cost + link.cost;
+                if (!best.has(key) || cost < best.get(key).metric) {
+                    best.set(key, new Route('O', link.linkId, link.mask, node.nextHop, node.iface.name, ADMIN_DISTANCE['O'], cost));
+                }
+            });
+        });
+
+        return { tree, routes: [...best.values()] };
+    }
+
+    getOspfRoutes(router) {
+        return this.runSpf(router).routes;
+    }
+
+    // --- DHCP ---
+
+    // Runs DISCOVER/OFFER/REQUEST/ACK for the NIC of a host. The DISCOVER is a
+    // broadcast on the client's segment: a server there answers directly, and a
+    // router interface with 'ip helper-address' relays it as unicast to a remote server.
+    // Returns { success, log, lease }. On failure the host falls back to APIPA.
+    requestDhcp(client) {
+        const nic = client.interfaces.find(i => !i.parentName);
+        const log = [];
+        if (!nic) return { success: false, log: ["Error: El dispositivo no tiene interfaz"], lease: null };
+
+        nic.dhcp = true;
+        nic.ip = '';
+        nic.mask = '';
+        client.gateway = '';
+        client.arpCache = [];
+
+        log.push(`DHCPDISCOVER enviado desde ${nic.mac} (broadcast)`);
+        const offer = this.isInterfaceUp(nic) ? this.findDhcpOffer(client, nic, log) : null;
+
+        if (!offer) {
+            // Automatic private addressing (169.254.0.0/16) built from the MAC
+            const hex = nic.mac.split('.')[2];
+            const third = Math.min(Math.max(parseInt(hex.slice(0, 2), 16), 1), 254);
+            const fourth = Math.min(Math.max(parseInt(hex.slice(2), 16), 1), 254);
+            nic.ip = `169.254.${third}.${fourth}`;
+            nic.mask = '255.255.0.0';
+            client.dnsServer = '';
+            this.syncDeviceAddress(client);
+            log.push(`Sin respuesta DHCP: se asigna APIPA ${nic.ip}/16`);
+            return { success: false, log, lease: null };
+        }
+
+        const { server, pool, ip } = offer;
+        log.push(`DHCPOFFER de ${offer.serverIp}: ${ip}`);
+        log.push(`DHCPREQUEST ${ip} (broadcast)`);
+        const lease = server.dhcpServer.commitLease(pool, ip, nic.mac, client.name);
+        log.push(`DHCPACK: ${ip}/${NetworkUtils.maskToPrefix(pool.mask)}, gateway ${pool.gateway || '-'}, DNS ${pool.dnsServer || '-'}, concesión ${pool.leaseTime}s`);
+
+        nic.ip = ip;
+        nic.mask = pool.mask;
+        client.gateway = pool.gateway || '';
+        client.dnsServer = pool.dnsServer || '';
+        this.syncDeviceAddress(client);
+        return { success: true, log, lease };
+    }
+
+    // 'ipconfig /release': the host drops its leased address and the server holding the
+    // binding frees it for other clients. Returns that server (null if none had it).
+    releaseDhcp(client) {
+        const nic = client.interfaces.find(i => !i.parentName);
+        if (!nic) return null;
+        const server = nic.ip ? this.devices.find(d => d.dhcpServer.leases.some(l => l.ip === nic.ip && l.mac === nic.mac)) : null;
+        if (server) server.dhcpServer.releaseLease(nic.ip, nic.mac);
+
+        nic.ip = '';
+        nic.mask = '';
+        client.gateway = '';
+        this.syncDeviceAddress(client);
+        return server || null;
+    }
+
+    // First server able to answer the DISCOVER: { server, serverIp, pool, ip } or null
+    findDhcpOffer(client, nic, log) {
+        const reached = this.deliverFrame(client, nic, { srcMac: nic.mac, dstMac: NetworkUtils.BROADCAST_MAC });
+
+        // A server on the same segment leases from the pool of its receiving interface
+        for (const { device, iface } of reached) {
+            if (!device.dhcpServer.enabled || !iface.ip) continue;
+            const offer = this.makeDhcpOffer(device, iface.ip, nic.mac);
+            if (offer) return { ...offer, serverIp: iface.ip };
+        }
+
+        // Relay agents: the receiving interface address travels as giaddr and selects the pool
+        for (const { device, iface } of reached) {
+            if (device.type !== 'Router' || !iface.helperAddress || !iface.ip) continue;
+            log.push(`${device.name} (${iface.name}) reenvía el DHCPDISCOVER a ${iface.helperAddress}`);
+
+            const owner = this.findDeviceByIp(iface.helperAddress);
+            if (!owner || !owner.device.dhcpServer.enabled) {
+                log.push(`No hay servidor DHCP en ${iface.helperAddress}`);
+                continue;
+            }
+            const bootps = { protocol: 'udp', srcPort: 67, dstPort: 67 };
+            if (!this.tracePacket(device, iface.helperAddress, bootps).success || !this.tracePacket(owner.device, iface.ip, bootps).success) {
+                log.push(`El servidor ${iface.helperAddress} es inalcanzable desde el relay`);
+                continue;
+            }
+            const offer = this.makeDhcpOffer(owner.device, iface.ip, nic.mac);
+            if (offer) return { ...offer, serverIp: iface.helperAddress };
+            log.push(`El servidor ${iface.helperAddress} no tiene pool para ${iface.ip}`);
+        }
+        return null;
+    }
+
+    // Picks a free address from the pool covering subnetIp, skipping any address
+    // already configured in the topology
+    makeDhcpOffer(server, subnetIp, mac) {
+        const pool = server.dhcpServer.findPool(subnetIp);
+        if (!pool) return null;
+        const inUse = new Set();
+        this.devices.forEach(d => d.interfaces.forEach(i => {
+            if (i.ip && i.mac !== mac) inUse.add(i.ip);
+        }));
+        const ip = server.dhcpServer.pickAddress(pool, mac, inUse);
+        return ip ? { server, pool, ip } : null;
+    }
+
+    // SLAAC: the host sends a Router Solicitation (multicast, flooded like a broadcast)
+    // and an IPv6 router on the link answers with a Router Advertisement. The host
+    // builds its address from the advertised /64 prefix plus its EUI-64 and takes the
+    // router's link-local address as default gateway. Returns { success, log }.
+    requestSlaac(client) {
+        const nic = client.interfaces.find(i => !i.parentName);
+        if (!nic) return { success: false, log: ["Error: El dispositivo no tiene interfaz"] };
+
+        nic.ipv6Autoconfig = true;
+        nic.ipv6 = '';
+        nic.ipv6Prefix = 64;
+        client.ipv6Gateway = '';
+
+        const log = [`Router Solicitation enviado desde ${nic.linkLocal} a ff02::2`];
+        const reached = this.isInterfaceUp(nic) ? this.deliverFrame(client, nic, { srcMac: nic.mac, dstMac: NetworkUtils.BROADCAST_MAC }) : [];
+        const advertiser = reached.find(({ device, iface }) =>
+            device.type === 'Router' && device.ipv6Routing && iface.ipv6 && iface.ipv6Prefix === 64);
+        if (!advertiser) {
+            log.push('Sin Router Advertisement: solo se usa la dirección link-local');
+            return { success: false, log };
+        }
+
+        const prefix = NetworkUtils.ipv6Network(advertiser.iface.ipv6, 64);
+        nic.ipv6 = NetworkUtils.slaacAddress(prefix, nic.mac);
+        client.ipv6Gateway = advertiser.iface.linkLocal;
+        log.push(`Router Advertisement de ${advertiser.iface.linkLocal} (${advertiser.device.name}): prefijo ${prefix}/64`);
+        log.push(`Dirección SLAAC ${nic.ipv6}/64, gateway ${client.ipv6Gateway}`);
+        return { success: true, log };
+    }
+
+    // Addresses interfaces ([{ device, iface }]) from a planned subnet: router interfaces
+    // take the first usable addresses, then hosts, which get the first router address as
+    // gateway. Addresses configured elsewhere in the topology are skipped.
+    // Returns { assignments: [{ device, iface, ip }], error } (error = '' on success).
+    assignSubnet(network, mask, targets) {
+        const reassigned = new Set(targets.map(t => t.iface));
+        for (const { device, iface } of targets) {
+            const overlap = device.interfaces.find(i => !reassigned.has(i) && i.ip && i.mask &&
+                NetworkUtils.subnetsOverlap(i.ip, i.mask, network, mask));
+            if (overlap) return { assignments: [], error: `${device.name} ya usa esa subred en ${overlap.name}` };
+            if (iface.type === 'console') return { assignments: [], error: `${iface.name} no admite direcciones IP` };
+        }
+
+        const taken = new Set();
+        this.devices.forEach(d => d.interfaces.forEach(i => {
+            if (i.ip && !reassigned.has(i)) taken.add(i.ip);
+        }));
+        const range = NetworkUtils.hostRange(network, mask);
+        const last = NetworkUtils.ipToLong(range.last);
+        let next = NetworkUtils.ipToLong(range.first);
+
+        const ordered = [...targets].sort((a, b) => (b.device.type === 'Router') - (a.device.type === 'Router'));
+        const assignments = [];
+        for (const target of ordered) {
+            while (next <= last && taken.has(NetworkUtils.longToIp(next))) next++;
+            if (next > last) return { assignments: [], error: 'La subred no tiene direcciones libres suficientes' };
+            assignments.push({ ...target, ip: NetworkUtils.longToIp(next++) });
+        }
+
+        const gateway = assignments.find(a => a.device.type === 'Router');
+        assignments.forEach(({ device, iface, ip }) => {
+            iface.ip = ip;
+            iface.mask = mask;
+            iface.dhcp = false;
+            if (device.type !== 'Router') {
+                if (gateway) device.gateway = gateway.ip;
+                else if (device.gateway && !NetworkUtils.isSameSubnet(device.gateway, ip, mask)) device.gateway = '';
+            }
+            // Old IP-to-MAC mappings are no longer trustworthy after readdressing
+            device.arpCache = [];
+            this.syncDeviceAddress(device);
+        });
+        return { assignments, error: '' };
+    }
+
+    // Keeps device.ip/mask mirroring the first interface
+    syncDeviceAddress(device) {
+        if (device.interfaces.length > 0) {
+            device.ip = device.interfaces[0].ip;
+            device.mask = device.interfaces[0].mask;
+        }
+    }
+}
+
+// UI Controller
+const sim = new NetworkSimulator();
+
+const UI = {
+    draggedType: null,
+    selectedDeviceId: null,
+    currentTool: 'pointer', // 'pointer' | 'connect' | 'text'
+    connectStartId: null,
+    draggedTextId: null, // For moving text
+    zoomLevel: 1, // Zoom level (1 = 100%)
+    routingTableDeviceId: null, // Router shown in the routing table modal
+    ripAutoUpdate: true, // Periodic RIP updates every 30s
+    terminals: {}, // DeviceTerminal per device id (keeps mode and history)
+    terminalDeviceId: null, // Device whose terminal is open
+    vlsmPlan: [], // Subnets of the last VLSM plan (subnet modal)
+    sidebarCollapsed: false,
+    simulation: null, // Simulation mode: { engine (PacketEngine), timer (playback interval) }
+    editHistory: new EditHistory(), // Undo/redo of canvas and configuration edits
+    library: null, // ProjectLibrary in browser storage (null if the browser blocks it)
+    autosaveFailed: false, // Storage full: warned once until a save works again
+    configImportDeviceId: null, // Router/switch the config import modal applies to
+
+    init() {
+        // Check if on mobile/tablet and collapse sidebar by default BEFORE rendering
+        if (window.innerWidth <= 1024) {
+            this.sidebarCollapsed = true;
+            const sidebar = document.querySelector('aside');
+            const footer = document.querySelector('.sidebar-footer');
+            if (sidebar) {
+                sidebar.classList.add('collapsed');
+            }
+            if (footer) {
+                footer.style.width = '0';
+            }
+        }
+        this.startLibrary();
+        this.render();
+        this.updateZoomDisplay();
+        this.editHistory.reset(this.snapshotProject());
+        this.updateHistoryButtons();
+    },
+
+    setTool(tool) {
+        this.currentTool = tool;
+        this.connectStartId = null;
+        document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
+        const btn = document.getElementById(`tool-${tool}`);
+        if (btn) btn.classList.add('active');
+
+        const ws = document.getElementById('workspace');
+        if (tool === 'connect' || tool === 'fail') ws.style.cursor = 'crosshair';
+        else if (tool === 'text') ws.style.cursor = 'text';
+        else ws.style.cursor = 'default';
+        // Links only take clicks while the failure tool is active
+        this.renderConnections();
+    },
+
+    handleDragStart(e, type) {
+        this.draggedType = type;
+        e.dataTransfer.effectAllowed = 'copy';
+    },
+
+    // --- Touch Drag & Drop Implementation ---
+    touchDragItem: null,
+    touchGhost: null,
+
+    handleTouchDragStart(e, type) {
+        e.preventDefault(); // Prevent scrolling
+        const touch = e.touches[0];
+        this.touchDragItem = type;
+
+        // Create Ghost Element
+        this.touchGhost = document.createElement('div');
+        this.touchGhost.className = 'ghost-drag';
+        this.touchGhost.innerHTML = `<i class="fa-solid ${ICON_MAP[type]}"></i> <span>${type}</span>`;
+        this.touchGhost.style.left = `${touch.clientX}px`;
+        this.touchGhost.style.top = `${touch.clientY}px`;
+        document.body.appendChild(this.touchGhost);
+
+        // Attach global move/end listeners
+        document.addEventListener('touchmove', this._touchMoveHandler, { passive: false });
+        document.addEventListener('touchend', this._touchEndHandler);
+    },
+
+    _touchMoveHandler: (e) => UI.handleTouchMove(e),
+    _touchEndHandler: (e) => UI.handleTouchEnd(e),
+
+    handleTouchMove(e) {
+        if (!this.touchGhost) return;
+        e.preventDefault();
+        const touch = e.touches[0];
+        this.touchGhost.style.left = `${touch.clientX}px`;
+        this.touchGhost.style.top = `${touch.clientY}px`;
+    },
+
+    handleTouchEnd(e) {
+        if (!this.touchDragItem) return;
+
+        // Clean up listeners
+        document.removeEventListener('touchmove', this._touchMoveHandler);
+        document.removeEventListener('touchend', this._touchEndHandler);
+
+        // Remove ghost
+        if (this.touchGhost) {
+            this.touchGhost.remove();
+            this.touchGhost = null;
+        }
+
+        // Check if dropped on workspace
+        const touch = e.changedTouches[0];
+        const ws = document.getElementById('workspace');
+        const rect = ws.getBoundingClientRect();
+
+        // Check bounds
+        if (touch.clientX >= rect.left && touch.clientX <= rect.right &&
+            touch.clientY >= rect.top && touch.clientY <= rect.bottom) {
+
+            const x = (touch.clientX - rect.left) / this.zoomLevel;
+            const y = (touch.clientY - rect.top) / this.zoomLevel;
+
+            const device = sim.addDevice(this.touchDragItem, x, y);
+            this.commitHistory(`Agregar ${device.name}`);
+            this.render();
+            this.showToast('Dispositivo agregado', 'success');
+
+            // If on mobile, auto-close sidebar after drop
+            if (window.innerWidth <= 768 && !this.sidebarCollapsed) {
+                this.toggleSidebar();
+            }
+        }
+
+        this.touchDragItem = null;
+    },
+
+    handleDragOver(e) { e.preventDefault(); },
+    handleDrop(e) {
+        e.preventDefault();
+        const rect = document.getElementById('workspace').getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        if (this.draggedType) {
+            const device = sim.addDevice(this.draggedType, x, y);
+            this.draggedType = null;
+            this.commitHistory(`Agregar ${device.name}`);
+            this.render();
+        }
+    },
+
+    handleWorkspaceClick(e) {
         if (e.target.id === 'workspace' || e.target.id === 'connections-layer') {
             if (this.currentTool === 'text') {
                 this.createTextInput(e.clientX, e.clientY);
@@ -509,6 +1622,7 @@ const UI = {
         input.onblur = () => {
             if (input.value.trim()) {
                 sim.addTextLabel(x, y, input.value);
+                this.commitHistory('Agregar etiqueta');
             }
             input.remove();
             this.render();
@@ -537,11 +1651,20 @@ const UI = {
             }
         } else if (this.currentTool === 'delete') {
             this.showConfirm('¿Eliminar dispositivo?', () => {
+                const name = sim.getDevice(id).name;
                 sim.removeDevice(id);
+                delete this.terminals[id];
+                this.commitHistory(`Eliminar ${name}`);
                 this.selectedDeviceId = null;
                 this.render();
                 this.showToast('Dispositivo eliminado', 'success');
             });
+        } else if (this.currentTool === 'fail') {
+            const d = sim.getDevice(id);
+            sim.setDeviceFailed(id, !d.failed);
+            this.commitHistory(d.failed ? `Fallo de ${d.name}` : `Restaurar ${d.name}`);
+            this.render();
+            this.showToast(d.failed ? `${d.name} ha fallado (apagado)` : `${d.name} restaurado`, d.failed ? 'error' : 'success');
         } else if (this.currentTool === 'pointer') {
             this.selectedDeviceId = id;
             this.openConfigModal(id);
@@ -549,10 +1672,27 @@ const UI = {
         }
     },
 
-    deleteSelected() {
+    // Failure tool on a cable: cut it, or repair it if already cut
+    toggleLinkFailure(deviceId, ifaceName) {
+        const iface = sim.getDevice(deviceId).getInterface(ifaceName);
+        sim.setLinkFailed(deviceId, ifaceName, !iface.linkFailed);
+        this.commitHistory(iface.linkFailed ? 'Cortar cable' : 'Reparar cable');
+        this.render();
+        this.showToast(iface.linkFailed ? 'Cable cortado' : 'Cable reparado', iface.linkFailed ? 'error' : 'success');
+    },
+
+    // State of a link end for its light: 'up', 'down' (protocol) or 'admin-down'
+    linkEndStatus(iface) {
+        return TopologyExport.linkStatus(sim, iface);
+    },
+
+    deleteSelected() {
         if (this.selectedDeviceId) {
             this.showConfirm('¿Eliminar dispositivo seleccionado?', () => {
+                const name = sim.getDevice(this.selectedDeviceId).name;
                 sim.removeDevice(this.selectedDeviceId);
+                delete this.terminals[this.selectedDeviceId];
+                this.commitHistory(`Eliminar ${name}`);
                 this.selectedDeviceId = null;
                 this.render();
                 this.showToast('Dispositivo eliminado', 'success');
@@ -573,12 +1713,14 @@ const UI = {
         const renderList = (device, containerId, side) => {
             const container = document.getElementById(containerId);
             container.innerHTML = '';
-            device.interfaces.forEach(iface => {
+            // Subinterfaces have no cable of their own
+            device.interfaces.filter(iface => !iface.parentName).forEach(iface => {
                 const div = document.createElement('div');
                 div.className = `interface-item ${iface.connectedDeviceId ? 'disabled' : ''}`;
 
                 let icon = 'fa-ethernet';
                 if (iface.type === 'serial') icon = 'fa-bolt';
+                if (iface.type === 'console') icon = 'fa-terminal';
 
                 div.innerHTML = `<i class="fa-solid ${icon} interface-icon"></i> ${iface.name}`;
 
@@ -607,7 +1749,25 @@ const UI = {
         if (sSel && tSel) {
             const if1 = sSel.dataset.value;
             const if2 = tSel.dataset.value;
-            sim.connectInterfaces(sId, if1, tId, if2);
+            const s = sim.getDevice(sId);
+            const t = sim.getDevice(tId);
+            const i1 = s.getInterface(if1);
+            const i2 = t.getInterface(if2);
+
+            let cable = document.getElementById('conn-cable').value;
+            if (cable === 'auto') cable = this.pickCable(s, i1, t, i2);
+            const plugError = sim.getCablePlugError(cable, i1, i2);
+            if (plugError) {
+                this.showToast(`Error: ${plugError}`, 'error');
+                tSel.classList.remove('selected');
+                return;
+            }
+
+            sim.connectInterfaces(sId, if1, tId, if2, cable);
+            this.commitHistory(`Conectar ${s.name} y ${t.name}`);
+            // Warn about links that will stay down
+            const fault = sim.getLinkFault(s, i1, t, i2);
+            if (fault && cable !== 'console') this.showToast(`El enlace no se activará: ${fault}`, 'info');
             this.closeModals();
             this.connectStartId = null;
             this.setTool('pointer');
@@ -615,6 +1775,13 @@ const UI = {
         }
     },
 
+    // Cable the 'automatic' option uses for two ports
+    pickCable(s, i1, t, i2) {
+        if (i1.type === 'serial') return 'serial-dce';
+        if (i1.type === 'console') return 'console';
+        return sim.getRequiredEthernetCable(s, t);
+    },
+
     render() {
         const workspace = document.getElementById('workspace');
         const connLayer = document.getElementById('connections-layer');
@@ -656,6 +1823,7 @@ const UI = {
                 e.stopPropagation();
                 this.showConfirm('¿Eliminar etiqueta?', () => {
                     sim.textLabels = sim.textLabels.filter(l => l.id !== lbl.id);
+                    this.commitHistory('Eliminar etiqueta');
                     this.render();
                     this.showToast('Etiqueta eliminada', 'success');
                 });
@@ -714,6 +1882,7 @@ const UI = {
                 if ((this.currentTool === 'pointer' || this.currentTool === 'text') && isTouchDragging) {
                     container.style.opacity = '1';
                     isTouchDragging = false;
+                    this.commitHistory('Mover etiqueta', `move-text:${lbl.id}`);
                 }
             });
 
@@ -723,17 +1892,14 @@ const UI = {
         // Render Devices
         sim.devices.forEach(d => {
             const el = document.createElement('div');
-            el.className = `device ${this.selectedDeviceId === d.id ? 'selected' : ''}`;
+            el.className = `device ${this.selectedDeviceId === d.id ? 'selected' : ''} ${d.failed ? 'failed' : ''}`;
             el.dataset.deviceId = d.id;
             el.style.left = `${d.x * this.zoomLevel}px`;
             el.style.top = `${d.y * this.zoomLevel}px`;
             el.style.transform = `translate(-50%, -50%) scale(${this.zoomLevel})`;
             if (this.connectStartId === d.id) el.style.opacity = '0.7';
 
-            let ipLabel = d.ip;
-            if (d.type === 'Router') {
-                ipLabel = d.interfaces.filter(i => i.ip).map(i => i.ip).join(' | ');
-            }
+            const ipLabel = TopologyExport.addressLabel(d);
 
             el.innerHTML = `
                 <div class="device-icon-wrapper">
@@ -755,6 +1921,7 @@ const UI = {
                     const rect = workspace.getBoundingClientRect();
                     d.x = (e.clientX - rect.left) / this.zoomLevel;
                     d.y = (e.clientY - rect.top) / this.zoomLevel;
+                    this.commitHistory(`Mover ${d.name}`, `move:${d.id}`);
                     this.render();
                 }
             }
@@ -810,6 +1977,7 @@ const UI = {
                     isTouchDragging = false;
 
                     if (hasMoved) {
+                        this.commitHistory(`Mover ${d.name}`, `move:${d.id}`);
                         this.render(); // Re-render to update connections
                     } else {
                         // It was a tap!
@@ -818,186 +1986,1894 @@ const UI = {
                 }
             });
 
-            workspace.appendChild(el);
-        });
+            workspace.appendChild(el);
+        });
+
+        // Handle Text Drag End (global or attached to elm)
+        // We need to attach drop handler on workspace to distinguish
+        workspace.ondrop = (e) => {
+            e.preventDefault();
+            const rect = workspace.getBoundingClientRect();
+            const x = e.clientX - rect.left;
+            const y = e.clientY - rect.top;
+
+            const moveId = e.dataTransfer.getData('moveId');
+            const moveTextId = e.dataTransfer.getData('moveTextId');
+
+            if (moveId) {
+                // Device Move (Handled by dragend usually, but for precision drop can work too)
+                // Existing logic uses dragend.
+            } else if (moveTextId) {
+                // Text Move
+                const lbl = sim.textLabels.find(l => l.id == moveTextId);
+                if (lbl) {
+                    lbl.x = x / this.zoomLevel;
+                    lbl.y = y / this.zoomLevel;
+                    this.commitHistory('Mover etiqueta', `move-text:${lbl.id}`);
+                    this.render();
+                }
+            } else if (this.draggedType) {
+                // New Device Drop
+                this.handleDrop(e);
+            }
+        };
+
+
+        // Render Connections
+        this.renderConnections();
+    },
+
+    drawLinkLight(svg, x1, y1, x2, y2, status) {
+        const triangle = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+        triangle.setAttribute('points', TopologyExport.linkLightPoints(x1, y1, x2, y2));
+        // Color based on status: green up, red protocol down, amber administratively down
+        triangle.setAttribute('fill', TopologyExport.LINK_LIGHT_COLORS[status] || TopologyExport.LINK_LIGHT_COLORS.up);
+
+        const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+        title.textContent = status === 'admin-down' ? 'Apagada administrativamente' : status === 'down' ? 'Enlace caído' : 'Enlace activo';
+        triangle.appendChild(title);
+
+        svg.appendChild(triangle);
+    },
+
+    // ... (Keep existing Modals: openConfigModal, openPingModal, runPing, closeModals etc) ...
+    // Note: I'm replacing the whole file so I should re-paste them simplified or full
+
+    openConfigModal(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        const body = document.querySelector('#config-modal .modal-body');
+
+        let html = `
+            <div class="form-group">
+                <label class="form-label">Nombre</label>
+                <input type="text" class="form-input" id="conf-name" value="${d.name}">
+            </div>
+            <label style="display:flex; align-items:center; gap:6px; font-size:0.9em;" title="Acepta cable directo o cruzado en sus puertos Ethernet">
+                <input type="checkbox" id="conf-auto-mdix" ${d.autoMdix ? 'checked' : ''}> Auto-MDIX
+            </label>
+        `;
+
+        // Show all interfaces
+        if (d.interfaces.length > 0) {
+            html += `<div id="conf-interfaces" style="max-height: 300px; overflow-y:auto; margin-top:10px;"></div>`;
+
+            if (d.type !== 'Router' && d.type !== 'Switch') {
+                const dhcp = d.interfaces[0].dhcp;
+                html += `
+                     <div class="form-group" style="margin-top:10px;">
+                        <label class="form-label">Configuración IP</label>
+                        <div style="display:flex; gap:5px;">
+                            <select class="form-input" id="conf-ip-mode" onchange="UI.toggleIpMode(this.value)">
+                                <option value="static" ${dhcp ? '' : 'selected'}>Estática</option>
+                                <option value="dhcp" ${dhcp ? 'selected' : ''}>DHCP</option>
+                            </select>
+                            <button class="btn" onclick="UI.renewDhcp(${d.id})" title="Renovar DHCP" ${dhcp ? '' : 'disabled'} id="conf-dhcp-renew">
+                                <i class="fa-solid fa-rotate"></i>
+                            </button>
+                        </div>
+                     </div>
+                     <div class="form-group" style="margin-top:10px;">
+                        <label class="form-label">Gateway</label>
+                        <input type="text" class="form-input" id="conf-gw" value="${d.gateway}" ${dhcp ? 'disabled' : ''}>
+                     </div>
+                     <div class="form-group" style="margin-top:10px;">
+                        <label class="form-label">Servidor DNS</label>
+                        <input type="text" class="form-input" id="conf-dns" value="${d.dnsServer}" ${dhcp ? 'disabled' : ''}>
+                     </div>
+                     <div class="form-group" style="margin-top:10px;">
+                        <label class="form-label">Configuración IPv6</label>
+                        <select class="form-input" id="conf-ipv6-mode" onchange="UI.toggleIpv6Mode(this.value)">
+                            <option value="static" ${d.interfaces[0].ipv6Autoconfig ? '' : 'selected'}>Estática</option>
+                            <option value="slaac" ${d.interfaces[0].ipv6Autoconfig ? 'selected' : ''}>Automática (SLAAC)</option>
+                        </select>
+                     </div>
+                     <div class="form-group" style="margin-top:10px;">
+                        <label class="form-label">Gateway IPv6</label>
+                        <input type="text" class="form-input" id="conf-gw6" value="${d.ipv6Gateway}" placeholder="ej. fe80::1 o 2001:db8:1::1"
+                            ${d.interfaces[0].ipv6Autoconfig ? 'disabled' : ''}>
+                     </div>
+                  `;
+            }
+
+            if (d.type === 'Router' || d.type === 'Server') {
+                html += `
+                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
+                        <label class="form-label">Servidor DHCP</label>
+                        <label style="display:flex; align-items:center; gap:6px; font-size:0.9em;">
+                            <input type="checkbox" id="conf-dhcp-enabled" ${d.dhcpServer.enabled ? 'checked' : ''} onchange="UI.toggleDhcpServer(${d.id}, this.checked)">
+                            Habilitar servicio DHCP
+                        </label>
+                        <div id="conf-dhcp-pools" style="margin-top:5px;"></div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-pool-name" placeholder="Nombre del pool">
+                            <input type="number" class="form-input" id="conf-pool-lease" value="86400" min="60" style="width:100px;" title="Tiempo de concesión (s)">
+                        </div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-pool-start" placeholder="IP inicial">
+                            <input type="text" class="form-input" id="conf-pool-end" placeholder="IP final">
+                            <input type="text" class="form-input" id="conf-pool-mask" placeholder="Máscara">
+                        </div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-pool-gw" placeholder="Default gateway">
+                            <input type="text" class="form-input" id="conf-pool-dns" placeholder="Servidor DNS">
+                        </div>
+                        <button class="btn" style="width:100%; margin-top:5px;" onclick="UI.addDhcpPool(${d.id})">
+                            <i class="fa-solid fa-plus"></i> Agregar Pool
+                        </button>
+                        <div id="conf-dhcp-excluded" style="margin-top:10px;"></div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-excl-from" placeholder="Excluir desde">
+                            <input type="text" class="form-input" id="conf-excl-to" placeholder="Hasta (opcional)">
+                            <button class="btn" onclick="UI.addDhcpExclusion(${d.id})" title="Agregar exclusión">
+                                <i class="fa-solid fa-plus"></i>
+                            </button>
+                        </div>
+                        <button class="btn" style="width:100%; margin-top:5px;" onclick="UI.showDhcpBindings(${d.id})">
+                            <i class="fa-solid fa-list"></i> Ver Concesiones
+                        </button>
+                    </div>
+                `;
+            }
+
+            if (d.type === 'Server') {
+                html += `
+                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
+                        <label class="form-label">Servidor DNS</label>
+                        <label style="display:flex; align-items:center; gap:6px; font-size:0.9em;">
+                            <input type="checkbox" id="conf-dns-enabled" ${d.dnsService.enabled ? 'checked' : ''} onchange="UI.toggleDnsService(${d.id}, this.checked)">
+                            Habilitar servicio DNS
+                        </label>
+                        <div id="conf-dns-records" style="margin-top:5px;"></div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-dns-name" placeholder="Nombre (ej. www.empresa.local)">
+                            <input type="text" class="form-input" id="conf-dns-ip" placeholder="Dirección IP">
+                            <button class="btn" onclick="UI.addDnsRecord(${d.id})" title="Agregar registro A">
+                                <i class="fa-solid fa-plus"></i>
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }
+
+            if (d.type === 'Router') {
+                html += `
+                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
+                        <label class="form-label">Subinterfaces (Router-on-a-stick)</label>
+                        <div style="display:flex; gap:5px;">
+                            <select class="form-input" id="conf-sub-parent">
+                                ${d.interfaces.filter(i => i.type === 'ethernet' && !i.parentName)
+                                    .map(i => `<option value="${i.name}">${i.name}</option>`).join('')}
+                            </select>
+                            <input type="number" class="form-input" id="conf-sub-number" min="1" placeholder="Nº" style="width:70px;">
+                            <input type="number" class="form-input" id="conf-sub-vlan" min="1" max="4094" placeholder="VLAN" style="width:80px;">
+                            <button class="btn" onclick="UI.addSubinterface(${d.id})" title="Agregar subinterfaz">
+                                <i class="fa-solid fa-plus"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
+                        <label class="form-label">Rutas Estáticas</label>
+                        <div id="conf-static-routes"></div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-sr-network" placeholder="Red destino">
+                            <input type="text" class="form-input" id="conf-sr-mask" placeholder="Máscara">
+                        </div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-sr-nexthop" placeholder="Siguiente salto">
+                            <select class="form-input" id="conf-sr-iface">
+                                <option value="">(Interfaz salida)</option>
+                                ${this.interfaceOptions(d)}
+                            </select>
+                            <input type="number" class="form-input" id="conf-sr-ad" value="1" min="1" max="255" style="width:70px;" title="Distancia administrativa">
+                        </div>
+                        <button class="btn" style="width:100%; margin-top:5px;" onclick="UI.addStaticRoute(${d.id})">
+                            <i class="fa-solid fa-plus"></i> Agregar Ruta
+                        </button>
+                    </div>
+                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
+                        <label class="form-label">IPv6</label>
+                        <label style="display:flex; align-items:center; gap:6px; font-size:0.9em;" title="Reenvía IPv6 y envía Router Advertisements (SLAAC)">
+                            <input type="checkbox" id="conf-ipv6-routing" ${d.ipv6Routing ? 'checked' : ''} onchange="UI.toggleIpv6Routing(${d.id}, this.checked)">
+                            ipv6 unicast-routing
+                        </label>
+                        <div id="conf-ipv6-static-routes" style="margin-top:5px;"></div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-sr6-prefix" placeholder="Prefijo (ej. 2001:db8:2::/64)">
+                            <input type="text" class="form-input" id="conf-sr6-nexthop" placeholder="Siguiente salto IPv6">
+                        </div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <select class="form-input" id="conf-sr6-iface">
+                                <option value="">(Interfaz salida)</option>
+                                ${this.interfaceOptions(d)}
+                            </select>
+                            <input type="number" class="form-input" id="conf-sr6-ad" value="1" min="1" max="255" style="width:70px;" title="Distancia administrativa">
+                        </div>
+                        <button class="btn" style="width:100%; margin-top:5px;" onclick="UI.addIpv6StaticRoute(${d.id})">
+                            <i class="fa-solid fa-plus"></i> Agregar Ruta IPv6
+                        </button>
+                    </div>
+                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
+                        <label class="form-label">Listas de Acceso (ACL) <small style="color:var(--text-muted);">solo IPv4: el tráfico IPv6 pasa sin filtrar</small></label>
+                        <div id="conf-acls" style="margin-top:5px;"></div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="number" class="form-input" id="conf-acl-number" min="1" max="199" placeholder="Nº (1-99 / 100-199)" style="width:150px;">
+                            <select class="form-input" id="conf-acl-action">
+                                <option value="permit">permit</option>
+                                <option value="deny">deny</option>
+                            </select>
+                            <select class="form-input" id="conf-acl-protocol" title="Solo en ACL extendidas">
+                                <option value="ip">ip</option>
+                                <option value="icmp">icmp</option>
+                                <option value="tcp">tcp</option>
+                                <option value="udp">udp</option>
+                            </select>
+                        </div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-acl-source" placeholder="Origen (any, host X, X wildcard)">
+                            <input type="text" class="form-input" id="conf-acl-destination" placeholder="Destino (extendida)">
+                            <input type="text" class="form-input" id="conf-acl-port" placeholder="Puerto" style="width:80px;" title="eq <puerto> (tcp/udp)">
+                        </div>
+                        <button class="btn" style="width:100%; margin-top:5px;" onclick="UI.addAclEntry(${d.id})">
+                            <i class="fa-solid fa-plus"></i> Agregar Entrada
+                        </button>
+                    </div>
+                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
+                        <label class="form-label">NAT / PAT</label>
+                        <div id="conf-nat" style="margin-top:5px;"></div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-nat-local" placeholder="Inside local">
+                            <input type="text" class="form-input" id="conf-nat-global" placeholder="Inside global">
+                            <button class="btn" onclick="UI.addNatStatic(${d.id})" title="Agregar NAT estática">
+                                <i class="fa-solid fa-plus"></i>
+                            </button>
+                        </div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-nat-pool-name" placeholder="Pool" style="width:80px;">
+                            <input type="text" class="form-input" id="conf-nat-pool-start" placeholder="IP inicial">
+                            <input type="text" class="form-input" id="conf-nat-pool-end" placeholder="IP final">
+                            <input type="text" class="form-input" id="conf-nat-pool-mask" placeholder="Máscara">
+                            <button class="btn" onclick="UI.addNatPool(${d.id})" title="Agregar pool">
+                                <i class="fa-solid fa-plus"></i>
+                            </button>
+                        </div>
+                        <div style="display:flex; gap:5px; margin-top:5px; align-items:center;">
+                            <input type="number" class="form-input" id="conf-nat-acl" min="1" max="199" placeholder="ACL" style="width:80px;">
+                            <select class="form-input" id="conf-nat-target"></select>
+                            <label style="display:flex; align-items:center; gap:4px; font-size:0.85em; white-space:nowrap;">
+                                <input type="checkbox" id="conf-nat-overload"> overload
+                            </label>
+                            <button class="btn" onclick="UI.addNatRule(${d.id})" title="Agregar NAT dinámica">
+                                <i class="fa-solid fa-plus"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
+                        <label class="form-label">RIP</label>
+                        <label style="display:flex; align-items:center; gap:6px; font-size:0.9em;">
+                            <input type="checkbox" id="conf-rip-enabled" ${d.rip.enabled ? 'checked' : ''} onchange="UI.toggleRip(${d.id}, this.checked)">
+                            Habilitar RIPv2
+                        </label>
+                        <label style="display:flex; align-items:center; gap:6px; font-size:0.9em; margin-top:5px;">
+                            <input type="checkbox" id="conf-rip-split" ${d.rip.splitHorizon ? 'checked' : ''} onchange="UI.toggleRipSplitHorizon(${d.id}, this.checked)">
+                            Split horizon
+                        </label>
+                        <div id="conf-rip-networks" style="margin-top:5px;"></div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-rip-network" placeholder="Red (ej. 10.0.0.0)">
+                            <button class="btn" onclick="UI.addRipNetwork(${d.id})" title="Agregar red">
+                                <i class="fa-solid fa-plus"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
+                        <label class="form-label">OSPF (Área 0)</label>
+                        <label style="display:flex; align-items:center; gap:6px; font-size:0.9em;">
+                            <input type="checkbox" id="conf-ospf-enabled" ${d.ospf.enabled ? 'checked' : ''} onchange="UI.toggleOspf(${d.id}, this.checked)">
+                            Habilitar OSPF
+                        </label>
+                        <input type="text" class="form-input" id="conf-ospf-rid" value="${d.ospf.routerId}" placeholder="Router ID (automático)"
+                            style="margin-top:5px;" onchange="UI.setOspfRouterId(${d.id}, this.value)">
+                        <div id="conf-ospf-networks" style="margin-top:5px;"></div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-ospf-network" placeholder="Red">
+                            <input type="text" class="form-input" id="conf-ospf-wildcard" placeholder="Wildcard (ej. 0.0.0.255)">
+                            <button class="btn" onclick="UI.addOspfNetwork(${d.id})" title="Agregar red">
+                                <i class="fa-solid fa-plus"></i>
+                            </button>
+                        </div>
+                        <button class="btn" style="width:100%; margin-top:5px;" onclick="UI.showOspfDetails(${d.id})">
+                            <i class="fa-solid fa-diagram-project"></i> Ver Vecinos, LSDB y Árbol SPF
+                        </button>
+                    </div>
+                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
+                        <button class="btn" style="width:100%;" onclick="UI.showRoutingTable(${d.id})">
+                            <i class="fa-solid fa-table-list"></i> Ver Tabla de Enrutamiento
+                        </button>
+                        <button class="btn" style="width:100%; margin-top:5px;" onclick="UI.showNatTable(${d.id})">
+                            <i class="fa-solid fa-right-left"></i> Ver Traducciones NAT
+                        </button>
+                    </div>
+                `;
+            }
+
+            if (d.type === 'Switch') {
+                html += `
+                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
+                        <label class="form-label">VLANs</label>
+                        <div id="conf-vlans"></div>
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="number" class="form-input" id="conf-vlan-id" min="2" max="4094" placeholder="ID" style="width:90px;">
+                            <input type="text" class="form-input" id="conf-vlan-name" placeholder="Nombre">
+                            <button class="btn" onclick="UI.addVlan(${d.id})" title="Agregar VLAN">
+                                <i class="fa-solid fa-plus"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
+                        <button class="btn" style="width:100%;" onclick="UI.showMacTable(${d.id})">
+                            <i class="fa-solid fa-table-list"></i> Ver Tabla de Direcciones MAC
+                        </button>
+                    </div>
+                `;
+            } else {
+                html += `
+                    <div style="margin-top: 10px;">
+                        <button class="btn" style="width:100%;" onclick="UI.showArpCache(${d.id})">
+                            <i class="fa-solid fa-address-book"></i> Ver Caché ARP
+                        </button>
+                    </div>
+                `;
+            }
+        }
+
+        if (d.type === 'Router' || d.type === 'Switch') {
+            html += `
+                <div style="display:flex; gap:10px; margin-top: 10px;">
+                    <button class="btn" style="flex:1;" onclick="UI.exportDeviceConfig(${d.id})" title="Descargar show running-config">
+                        <i class="fa-solid fa-file-export"></i> Exportar Configuración
+                    </button>
+                    <button class="btn" style="flex:1;" onclick="UI.openConfigImport(${d.id})" title="Aplicar una configuración en texto">
+                        <i class="fa-solid fa-file-import"></i> Importar Configuración
+                    </button>
+                </div>
+            `;
+        }
+
+        html += `
+            <div style="margin-top: 10px;">
+                <button class="btn" style="width:100%;" onclick="UI.openTerminal(${d.id})">
+                    <i class="fa-solid fa-terminal"></i> ${d.type === 'Router' || d.type === 'Switch' ? 'Abrir CLI' : 'Abrir Símbolo del sistema'}
+                </button>
+            </div>
+        `;
+
+        body.innerHTML = html;
+        this.renderInterfaceList(d);
+        if (d.type === 'Router') {
+            this.renderStaticRoutes(d);
+            this.renderIpv6StaticRoutes(d);
+            this.renderAcls(d);
+            this.renderNat(d);
+            this.renderRipNetworks(d);
+            this.renderOspfNetworks(d);
+        }
+        if (d.type === 'Switch') this.renderVlans(d);
+        if (d.type === 'Router' || d.type === 'Server') this.renderDhcpServer(d);
+        if (d.type === 'Server') this.renderDnsRecords(d);
+        document.getElementById('config-modal').classList.add('active');
+    },
+
+    // Interface section of the config modal. Fields are numbered by interface index,
+    // as saveConfig reads them.
+    renderInterfaceList(d) {
+        const container = document.getElementById('conf-interfaces');
+        if (!container) return;
+
+        let rows = '';
+        d.interfaces.forEach((iface, idx) => {
+            if (iface.type === 'console') {
+                // Management port: nothing to configure
+                rows += `
+                    <div class="interface-group">
+                        <div class="interface-title">${iface.name} (console)${iface.connectedDeviceId ? ` · ${sim.getDevice(iface.connectedDeviceId).name}` : ''}</div>
+                    </div>
+                `;
+                return;
+            }
+            rows += `
+                <div class="interface-group">
+                    <div class="interface-title" style="display:flex; justify-content:space-between; align-items:center;">
+                        <span>${iface.name} (${iface.type}) · ${iface.mac}</span>
+                        <label style="display:flex; align-items:center; gap:4px; font-size:0.8em; font-weight:normal;" title="Apagado administrativo">
+                            <input type="checkbox" id="conf-if-shut-${idx}" ${iface.shutdown ? 'checked' : ''}> shutdown
+                        </label>
+                    </div>
+                    ${iface.type === 'serial' ? `
+                        <div style="display:flex; gap:5px; margin-top:5px; align-items:center;">
+                            <label class="form-label" style="margin:0; white-space:nowrap;">Clock rate${iface.serialRole ? ` (${iface.serialRole})` : ''}</label>
+                            <input type="number" class="form-input" id="conf-if-clock-${idx}" value="${iface.clockRate || ''}" min="0" placeholder="bps (ej. 64000)">
+                        </div>
+                    ` : ''}
+                    ${d.type === 'Switch' ? this.renderSwitchportFields(iface, idx) : iface.type === 'ethernet' || iface.type === 'serial' ? `
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="text" class="form-input" id="conf-if-ip-${idx}" value="${iface.ip}" placeholder="IP" ${iface.dhcp ? 'disabled' : ''}>
+                            <input type="text" class="form-input" id="conf-if-mask-${idx}" value="${iface.mask}" placeholder="Mask" ${iface.dhcp ? 'disabled' : ''}>
+                        </div>
+                        <input type="text" class="form-input" id="conf-if-ipv6-${idx}" value="${iface.ipv6 ? `${iface.ipv6}/${iface.ipv6Prefix}` : ''}"
+                            placeholder="IPv6/prefijo (ej. 2001:db8:1::1/64)" style="margin-top:5px;" ${iface.ipv6Autoconfig ? 'disabled' : ''}>
+                        <div style="font-size:0.75em; color:var(--text-muted); margin-top:3px;">Link-local: ${iface.linkLocal}</div>
+                    ` : ''}
+                    ${d.type === 'Router' && iface.type === 'ethernet' ? `
+                        <input type="text" class="form-input" id="conf-if-helper-${idx}" value="${iface.helperAddress}"
+                            placeholder="ip helper-address (relay DHCP)" style="margin-top:5px;">
+                    ` : ''}
+                    ${d.type === 'Router' && (iface.type === 'ethernet' || iface.type === 'serial') ? `
+                        <div style="display:flex; gap:5px; margin-top:5px;">
+                            <input type="number" class="form-input" id="conf-if-acl-in-${idx}" value="${iface.aclIn || ''}" min="1" max="199" placeholder="ACL entrada">
+                            <input type="number" class="form-input" id="conf-if-acl-out-${idx}" value="${iface.aclOut || ''}" min="1" max="199" placeholder="ACL salida">
+                            <select class="form-input" id="conf-if-nat-${idx}" title="Rol NAT (ip nat inside/outside)">
+                                <option value="" ${!iface.natRole ? 'selected' : ''}>Sin NAT</option>
+                                <option value="inside" ${iface.natRole === 'inside' ? 'selected' : ''}>NAT inside</option>
+                                <option value="outside" ${iface.natRole === 'outside' ? 'selected' : ''}>NAT outside</option>
+                            </select>
+                        </div>
+                    ` : ''}
+                    ${iface.parentName ? `
+                        <div style="display:flex; gap:5px; margin-top:5px; align-items:center;">
+                            <label class="form-label" style="margin:0; white-space:nowrap;">dot1Q VLAN</label>
+                            <input type="number" class="form-input" id="conf-if-tag-${idx}" value="${iface.encapsulationVlan}" min="1" max="4094">
+                            <button class="btn" onclick="UI.removeSubinterface(${d.id}, '${iface.name}')" title="Eliminar subinterfaz">
+                                <i class="fa-solid fa-trash"></i>
+                            </button>
+                        </div>
+                    ` : ''}
+                </div>
+              `;
+        });
+        container.innerHTML = rows;
+    },
+
+    // Values typed in the interface section, by interface name: { name: { fieldId: value } }
+    readInterfaceFields(d) {
+        const fields = ['shut', 'clock', 'ip', 'mask', 'ipv6', 'helper', 'acl-in', 'acl-out', 'nat', 'tag'];
+        const typed = {};
+        d.interfaces.forEach((iface, idx) => {
+            typed[iface.name] = {};
+            fields.forEach(field => {
+                const el = document.getElementById(`conf-if-${field}-${idx}`);
+                if (el) typed[iface.name][field] = el.type === 'checkbox' ? el.checked : el.value;
+            });
+        });
+        return typed;
+    },
+
+    // Redraws the interface section after subinterfaces are added or removed, keeping
+    // what the user typed (not saved yet) and the interface choices of the other forms
+    refreshInterfaceList(d, typed) {
+        this.renderInterfaceList(d);
+        d.interfaces.forEach((iface, idx) => {
+            Object.entries(typed[iface.name] || {}).forEach(([field, value]) => {
+                const el = document.getElementById(`conf-if-${field}-${idx}`);
+                if (!el) return;
+                if (el.type === 'checkbox') el.checked = value;
+                else el.value = value;
+            });
+        });
+
+        ['conf-sr-iface', 'conf-sr6-iface'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const current = select.value;
+            select.innerHTML = `<option value="">(Interfaz salida)</option>${this.interfaceOptions(d)}`;
+            select.value = d.getInterface(current) ? current : '';
+        });
+        this.renderStaticRoutes(d);
+        this.renderIpv6StaticRoutes(d);
+        this.renderNat(d);
+    },
+
+    // <option>s of the interfaces a route or NAT rule can name
+    interfaceOptions(d) {
+        return d.interfaces.filter(i => i.type !== 'console').map(i => `<option value="${i.name}">${i.name}</option>`).join('');
+    },
+
+    // Static/DHCP selector of hosts: DHCP-managed fields become read-only
+    toggleIpMode(mode) {
+        const dhcp = mode === 'dhcp';
+        ['conf-if-ip-0', 'conf-if-mask-0', 'conf-gw', 'conf-dns'].forEach(elId => {
+            const el = document.getElementById(elId);
+            if (el) el.disabled = dhcp;
+        });
+        document.getElementById('conf-dhcp-renew').disabled = !dhcp;
+    },
+
+    // Static/SLAAC selector of hosts: router advertisements fill the IPv6 fields
+    toggleIpv6Mode(mode) {
+        const slaac = mode === 'slaac';
+        ['conf-if-ipv6-0', 'conf-gw6'].forEach(elId => {
+            const el = document.getElementById(elId);
+            if (el) el.disabled = slaac;
+        });
+    },
+
+    renewDhcp(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        const result = sim.requestDhcp(d);
+        this.render();
+        this.openConfigModal(id);
+        this.showToast(result.log.join('<br>'), result.success ? 'success' : 'error');
+    },
+
+    renderDhcpServer(d) {
+        const pools = document.getElementById('conf-dhcp-pools');
+        const excluded = document.getElementById('conf-dhcp-excluded');
+        if (!pools || !excluded) return;
+
+        pools.innerHTML = d.dhcpServer.pools.length === 0
+            ? `<div style="font-size:0.85em; color:var(--text-muted);">Sin pools configurados</div>`
+            : d.dhcpServer.pools.map(p => `
+                <div class="interface-group" style="display:flex; justify-content:space-between; align-items:center;">
+                    <span style="font-size:0.85em;">
+                        ${p.name}: ${p.startIp} - ${p.endIp}/${NetworkUtils.maskToPrefix(p.mask)} gw ${p.gateway || '-'} dns ${p.dnsServer || '-'} (${p.leaseTime}s)
+                    </span>
+                    <button class="btn" onclick="UI.removeDhcpPool(${d.id}, '${p.name}')" title="Eliminar pool">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                </div>
+            `).join('');
+
+        excluded.innerHTML = d.dhcpServer.excluded.map((r, idx) => `
+            <div class="interface-group" style="display:flex; justify-content:space-between; align-items:center;">
+                <span style="font-size:0.85em;">excluded-address ${r.from}${r.to !== r.from ? ` ${r.to}` : ''}</span>
+                <button class="btn" onclick="UI.removeDhcpExclusion(${d.id}, ${idx})" title="Eliminar exclusión">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    },
+
+    toggleDhcpServer(id, enabled) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.dhcpServer.enabled = enabled;
+        this.showToast(enabled ? 'Servicio DHCP habilitado' : 'Servicio DHCP deshabilitado', 'success');
+    },
+
+    addDhcpPool(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        const value = elId => document.getElementById(elId).value.trim();
+        const pool = {
+            name: value('conf-pool-name'),
+            startIp: value('conf-pool-start'),
+            endIp: value('conf-pool-end'),
+            mask: value('conf-pool-mask'),
+            gateway: value('conf-pool-gw'),
+            dnsServer: value('conf-pool-dns'),
+            leaseTime: parseInt(value('conf-pool-lease'), 10) || 86400
+        };
+
+        if (!pool.name) {
+            this.showToast('Error: Indique un nombre para el pool', 'error');
+            return;
+        }
+        if (![pool.startIp, pool.endIp].every(ip => NetworkUtils.isValidIp(ip)) || !NetworkUtils.isValidMask(pool.mask)) {
+            this.showToast('Error: Rango o máscara inválidos', 'error');
+            return;
+        }
+        if (!NetworkUtils.isSameSubnet(pool.startIp, pool.endIp, pool.mask) ||
+            NetworkUtils.ipToLong(pool.startIp) > NetworkUtils.ipToLong(pool.endIp)) {
+            this.showToast('Error: El rango debe estar en una misma subred y en orden', 'error');
+            return;
+        }
+        if ((pool.gateway && !NetworkUtils.isValidIp(pool.gateway)) || (pool.dnsServer && !NetworkUtils.isValidIp(pool.dnsServer))) {
+            this.showToast('Error: Gateway o DNS inválido', 'error');
+            return;
+        }
+        if (!d.dhcpServer.addPool(pool)) {
+            this.showToast('Error: Ya existe un pool con ese nombre', 'error');
+            return;
+        }
+
+        ['conf-pool-name', 'conf-pool-start', 'conf-pool-end', 'conf-pool-mask', 'conf-pool-gw', 'conf-pool-dns']
+            .forEach(elId => document.getElementById(elId).value = '');
+        this.renderDhcpServer(d);
+        this.showToast(`Pool ${pool.name} agregado`, 'success');
+    },
+
+    removeDhcpPool(id, name) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.dhcpServer.removePool(name);
+        this.renderDhcpServer(d);
+        this.showToast(`Pool ${name} eliminado`, 'success');
+    },
+
+    addDhcpExclusion(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        const from = document.getElementById('conf-excl-from').value.trim();
+        const to = document.getElementById('conf-excl-to').value.trim() || from;
+        if (!NetworkUtils.isValidIp(from) || !NetworkUtils.isValidIp(to) ||
+            NetworkUtils.ipToLong(from) > NetworkUtils.ipToLong(to)) {
+            this.showToast('Error: Rango de exclusión inválido', 'error');
+            return;
+        }
+
+        d.dhcpServer.addExclusion(from, to);
+        ['conf-excl-from', 'conf-excl-to'].forEach(elId => document.getElementById(elId).value = '');
+        this.renderDhcpServer(d);
+        this.showToast('Exclusión agregada', 'success');
+    },
+
+    removeDhcpExclusion(id, index) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.dhcpServer.removeExclusion(index);
+        this.renderDhcpServer(d);
+        this.showToast('Exclusión eliminada', 'success');
+    },
+
+    renderDnsRecords(d) {
+        const container = document.getElementById('conf-dns-records');
+        if (!container) return;
+
+        if (d.dnsService.records.length === 0) {
+            container.innerHTML = `<div style="font-size:0.85em; color:var(--text-muted);">Sin registros</div>`;
+            return;
+        }
+
+        container.innerHTML = d.dnsService.records.map(r => `
+            <div class="interface-group" style="display:flex; justify-content:space-between; align-items:center;">
+                <span style="font-size:0.85em;">${r.name} A ${r.ip}</span>
+                <button class="btn" onclick="UI.removeDnsRecord(${d.id}, '${r.name}')" title="Eliminar registro">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    },
+
+    toggleDnsService(id, enabled) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.dnsService.enabled = enabled;
+        this.showToast(enabled ? 'Servicio DNS habilitado' : 'Servicio DNS deshabilitado', 'success');
+    },
+
+    addDnsRecord(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        const name = document.getElementById('conf-dns-name').value.trim();
+        const ip = document.getElementById('conf-dns-ip').value.trim();
+        if (!/^[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?)*$/.test(name)) {
+            this.showToast('Error: Nombre de host inválido', 'error');
+            return;
+        }
+        if (!NetworkUtils.isValidIp(ip)) {
+            this.showToast('Error: Dirección IP inválida', 'error');
+            return;
+        }
+
+        d.dnsService.addRecord(name, ip);
+        ['conf-dns-name', 'conf-dns-ip'].forEach(elId => document.getElementById(elId).value = '');
+        this.renderDnsRecords(d);
+        this.showToast(`Registro ${name} agregado`, 'success');
+    },
+
+    removeDnsRecord(id, name) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.dnsService.removeRecord(name);
+        this.renderDnsRecords(d);
+        this.showToast(`Registro ${name} eliminado`, 'success');
+    },
+
+    // 'show ip dhcp binding'
+    showDhcpBindings(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        d.dhcpServer.expireLeases();
+        const now = Date.now();
+        const container = document.getElementById('dhcp-table-content');
+
+        container.innerHTML = `
+            <div style="margin-bottom: 15px;">
+                <strong>Servidor:</strong> ${d.name}
+                <small style="color:var(--text-muted);">(${d.dhcpServer.enabled ? 'servicio activo' : 'servicio deshabilitado'})</small>
+            </div>
+            <table class="routing-table">
+                <thead>
+                    <tr>
+                        <th>Dirección IP</th>
+                        <th>Dirección MAC</th>
+                        <th>Cliente</th>
+                        <th>Pool</th>
+                        <th>Expira en (s)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${d.dhcpServer.leases.map(l => `
+                        <tr>
+                            <td>${l.ip}</td>
+                            <td>${l.mac}</td>
+                            <td>${l.hostname}</td>
+                            <td>${l.pool}</td>
+                            <td>${Math.ceil((l.expires - now) / 1000)}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="5">No hay concesiones activas</td></tr>'}
+                </tbody>
+            </table>
+            <div style="display:flex; gap:10px; margin-top:10px;">
+                <button class="btn" onclick="UI.showDhcpBindings(${d.id})"><i class="fa-solid fa-rotate"></i> Actualizar</button>
+            </div>
+        `;
+
+        this.closeModals();
+        document.getElementById('dhcp-modal').classList.add('active');
+    },
+
+    renderSwitchportFields(iface, idx) {
+        return `
+            <div style="display:flex; gap:5px; margin-top:5px;">
+                <select class="form-input" id="conf-if-mode-${idx}" title="Modo del puerto">
+                    <option value="access" ${iface.mode === 'access' ? 'selected' : ''}>Access</option>
+                    <option value="trunk" ${iface.mode === 'trunk' ? 'selected' : ''}>Trunk</option>
+                </select>
+                <input type="number" class="form-input" id="conf-if-vlan-${idx}" value="${iface.accessVlan}" min="1" max="4094" title="VLAN de acceso">
+                <input type="text" class="form-input" id="conf-if-allowed-${idx}" value="${NetworkUtils.formatVlanList(iface.allowedVlans)}" title="VLANs permitidas en trunk (all, 10,20-30)">
+                <input type="number" class="form-input" id="conf-if-native-${idx}" value="${iface.nativeVlan}" min="1" max="4094" title="VLAN nativa del trunk">
+            </div>
+        `;
+    },
+
+    renderVlans(d) {
+        const container = document.getElementById('conf-vlans');
+        if (!container) return;
+
+        container.innerHTML = d.vlans.map(v => `
+            <div class="interface-group" style="display:flex; justify-content:space-between; align-items:center;">
+                <span style="font-size:0.85em;">VLAN ${v.id} - ${v.name}</span>
+                ${v.id !== 1 ? `
+                    <button class="btn" onclick="UI.removeVlan(${d.id}, ${v.id})" title="Eliminar VLAN">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                ` : ''}
+            </div>
+        `).join('');
+    },
+
+    addVlan(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        const vlanId = parseInt(document.getElementById('conf-vlan-id').value, 10);
+        const name = document.getElementById('conf-vlan-name').value.trim();
+        if (!(vlanId >= 1 && vlanId <= 4094)) {
+            this.showToast('Error: El ID de VLAN debe estar entre 1 y 4094', 'error');
+            return;
+        }
+        if (!d.addVlan(vlanId, name)) {
+            this.showToast('Error: La VLAN ya existe', 'error');
+            return;
+        }
+
+        document.getElementById('conf-vlan-id').value = '';
+        document.getElementById('conf-vlan-name').value = '';
+        this.renderVlans(d);
+    },
+
+    removeVlan(id, vlanId) {
+        const d = sim.getDevice(id);
+        if (!d || !d.removeVlan(vlanId)) return;
+        this.renderVlans(d);
+        this.showToast(`VLAN ${vlanId} eliminada (los puertos asignados quedan inactivos)`, 'info');
+    },
+
+    addSubinterface(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        const parentName = document.getElementById('conf-sub-parent').value;
+        const number = parseInt(document.getElementById('conf-sub-number').value, 10);
+        const vlan = parseInt(document.getElementById('conf-sub-vlan').value, 10);
+        if (!(number >= 1) || !(vlan >= 1 && vlan <= 4094)) {
+            this.showToast('Error: Número de subinterfaz o VLAN inválido', 'error');
+            return;
+        }
+        if (d.interfaces.some(i => i.parentName === parentName && i.encapsulationVlan === vlan)) {
+            this.showToast(`Error: La VLAN ${vlan} ya está asignada a otra subinterfaz de ${parentName}`, 'error');
+            return;
+        }
+        const typed = this.readInterfaceFields(d);
+        if (!d.addSubinterface(parentName, number, vlan)) {
+            this.showToast('Error: La subinterfaz ya existe', 'error');
+            return;
+        }
+
+        // The new subinterface gets its fields; what was typed in the others stays
+        this.refreshInterfaceList(d, typed);
+        this.showToast(`Subinterfaz ${parentName}.${number} creada`, 'success');
+    },
+
+    removeSubinterface(id, name) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        const typed = this.readInterfaceFields(d);
+        if (!d.removeSubinterface(name)) return;
+        this.refreshInterfaceList(d, typed);
+        this.showToast(`Subinterfaz ${name} eliminada`, 'info');
+    },
+
+    renderStaticRoutes(d) {
+        const container = document.getElementById('conf-static-routes');
+        if (!container) return;
+
+        if (d.staticRoutes.length === 0) {
+            container.innerHTML = `<div style="font-size:0.85em; color:var(--text-muted);">Sin rutas estáticas</div>`;
+            return;
+        }
+
+        container.innerHTML = d.staticRoutes.map((r, idx) => `
+            <div class="interface-group" style="display:flex; justify-content:space-between; align-items:center;">
+                <span style="font-size:0.85em;">
+                    S ${r.network}/${r.prefixLength} [${r.distance}/0] via ${[r.nextHop, r.exitInterface].filter(v => v).join(' ')}
+                </span>
+                <button class="btn" onclick="UI.removeStaticRoute(${d.id}, ${idx})" title="Eliminar ruta">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    },
+
+    addStaticRoute(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        const network = document.getElementById('conf-sr-network').value.trim();
+        const mask = document.getElementById('conf-sr-mask').value.trim();
+        const nextHop = document.getElementById('conf-sr-nexthop').value.trim();
+        const exitInterface = document.getElementById('conf-sr-iface').value;
+        const distance = parseInt(document.getElementById('conf-sr-ad').value, 10) || 1;
+
+        if (!NetworkUtils.isValidIp(network) || !NetworkUtils.isValidMask(mask)) {
+            this.showToast('Error: Red o máscara inválida', 'error');
+            return;
+        }
+        if (!nextHop && !exitInterface) {
+            this.showToast('Error: Indique siguiente salto o interfaz de salida', 'error');
+            return;
+        }
+        if (nextHop && !NetworkUtils.isValidIp(nextHop)) {
+            this.showToast('Error: Siguiente salto inválido', 'error');
+            return;
+        }
+        if (distance < 1 || distance > 255) {
+            this.showToast('Error: La distancia administrativa debe estar entre 1 y 255', 'error');
+            return;
+        }
+
+        // Store the network address, not whatever host IP was typed
+        if (!d.addStaticRoute(NetworkUtils.networkAddress(network, mask), mask, nextHop, exitInterface, distance)) {
+            this.showToast('Error: La ruta ya existe', 'error');
+            return;
+        }
+
+        ['conf-sr-network', 'conf-sr-mask', 'conf-sr-nexthop'].forEach(elId => document.getElementById(elId).value = '');
+        this.renderStaticRoutes(d);
+        this.showToast('Ruta estática agregada', 'success');
+    },
+
+    removeStaticRoute(id, index) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.removeStaticRoute(index);
+        this.renderStaticRoutes(d);
+        this.showToast('Ruta estática eliminada', 'success');
+    },
+
+    renderIpv6StaticRoutes(d) {
+        const container = document.getElementById('conf-ipv6-static-routes');
+        if (!container) return;
+
+        if (d.ipv6StaticRoutes.length === 0) {
+            container.innerHTML = `<div style="font-size:0.85em; color:var(--text-muted);">Sin rutas estáticas IPv6</div>`;
+            return;
+        }
+
+        container.innerHTML = d.ipv6StaticRoutes.map((r, idx) => `
+            <div class="interface-group" style="display:flex; justify-content:space-between; align-items:center;">
+                <span style="font-size:0.85em;">
+                    S ${r.network}/${r.prefixLength} [${r.distance}/0] via ${[r.nextHop, r.exitInterface].filter(v => v).join(' ')}
+                </span>
+                <button class="btn" onclick="UI.removeIpv6StaticRoute(${d.id}, ${idx})" title="Eliminar ruta">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    },
+
+    toggleIpv6Routing(id, enabled) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.ipv6Routing = enabled;
+        this.showToast(enabled ? 'Enrutamiento IPv6 habilitado' : 'Enrutamiento IPv6 deshabilitado', 'info');
+    },
+
+    addIpv6StaticRoute(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        const prefix = NetworkUtils.parseIpv6Cidr(document.getElementById('conf-sr6-prefix').value);
+        const nextHopText = document.getElementById('conf-sr6-nexthop').value.trim();
+        const exitInterface = document.getElementById('conf-sr6-iface').value;
+        const distance = parseInt(document.getElementById('conf-sr6-ad').value, 10) || 1;
+
+        if (!prefix) {
+            this.showToast('Error: Prefijo IPv6 inválido (ej. 2001:db8:2::/64)', 'error');
+            return;
+        }
+        if (!nextHopText && !exitInterface) {
+            this.showToast('Error: Indique siguiente salto o interfaz de salida', 'error');
+            return;
+        }
+        const nextHop = nextHopText ? NetworkUtils.normalizeIpv6(nextHopText) : '';
+        if (nextHop === null) {
+            this.showToast('Error: Siguiente salto IPv6 inválido', 'error');
+            return;
+        }
+        if (NetworkUtils.isLinkLocalIpv6(nextHop) && !exitInterface) {
+            this.showToast('Error: Un siguiente salto link-local requiere interfaz de salida', 'error');
+            return;
+        }
+        if (distance < 1 || distance > 255) {
+            this.showToast('Error: La distancia administrativa debe estar entre 1 y 255', 'error');
+            return;
+        }
+
+        const network = NetworkUtils.ipv6Network(prefix.ip, prefix.prefixLength);
+        if (!d.addIpv6StaticRoute(network, prefix.prefixLength, nextHop, exitInterface, distance)) {
+            this.showToast('Error: La ruta ya existe', 'error');
+            return;
+        }
+
+        ['conf-sr6-prefix', 'conf-sr6-nexthop'].forEach(elId => document.getElementById(elId).value = '');
+        this.renderIpv6StaticRoutes(d);
+        this.showToast('Ruta estática IPv6 agregada', 'success');
+    },
+
+    removeIpv6StaticRoute(id, index) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.removeIpv6StaticRoute(index);
+        this.renderIpv6StaticRoutes(d);
+        this.showToast('Ruta estática IPv6 eliminada', 'success');
+    },
+
+    renderAcls(d) {
+        const container = document.getElementById('conf-acls');
+        if (!container) return;
+
+        if (d.accessLists.length === 0) {
+            container.innerHTML = `<div style="font-size:0.85em; color:var(--text-muted);">Sin listas de acceso</div>`;
+            return;
+        }
+
+        container.innerHTML = d.accessLists.map(acl => {
+            const appliedOn = d.interfaces
+                .flatMap(i => [i.aclIn === acl.number ? `${i.name} in` : '', i.aclOut === acl.number ? `${i.name} out` : ''])
+                .filter(v => v);
+            return `
+            <div class="interface-group">
+                <div class="interface-title" style="display:flex; justify-content:space-between; align-items:center;">
+                    <span>${acl.type === 'standard' ? 'Estándar' : 'Extendida'} ${acl.number}${appliedOn.length ? ` · ${appliedOn.join(', ')}` : ''}</span>
+                    <span style="display:flex; gap:5px;">
+                        <button class="btn" onclick="UI.resetAclCounters(${d.id}, ${acl.number})" title="Reiniciar contadores">
+                            <i class="fa-solid fa-rotate-left"></i>
+                        </button>
+                        <button class="btn" onclick="UI.removeAccessList(${d.id}, ${acl.number})" title="Eliminar lista">
+                            <i class="fa-solid fa-trash"></i>
+                        </button>
+                    </span>
+                </div>
+                ${acl.entries.map((e, idx) => `
+                    <div style="display:flex; justify-content:space-between; align-items:center; margin-top:3px;">
+                        <span style="font-size:0.85em;">${e.sequence} ${acl.formatEntry(e)} <span style="color:var(--text-muted);">(${e.matches} coincidencias)</span></span>
+                        <button class="btn" onclick="UI.removeAclEntry(${d.id}, ${acl.number}, ${idx})" title="Eliminar entrada">
+                            <i class="fa-solid fa-xmark"></i>
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        }).join('');
+    },
+
+    renderNat(d) {
+        const container = document.getElementById('conf-nat');
+        if (!container) return;
+
+        const nat = d.nat;
+        const row = (text, onclick, title) => `
+            <div class="interface-group" style="display:flex; justify-content:space-between; align-items:center;">
+                <span style="font-size:0.85em;">${text}</span>
+                <button class="btn" onclick="${onclick}" title="${title}">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </div>
+        `;
+        const rows = [
+            ...nat.statics.map(s => row(`Estática ${s.local} → ${s.global}`, `UI.removeNatStatic(${d.id}, '${s.local}')`, 'Eliminar NAT estática')),
+            ...nat.pools.map(p => row(`Pool ${p.name}: ${p.startIp} - ${p.endIp} ${p.mask}`, `UI.removeNatPool(${d.id}, '${p.name}')`, 'Eliminar pool')),
+            ...nat.rules.map(r => row(`ACL ${r.acl} → ${r.pool ? `pool ${r.pool}` : `interfaz ${r.interface}`}${r.overload ? ' (overload)' : ''}`,
+                `UI.removeNatRule(${d.id}, ${r.acl})`, 'Eliminar NAT dinámica'))
+        ];
+        container.innerHTML = rows.join('') || `<div style="font-size:0.85em; color:var(--text-muted);">Sin traducciones configuradas</div>`;
+
+        // Dynamic NAT translates to a pool or, overloaded, to an interface address
+        const target = document.getElementById('conf-nat-target');
+        target.innerHTML = [
+            ...nat.pools.map(p => `<option value="pool:${p.name}">Pool ${p.name}</option>`),
+            ...d.interfaces.filter(i => i.type !== 'console').map(i => `<option value="interface:${i.name}">Interfaz ${i.name}</option>`)
+        ].join('');
+    },
+
+    addNatStatic(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        const local = document.getElementById('conf-nat-local').value.trim();
+        const global = document.getElementById('conf-nat-global').value.trim();
+        if (!NetworkUtils.isValidIp(local) || !NetworkUtils.isValidIp(global)) {
+            this.showToast('Error: Direcciones inside local/global inválidas', 'error');
+            return;
+        }
+        if (!d.nat.addStatic(local, global)) {
+            this.showToast('Error: La dirección ya tiene una traducción estática', 'error');
+            return;
+        }
+
+        ['conf-nat-local', 'conf-nat-global'].forEach(elId => document.getElementById(elId).value = '');
+        this.renderNat(d);
+        this.showToast(`NAT estática ${local} → ${global} agregada`, 'success');
+    },
+
+    removeNatStatic(id, local) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.nat.removeStatic(local);
+        this.renderNat(d);
+        this.showToast('NAT estática eliminada', 'success');
+    },
+
+    addNatPool(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        const value = elId => document.getElementById(elId).value.trim();
+        const name = value('conf-nat-pool-name');
+        const startIp = value('conf-nat-pool-start');
+        const endIp = value('conf-nat-pool-end');
+        const mask = value('conf-nat-pool-mask');
+        if (!name || !NetworkUtils.isValidIp(startIp) || !NetworkUtils.isValidIp(endIp) || !NetworkUtils.isValidMask(mask)) {
+            this.showToast('Error: Complete nombre, rango y máscara válidos', 'error');
+            return;
+        }
+        if (!NetworkUtils.isSameSubnet(startIp, endIp, mask) || NetworkUtils.ipToLong(startIp) > NetworkUtils.ipToLong(endIp)) {
+            this.showToast('Error: El rango del pool debe ser creciente y estar en una misma red', 'error');
+            return;
+        }
+        if (!d.nat.addPool({ name, startIp, endIp, mask })) {
+            this.showToast('Error: Ya existe un pool con ese nombre', 'error');
+            return;
+        }
+
+        ['conf-nat-pool-name', 'conf-nat-pool-start', 'conf-nat-pool-end', 'conf-nat-pool-mask'].forEach(elId => document.getElementById(elId).value = '');
+        this.renderNat(d);
+        this.showToast(`Pool ${name} agregado`, 'success');
+    },
+
+    removeNatPool(id, name) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        if (!d.nat.removePool(name)) {
+            this.showToast(`Error: El pool ${name} está en uso por una regla de NAT dinámica`, 'error');
+            return;
+        }
+        this.renderNat(d);
+        this.showToast('Pool eliminado', 'success');
+    },
+
+    addNatRule(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        const acl = parseInt(document.getElementById('conf-nat-acl').value, 10);
+        const target = document.getElementById('conf-nat-target').value;
+        if (!AccessList.isValidNumber(acl)) {
+            this.showToast('Error: El número de ACL debe estar entre 1 y 199', 'error');
+            return;
+        }
+        if (!target) {
+            this.showToast('Error: Seleccione un pool o una interfaz', 'error');
+            return;
+        }
+
+        const [kind, name] = target.split(/:(.*)/);
+        // Translating to an interface address is always overloaded
+        const overload = kind === 'interface' || document.getElementById('conf-nat-overload').checked;
+        d.nat.setRule({ acl, pool: kind === 'pool' ? name : '', interface: kind === 'interface' ? name : '', overload });
+
+        document.getElementById('conf-nat-acl').value = '';
+        this.renderNat(d);
+        if (d.getAccessList(acl)) this.showToast(`NAT dinámica para la ACL ${acl} configurada`, 'success');
+        else this.showToast(`NAT dinámica configurada, pero la ACL ${acl} no existe: no se traducirá ningún paquete`, 'info');
+    },
+
+    removeNatRule(id, acl) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.nat.removeRule(acl);
+        this.renderNat(d);
+        this.showToast('NAT dinámica eliminada', 'success');
+    },
+
+    // Builds the entry as the CLI would read it, so both share AccessList.parseEntry
+    addAclEntry(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        const number = parseInt(document.getElementById('conf-acl-number').value, 10);
+        if (!AccessList.isValidNumber(number)) {
+            this.showToast('Error: El número de ACL debe estar entre 1 y 199', 'error');
+            return;
+        }
+
+        const acl = d.getAccessList(number) || new AccessList(number);
+        const value = elId => document.getElementById(elId).value.trim();
+        const source = value('conf-acl-source') || 'any';
+        const tokens = acl.type === 'standard'
+            ? [value('conf-acl-action'), source]
+            : [value('conf-acl-action'), value('conf-acl-protocol'), source, value('conf-acl-destination') || 'any',
+                ...(value('conf-acl-port') ? ['eq', value('conf-acl-port')] : [])];
+        const fields = acl.parseEntry(tokens.join(' ').split(/\s+/));
+        if (!fields) {
+            this.showToast('Error: Entrada de ACL inválida (revise direcciones, wildcard y puerto)', 'error');
+            return;
+        }
+
+        d.ensureAccessList(number).addEntry(fields);
+        ['conf-acl-source', 'conf-acl-destination', 'conf-acl-port'].forEach(elId => document.getElementById(elId).value = '');
+        this.renderAcls(d);
+        this.showToast(`Entrada agregada a la ACL ${number}`, 'success');
+    },
+
+    removeAclEntry(id, number, index) {
+        const d = sim.getDevice(id);
+        const acl = d && d.getAccessList(number);
+        if (!acl) return;
+        acl.removeEntry(index);
+        if (acl.entries.length === 0) d.removeAccessList(number);
+        this.renderAcls(d);
+        this.showToast('Entrada de ACL eliminada', 'success');
+    },
+
+    removeAccessList(id, number) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.removeAccessList(number);
+        this.renderAcls(d);
+        this.showToast(`ACL ${number} eliminada`, 'success');
+    },
+
+    resetAclCounters(id, number) {
+        const d = sim.getDevice(id);
+        const acl = d && d.getAccessList(number);
+        if (!acl) return;
+        acl.resetCounters();
+        this.renderAcls(d);
+    },
+
+    saveConfig() {
+        if (this.selectedDeviceId) {
+            const d = sim.getDevice(this.selectedDeviceId);
+            d.name = document.getElementById('conf-name').value;
+
+            // Addressing errors are shown next to the offending field
+            this.clearFieldErrors();
+            let fieldsValid = true;
+            const fieldError = (el, message) => {
+                this.setFieldError(el, message);
+                fieldsValid = false;
+            };
+
+            // Planned addressing per interface; CIDR typed in the IP box fills the mask
+            const planned = d.interfaces.map((iface, idx) => {
+                const ipEl = document.getElementById(`conf-if-ip-${idx}`);
+                const maskEl = document.getElementById(`conf-if-mask-${idx}`);
+                // Addresses handed out by DHCP are not edited here
+                if (!ipEl || ipEl.disabled) return { ip: iface.ip, mask: iface.mask, valid: !!iface.ip };
+
+                const cidr = NetworkUtils.parseCidr(ipEl.value);
+                ipEl.value = cidr ? cidr.ip : ipEl.value.trim();
+                maskEl.value = cidr ? cidr.mask : maskEl.value.trim();
+                const entry = { ip: ipEl.value, mask: maskEl.value, ipEl, valid: false };
+                if (!entry.ip && !entry.mask) return entry;
+
+                const error = NetworkUtils.validateHostAddress(entry.ip, entry.mask);
+                if (error) {
+                    fieldError(error.field === 'mask' ? maskEl : ipEl, error.message);
+                    return entry;
+                }
+
+                // Check for duplicate IPs across all other devices
+                const owner = sim.devices.find(device => device.id !== d.id &&
+                    (device.ip === entry.ip || device.interfaces.some(other => other.ip === entry.ip)));
+                if (owner) {
+                    fieldError(ipEl, `La IP ${entry.ip} ya está asignada a ${owner.name}`);
+                    return entry;
+                }
+                entry.valid = true;
+                return entry;
+            });
+
+            // Two interfaces of the same device cannot sit on overlapping subnets
+            planned.forEach((entry, idx) => {
+                if (!entry.valid || !entry.ipEl) return;
+                const clash = planned.findIndex((other, j) => j !== idx && other.valid &&
+                    (j < idx || !other.ipEl) &&
+                    NetworkUtils.subnetsOverlap(entry.ip, entry.mask, other.ip, other.mask));
+                if (clash !== -1) {
+                    fieldError(entry.ipEl, `Se solapa con la subred de ${d.interfaces[clash].name}`);
+                    entry.valid = false;
+                }
+            });
+
+            // The default gateway must be a usable address of the host's own subnet
+            const gwEl = document.getElementById('conf-gw');
+            if (gwEl && !gwEl.disabled && gwEl.value.trim()) {
+                gwEl.value = gwEl.value.trim();
+                const gateway = gwEl.value;
+                const nic = planned[0];
+                if (!NetworkUtils.isValidIp(gateway)) {
+                    fieldError(gwEl, 'Gateway mal formado');
+                } else if (nic && nic.valid) {
+                    if (!NetworkUtils.isSameSubnet(gateway, nic.ip, nic.mask)) {
+                        fieldError(gwEl, `El gateway está fuera de la subred ${NetworkUtils.networkAddress(nic.ip, nic.mask)}/${NetworkUtils.maskToPrefix(nic.mask)}`);
+                    } else if (gateway === nic.ip) {
+                        fieldError(gwEl, 'El gateway no puede ser la IP del propio host');
+                    } else if (NetworkUtils.validateHostAddress(gateway, nic.mask)) {
+                        fieldError(gwEl, NetworkUtils.validateHostAddress(gateway, nic.mask).message);
+                    }
+                }
+            }
+
+            // IPv6 addresses ('address/prefix'), checked like the IPv4 ones
+            const plannedV6 = d.interfaces.map((iface, idx) => {
+                const el = document.getElementById(`conf-if-ipv6-${idx}`);
+                if (!el || el.disabled) return { ip: iface.ipv6, prefixLength: iface.ipv6Prefix, valid: !!iface.ipv6 };
+                const text = el.value.trim();
+                if (!text) return { ip: '', el, valid: false };
+
+                const address = NetworkUtils.parseIpv6Cidr(text);
+                if (!address) {
+                    fieldError(el, NetworkUtils.isValidIpv6(text) ? 'Indique la longitud de prefijo (ej. /64)' : 'Dirección IPv6 mal formada');
+                    return { ip: '', el, valid: false };
+                }
+                const error = NetworkUtils.validateIpv6HostAddress(address.ip, address.prefixLength);
+                const owner = sim.findDeviceByIp(address.ip);
+                if (error) {
+                    fieldError(el, error);
+                } else if (owner && owner.device.id !== d.id) {
+                    fieldError(el, `La IP ${address.ip} ya está asignada a ${owner.device.name}`);
+                }
+                return { ...address, el, valid: !error && !(owner && owner.device.id !== d.id) };
+            });
+            plannedV6.forEach((entry, idx) => {
+                if (!entry.valid || !entry.el) return;
+                const clash = plannedV6.findIndex((other, j) => j !== idx && other.valid && (j < idx || !other.el) &&
+                    NetworkUtils.ipv6SubnetsOverlap(entry.ip, entry.prefixLength, other.ip, other.prefixLength));
+                if (clash !== -1) {
+                    fieldError(entry.el, `Se solapa con la subred IPv6 de ${d.interfaces[clash].name}`);
+                    entry.valid = false;
+                }
+            });
+
+            // The IPv6 gateway may be a link-local address or a global one on the host's prefix
+            const gw6El = document.getElementById('conf-gw6');
+            if (gw6El && !gw6El.disabled && gw6El.value.trim()) {
+                const gateway = NetworkUtils.normalizeIpv6(gw6El.value);
+                const nic = plannedV6[0];
+                if (!gateway) {
+                    fieldError(gw6El, 'Gateway IPv6 mal formado');
+                } else {
+                    gw6El.value = gateway;
+                    if (!NetworkUtils.isLinkLocalIpv6(gateway) && nic && nic.valid &&
+                        !NetworkUtils.isSameIpv6Subnet(gateway, nic.ip, nic.prefixLength)) {
+                        fieldError(gw6El, `El gateway está fuera del prefijo ${NetworkUtils.ipv6Network(nic.ip, nic.prefixLength)}/${nic.prefixLength}`);
+                    }
+                }
+            }
+
+            // Validate clock rates, DHCP relay targets and the DNS server
+            for (let idx = 0; idx < d.interfaces.length; idx++) {
+                const clockEl = document.getElementById(`conf-if-clock-${idx}`);
+                if (clockEl && clockEl.value && !(parseInt(clockEl.value, 10) >= 0)) {
+                    fieldError(clockEl, 'Clock rate inválido');
+                }
+                const helperEl = document.getElementById(`conf-if-helper-${idx}`);
+                if (helperEl && helperEl.value.trim() && !NetworkUtils.isValidIp(helperEl.value.trim())) {
+                    fieldError(helperEl, 'ip helper-address inválida');
+                }
+                ['in', 'out'].forEach(direction => {
+                    const aclEl = document.getElementById(`conf-if-acl-${direction}-${idx}`);
+                    if (aclEl && aclEl.value && !AccessList.isValidNumber(parseInt(aclEl.value, 10))) {
+                        fieldError(aclEl, 'Número de ACL inválido (1-199)');
+                    }
+                });
+            }
+            const dnsEl = document.getElementById('conf-dns');
+            if (dnsEl && !dnsEl.disabled && dnsEl.value.trim() && !NetworkUtils.isValidIp(dnsEl.value.trim())) {
+                fieldError(dnsEl, 'Servidor DNS inválido');
+            }
+
+            if (!fieldsValid) {
+                this.showToast('Error: Corrija los campos marcados', 'error');
+                return;
+            }
+
+            // Validate switchport settings
+            const switchports = [];
+            if (d.type === 'Switch') {
+                for (let idx = 0; idx < d.interfaces.length; idx++) {
+                    if (d.interfaces[idx].type === 'console') {
+                        switchports.push(null);
+                        continue;
+                    }
+                    const mode = document.getElementById(`conf-if-mode-${idx}`).value;
+                    const accessVlan = parseInt(document.getElementById(`conf-if-vlan-${idx}`).value, 10);
+                    const nativeVlan = parseInt(document.getElementById(`conf-if-native-${idx}`).value, 10);
+                    const allowedVlans = NetworkUtils.parseVlanList(document.getElementById(`conf-if-allowed-${idx}`).value);
+                    const validId = v => v >= 1 && v <= 4094;
+                    if (!validId(accessVlan) || !validId(nativeVlan) || allowedVlans === null) {
+                        this.showToast(`Error: Configuración de VLAN inválida en ${d.interfaces[idx].name}`, 'error');
+                        return;
+                    }
+                    switchports.push({ mode, accessVlan, nativeVlan, allowedVlans });
+                }
+            }
+
+            // Validate dot1Q tags of subinterfaces (one subinterface per VLAN and parent)
+            const tags = [];
+            for (let idx = 0; idx < d.interfaces.length; idx++) {
+                const tagEl = document.getElementById(`conf-if-tag-${idx}`);
+                if (!tagEl) {
+                    tags.push(null);
+                    continue;
+                }
+                const vlan = parseInt(tagEl.value, 10);
+                const iface = d.interfaces[idx];
+                const clash = d.interfaces.findIndex((other, j) => j < idx && other.parentName === iface.parentName && tags[j] === vlan);
+                if (!(vlan >= 1 && vlan <= 4094) || clash !== -1) {
+                    this.showToast(`Error: VLAN dot1Q inválida o repetida en ${iface.name}`, 'error');
+                    return;
+                }
+                tags.push(vlan);
+            }
+
+            // If validation passed, save the configuration
+            tags.forEach((vlan, idx) => {
+                if (vlan !== null) d.interfaces[idx].encapsulationVlan = vlan;
+            });
+
+            switchports.forEach((port, idx) => {
+                if (!port) return;
+                Object.assign(d.interfaces[idx], port);
+                // Like IOS, assigning a port to a VLAN that does not exist creates it
+                d.addVlan(port.accessVlan);
+                d.addVlan(port.nativeVlan);
+            });
+
+            let addressingChanged = false;
+            d.interfaces.forEach((iface, idx) => {
+                const ipEl = document.getElementById(`conf-if-ip-${idx}`);
+                const maskEl = document.getElementById(`conf-if-mask-${idx}`);
+                const helperEl = document.getElementById(`conf-if-helper-${idx}`);
+                if (helperEl) iface.helperAddress = helperEl.value.trim();
+                const aclInEl = document.getElementById(`conf-if-acl-in-${idx}`);
+                if (aclInEl) iface.aclIn = parseInt(aclInEl.value, 10) || null;
+                const aclOutEl = document.getElementById(`conf-if-acl-out-${idx}`);
+                if (aclOutEl) iface.aclOut = parseInt(aclOutEl.value, 10) || null;
+                const natEl = document.getElementById(`conf-if-nat-${idx}`);
+                if (natEl) iface.natRole = natEl.value;
+                const shutEl = document.getElementById(`conf-if-shut-${idx}`);
+                if (shutEl) iface.shutdown = shutEl.checked;
+                const clockEl = document.getElementById(`conf-if-clock-${idx}`);
+                if (clockEl) iface.clockRate = parseInt(clockEl.value, 10) || 0;
+                const v6 = plannedV6[idx];
+                if (v6.el && ((v6.ip || '') !== iface.ipv6 || (v6.ip && v6.prefixLength !== iface.ipv6Prefix))) {
+                    addressingChanged = true;
+                    iface.ipv6 = v6.ip || '';
+                    if (v6.ip) iface.ipv6Prefix = v6.prefixLength;
+                }
+                if (!ipEl || ipEl.disabled) return;
+                if (ipEl.value !== iface.ip || (maskEl && maskEl.value !== iface.mask)) addressingChanged = true;
+                iface.ip = ipEl.value;
+                if (maskEl) iface.mask = maskEl.value;
+            });
+
+            // Old IP-to-MAC mappings are no longer trustworthy after readdressing
+            if (addressingChanged) d.arpCache = [];
+
+            d.autoMdix = document.getElementById('conf-auto-mdix').checked;
+
+            if (gwEl && !gwEl.disabled) d.gateway = gwEl.value;
+            if (dnsEl && !dnsEl.disabled) d.dnsServer = dnsEl.value.trim();
+            if (gw6El && !gw6El.disabled) d.ipv6Gateway = gw6El.value.trim();
+
+            // Backward compatibility for easy access
+            if (d.interfaces.length > 0) {
+                d.ip = d.interfaces[0].ip;
+                d.mask = d.interfaces[0].mask;
+            }
+
+            // Hosts set to DHCP lease their address and hosts set to SLAAC solicit a
+            // router advertisement now, through the simulated network
+            const ipModeEl = document.getElementById('conf-ip-mode');
+            const ipv6ModeEl = document.getElementById('conf-ipv6-mode');
+            const exchanges = [];
+            if (ipModeEl && ipModeEl.value === 'dhcp') {
+                exchanges.push(sim.requestDhcp(d));
+            } else if (ipModeEl) {
+                d.interfaces[0].dhcp = false;
+            }
+            if (ipv6ModeEl && ipv6ModeEl.value === 'slaac') {
+                exchanges.push(sim.requestSlaac(d));
+            } else if (ipv6ModeEl) {
+                d.interfaces[0].ipv6Autoconfig = false;
+            }
+
+            this.render();
+            this.closeModals();
+            if (exchanges.length > 0) {
+                const log = exchanges.flatMap(result => result.log);
+                this.showToast(log.join('<br>'), exchanges.every(result => result.success) ? 'success' : 'error');
+                return;
+            }
+            this.showToast('Configuración guardada correctamente', 'success');
+        }
+    },
+
+    // Marks a config field as invalid and shows the reason under it
+    setFieldError(el, message) {
+        el.classList.add('input-error');
+        const msg = document.createElement('div');
+        msg.className = 'field-error';
+        msg.textContent = message;
+        // Inputs laid out side by side get the message under their row
+        const anchor = el.parentElement.style.display === 'flex' ? el.parentElement : el;
+        anchor.insertAdjacentElement('afterend', msg);
+    },
+
+    clearFieldErrors() {
+        document.querySelectorAll('#config-modal .field-error').forEach(el => el.remove());
+        document.querySelectorAll('#config-modal .input-error').forEach(el => el.classList.remove('input-error'));
+    },
+
+    renderRipNetworks(d) {
+        const container = document.getElementById('conf-rip-networks');
+        if (!container) return;
+
+        if (d.rip.networks.length === 0) {
+            container.innerHTML = `<div style="font-size:0.85em; color:var(--text-muted);">Sin redes anunciadas</div>`;
+            return;
+        }
+
+        container.innerHTML = d.rip.networks.map(n => `
+            <div class="interface-group" style="display:flex; justify-content:space-between; align-items:center;">
+                <span style="font-size:0.85em;">network ${n}</span>
+                <button class="btn" onclick="UI.removeRipNetwork(${d.id}, '${n}')" title="Eliminar red">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    },
+
+    toggleRip(id, enabled) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.rip.enabled = enabled;
+        if (!enabled) d.rip.routes = []; // Learned routes vanish with the process
+        this.showToast(enabled ? 'RIPv2 habilitado' : 'RIPv2 deshabilitado', 'info');
+    },
+
+    toggleRipSplitHorizon(id, enabled) {
+        const d = sim.getDevice(id);
+        if (d) d.rip.splitHorizon = enabled;
+    },
+
+    addRipNetwork(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+
+        const input = document.getElementById('conf-rip-network');
+        const network = input.value.trim();
+        if (!NetworkUtils.isValidIp(network)) {
+            this.showToast('Error: Red inválida', 'error');
+            return;
+        }
+        if (!d.rip.addNetwork(network)) {
+            this.showToast('Error: La red ya está anunciada', 'error');
+            return;
+        }
+
+        input.value = '';
+        this.renderRipNetworks(d);
+    },
 
-        // Handle Text Drag End (global or attached to elm)
-        // We need to attach drop handler on workspace to distinguish
-        workspace.ondrop = (e) => {
-            e.preventDefault();
-            const rect = workspace.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
+    removeRipNetwork(id, network) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.rip.removeNetwork(network);
+        this.renderRipNetworks(d);
+    },
 
-            const moveId = e.dataTransfer.getData('moveId');
-            const moveTextId = e.dataTransfer.getData('moveTextId');
+    // Advances every RIP process one update interval and refreshes the open table
+    stepRip(id) {
+        sim.ripTick();
+        this.showRoutingTable(id);
+    },
 
-            if (moveId) {
-                // Device Move (Handled by dragend usually, but for precision drop can work too)
-                // Existing logic uses dragend.
-            } else if (moveTextId) {
-                // Text Move
-                const lbl = sim.textLabels.find(l => l.id == moveTextId);
-                if (lbl) {
-                    lbl.x = x / this.zoomLevel;
-                    lbl.y = y / this.zoomLevel;
-                    this.render();
-                }
-            } else if (this.draggedType) {
-                // New Device Drop
-                this.handleDrop(e);
+    startRipTimer() {
+        setInterval(() => {
+            if (!this.ripAutoUpdate) return;
+            sim.ripTick();
+            const modal = document.getElementById('routing-modal');
+            if (this.routingTableDeviceId && modal.classList.contains('active')) {
+                this.showRoutingTable(this.routingTableDeviceId);
             }
-        };
+        }, 30000);
+    },
 
+    renderOspfNetworks(d) {
+        const container = document.getElementById('conf-ospf-networks');
+        if (!container) return;
 
-        // Render Connections
-        this.renderConnections();
+        if (d.ospf.networks.length === 0) {
+            container.innerHTML = `<div style="font-size:0.85em; color:var(--text-muted);">Sin redes anunciadas</div>`;
+            return;
+        }
+
+        container.innerHTML = d.ospf.networks.map((n, idx) => `
+            <div class="interface-group" style="display:flex; justify-content:space-between; align-items:center;">
+                <span style="font-size:0.85em;">network ${n.network} ${n.wildcard} area ${n.area}</span>
+                <button class="btn" onclick="UI.removeOspfNetwork(${d.id}, ${idx})" title="Eliminar red">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
     },
 
-    drawLinkLight(svg, x1, y1, x2, y2, status) {
-        // Calculate position slightly offset from x1,y1 towards x2,y2
-        const angle = Math.atan2(y2 - y1, x2 - x1);
-        const dist = 60; // distance from center (increased to clear labels)
-        const tx = x1 + dist * Math.cos(angle);
-        const ty = y1 + dist * Math.sin(angle);
+    toggleOspf(id, enabled) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.ospf.enabled = enabled;
+        this.showToast(enabled ? 'OSPF habilitado' : 'OSPF deshabilitado', 'info');
+    },
 
-        const triangle = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-        // Small triangle shape
-        const size = 5;
-        const p1x = tx + size * Math.cos(angle);
-        const p1y = ty + size * Math.sin(angle);
-        const p2x = tx + size * Math.cos(angle + 2.5); // approx 120 deg
-        const p2y = ty + size * Math.sin(angle + 2.5);
-        const p3x = tx + size * Math.cos(angle - 2.5);
-        const p3y = ty + size * Math.sin(angle - 2.5);
+    setOspfRouterId(id, value) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        const routerId = value.trim();
+        if (routerId && !NetworkUtils.isValidIp(routerId)) {
+            this.showToast('Error: Router ID inválido', 'error');
+            return;
+        }
+        d.ospf.routerId = routerId;
+    },
 
-        triangle.setAttribute('points', `${p1x},${p1y} ${p2x},${p2y} ${p3x},${p3y}`);
+    addOspfNetwork(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
 
-        // Color based on status
-        const color = status === 'down' ? '#ef4444' : '#10b981';
-        triangle.setAttribute('fill', color);
+        const network = document.getElementById('conf-ospf-network').value.trim();
+        const wildcard = document.getElementById('conf-ospf-wildcard').value.trim();
+        if (!NetworkUtils.isValidIp(network) || !NetworkUtils.isValidIp(wildcard)) {
+            this.showToast('Error: Red o wildcard inválida', 'error');
+            return;
+        }
+        if (!d.ospf.addNetwork(network, wildcard)) {
+            this.showToast('Error: La red ya está anunciada', 'error');
+            return;
+        }
 
-        svg.appendChild(triangle);
+        document.getElementById('conf-ospf-network').value = '';
+        document.getElementById('conf-ospf-wildcard').value = '';
+        this.renderOspfNetworks(d);
     },
 
-    // ... (Keep existing Modals: openConfigModal, openPingModal, runPing, closeModals etc) ...
-    // Note: I'm replacing the whole file so I should re-paste them simplified or full
-
-    openConfigModal(id) {
+    removeOspfNetwork(id, index) {
         const d = sim.getDevice(id);
         if (!d) return;
-        const body = document.querySelector('#config-modal .modal-body');
+        d.ospf.removeNetwork(index);
+        this.renderOspfNetworks(d);
+    },
 
-        let html = `
-            <div class="form-group">
-                <label class="form-label">Nombre</label>
-                <input type="text" class="form-input" id="conf-name" value="${d.name}">
-            </div>
-        `;
+    showOspfDetails(id) {
+        const d = sim.getDevice(id);
+        if (!d || d.type !== 'Router') return;
 
-        // Show all interfaces
-        if (d.interfaces.length > 0) {
-            html += `<div style="max-height: 300px; overflow-y:auto; margin-top:10px;">`;
-            d.interfaces.forEach((iface, idx) => {
-                html += `
-                    <div class="interface-group">
-                        <div class="interface-title">${iface.name} (${iface.type})</div>
-                        ${iface.type === 'ethernet' || iface.type === 'serial' ? `
-                            <div style="display:flex; gap:5px; margin-top:5px;">
-                                <input type="text" class="form-input" id="conf-if-ip-${idx}" value="${iface.ip}" placeholder="IP">
-                                <input type="text" class="form-input" id="conf-if-mask-${idx}" value="${iface.mask}" placeholder="Mask">
-                            </div>
-                        ` : ''}
-                    </div>
-                  `;
-            });
-            html += `</div>`;
+        const container = document.getElementById('ospf-content');
 
-            if (d.type !== 'Router' && d.type !== 'Switch') {
-                html += `
-                     <div class="form-group" style="margin-top:10px;">
-                        <label class="form-label">Gateway</label>
-                        <input type="text" class="form-input" id="conf-gw" value="${d.gateway}">
-                     </div>
-                  `;
-            }
+        if (!d.ospf.enabled) {
+            container.innerHTML = `<div>OSPF no está habilitado en ${d.name}.</div>`;
+        } else {
+            const neighbors = sim.getOspfNeighbors(d);
+            const lsdb = sim.getOspfLsdb(d);
+            const spf = sim.runSpf(d);
 
-            if (d.type === 'Router') {
-                html += `
-                    <div style="margin-top: 20px; border-top: 1px solid var(--border); padding-top: 10px;">
-                        <button class="btn" style="width:100%;" onclick="UI.showRoutingTable(${d.id})">
-                            <i class="fa-solid fa-table-list"></i> Ver Tabla de Enrutamiento
-                        </button>
-                    </div>
-                `;
-            }
+            let html = `
+                <div style="margin-bottom: 15px;">
+                    <strong>Router:</strong> ${d.name} &nbsp; <strong>Router ID:</strong> ${sim.getOspfRouterId(d)}
+                </div>
+                <h4 class="section-title text-primary">Vecinos</h4>
+                <table class="routing-table">
+                    <thead>
+                        <tr><th>Neighbor ID</th><th>Estado</th><th>Dirección</th><th>Interfaz</th><th>Costo</th></tr>
+                    </thead>
+                    <tbody>
+                        ${neighbors.map(n => `
+                            <tr><td>${n.routerId}</td><td>${n.state}</td><td>${n.address}</td><td>${n.iface.name}</td><td>${n.cost}</td></tr>
+                        `).join('') || '<tr><td colspan="5">Sin adyacencias</td></tr>'}
+                    </tbody>
+                </table>
+
+                <h4 class="section-title text-primary" style="margin-top:20px;">LSDB (Router LSAs, Área 0)</h4>
+                <table class="routing-table">
+                    <thead>
+                        <tr><th>Link ID</th><th>ADV Router</th><th>Enlaces</th></tr>
+                    </thead>
+                    <tbody>
+                        ${lsdb.map(lsa => `
+                            <tr>
+                                <td>${lsa.linkStateId}</td>
+                                <td>${lsa.advRouter.name}</td>
+                                <td>${lsa.links.map(l => l.type === 'router'
+                                    ? `Router ${l.linkId} (costo ${l.cost})`
+                                    : `Stub ${l.linkId}/${NetworkUtils.maskToPrefix(l.mask)} (costo ${l.cost})`).join('<br>')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+
+                <h4 class="section-title text-primary" style="margin-top:20px;">Árbol SPF</h4>
+                <table class="routing-table">
+                    <thead>
+                        <tr><th>Router</th><th>Costo</th><th>Padre</th><th>Primer salto</th></tr>
+                    </thead>
+                    <tbody>
+                        ${spf.tree.map(node => `
+                            <tr>
+                                <td>${node.device.name} (${node.routerId})</td>
+                                <td>${node.cost}</td>
+                                <td>${node.parent ? node.parent.device.name : '(raíz)'}</td>
+                                <td>${node.nextHop ? `${node.nextHop} vía ${node.iface.name}` : '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+            container.innerHTML = html;
         }
 
-        body.innerHTML = html;
-        document.getElementById('config-modal').classList.add('active');
+        this.closeModals();
+        document.getElementById('ospf-modal').classList.add('active');
     },
 
-    saveConfig() {
-        if (this.selectedDeviceId) {
-            const d = sim.getDevice(this.selectedDeviceId);
-            d.name = document.getElementById('conf-name').value;
+    // "arp -a" / "show ip arp" for a host or router
+    showArpCache(id) {
+        const d = sim.getDevice(id);
+        if (!d || d.type === 'Switch') return;
 
-            // Collect new IPs to validate
-            const newIPs = [];
+        sim.ageArpCache(d);
+        const now = Date.now();
+        const container = document.getElementById('arp-table-content');
 
-            d.interfaces.forEach((iface, idx) => {
-                const ipEl = document.getElementById(`conf-if-ip-${idx}`);
-                const maskEl = document.getElementById(`conf-if-mask-${idx}`);
-                if (ipEl && ipEl.value.trim()) {
-                    newIPs.push(ipEl.value.trim());
-                }
-            });
+        container.innerHTML = `
+            <div style="margin-bottom: 15px;">
+                <strong>Dispositivo:</strong> ${d.name}
+                <small style="color:var(--text-muted);">(las entradas expiran a los ${d.arpTimeout} s)</small>
+            </div>
+            <table class="routing-table">
+                <thead>
+                    <tr>
+                        <th>Dirección IP</th>
+                        <th>Dirección MAC</th>
+                        <th>Tipo</th>
+                        <th>Interfaz</th>
+                        <th>Edad (s)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${d.arpCache.map(e => `
+                        <tr>
+                            <td>${e.ip}</td>
+                            <td>${e.mac}</td>
+                            <td>${NetworkUtils.isIpv6(e.ip) ? 'ND (IPv6)' : 'dinámico'}</td>
+                            <td>${e.iface}</td>
+                            <td>${Math.floor((now - e.lastSeen) / 1000)}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="5">No se encontraron entradas ARP</td></tr>'}
+                </tbody>
+            </table>
+            <div style="display:flex; gap:10px; margin-top:10px;">
+                <button class="btn" onclick="UI.showArpCache(${d.id})"><i class="fa-solid fa-rotate"></i> Actualizar</button>
+                <button class="btn" onclick="UI.clearArpCache(${d.id})"><i class="fa-solid fa-eraser"></i> Vaciar Caché</button>
+            </div>
+        `;
 
-            // Check for duplicate IPs across all devices
-            for (const ip of newIPs) {
-                if (!ip) continue;
+        this.closeModals();
+        document.getElementById('arp-modal').classList.add('active');
+    },
 
-                // Check against other devices
-                for (const device of sim.devices) {
-                    if (device.id === d.id) continue; // Skip self
+    // "show ip nat translations" for a router
+    showNatTable(id) {
+        const d = sim.getDevice(id);
+        if (!d || d.type !== 'Router') return;
 
-                    // Check device main IP
-                    if (device.ip === ip) {
-                        this.showToast(`Error: La IP ${ip} ya está asignada a ${device.name}`, 'error');
-                        return;
-                    }
+        const now = Date.now();
+        const rows = d.nat.listTranslations(now);
+        const roles = d.interfaces.filter(i => i.natRole).map(i => `${i.name} (${i.natRole})`);
+        const container = document.getElementById('nat-table-content');
 
-                    // Check all interfaces
-                    for (const iface of device.interfaces) {
-                        if (iface.ip === ip) {
-                            this.showToast(`Error: La IP ${ip} ya está asignada a ${device.name} (${iface.name})`, 'error');
-                            return;
-                        }
-                    }
-                }
-            }
+        container.innerHTML = `
+            <div style="margin-bottom: 15px;">
+                <strong>Router:</strong> ${d.name}
+                <small style="color:var(--text-muted);">${roles.length ? roles.join(', ') : 'sin interfaces ip nat inside/outside'}</small>
+            </div>
+            <table class="routing-table">
+                <thead>
+                    <tr>
+                        <th>Pro</th>
+                        <th>Inside global</th>
+                        <th>Inside local</th>
+                        <th>Outside local</th>
+                        <th>Outside global</th>
+                        <th>Expira (s)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(t => `
+                        <tr>
+                            <td>${t.protocol}</td>
+                            <td>${t.insideGlobal}</td>
+                            <td>${t.insideLocal}</td>
+                            <td>${t.outsideLocal}</td>
+                            <td>${t.outsideGlobal}</td>
+                            <td>${t.expires === null ? 'estática' : Math.ceil((t.expires - now) / 1000)}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="6">No hay traducciones NAT</td></tr>'}
+                </tbody>
+            </table>
+            <div style="display:flex; gap:10px; margin-top:10px;">
+                <button class="btn" onclick="UI.showNatTable(${d.id})"><i class="fa-solid fa-rotate"></i> Actualizar</button>
+                <button class="btn" onclick="UI.clearNatTranslations(${d.id})"><i class="fa-solid fa-eraser"></i> Borrar Dinámicas</button>
+            </div>
+        `;
 
-            // If validation passed, save the configuration
-            d.interfaces.forEach((iface, idx) => {
-                const ipEl = document.getElementById(`conf-if-ip-${idx}`);
-                const maskEl = document.getElementById(`conf-if-mask-${idx}`);
-                if (ipEl) iface.ip = ipEl.value;
-                if (maskEl) iface.mask = maskEl.value;
-            });
+        this.closeModals();
+        document.getElementById('nat-modal').classList.add('active');
+    },
 
-            const gwEl = document.getElementById('conf-gw');
-            if (gwEl) d.gateway = gwEl.value;
+    clearNatTranslations(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.nat.clearTranslations();
+        this.showNatTable(id);
+        this.showToast('Traducciones NAT dinámicas borradas', 'info');
+    },
 
-            // Backward compatibility for easy access
-            if (d.interfaces.length > 0) {
-                d.ip = d.interfaces[0].ip;
-                d.mask = d.interfaces[0].mask;
-            }
+    clearArpCache(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.arpCache = [];
+        this.showArpCache(id);
+        this.showToast('Caché ARP vaciada', 'info');
+    },
 
-            this.render();
-            this.closeModals();
-            this.showToast('Configuración guardada correctamente', 'success');
+    // "show mac address-table" for a switch
+    showMacTable(id) {
+        const d = sim.getDevice(id);
+        if (!d || d.type !== 'Switch') return;
+
+        sim.ageMacTable(d);
+        const now = Date.now();
+        const container = document.getElementById('mac-table-content');
+
+        container.innerHTML = `
+            <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom: 15px;">
+                <div><strong>Switch:</strong> ${d.name}</div>
+                <label style="display:flex; align-items:center; gap:6px; font-size:0.9em;">
+                    Tiempo de envejecimiento (s)
+                    <input type="number" class="form-input" style="width:90px;" min="10" max="1000000" value="${d.macAgingTime}"
+                        onchange="UI.setMacAgingTime(${d.id}, this.value)">
+                </label>
+            </div>
+            <table class="routing-table">
+                <thead>
+                    <tr>
+                        <th>Vlan</th>
+                        <th>Dirección MAC</th>
+                        <th>Tipo</th>
+                        <th>Puerto</th>
+                        <th>Edad (s)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${d.macTable.map(e => `
+                        <tr>
+                            <td>${e.vlan}</td>
+                            <td>${e.mac}</td>
+                            <td>DYNAMIC</td>
+                            <td>${e.port}</td>
+                            <td>${Math.floor((now - e.lastSeen) / 1000)}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="5">Tabla vacía (envíe tráfico para que el switch aprenda)</td></tr>'}
+                </tbody>
+            </table>
+            <div style="display:flex; gap:10px; margin-top:10px;">
+                <button class="btn" onclick="UI.showMacTable(${d.id})"><i class="fa-solid fa-rotate"></i> Actualizar</button>
+                <button class="btn" onclick="UI.clearMacTable(${d.id})"><i class="fa-solid fa-eraser"></i> Limpiar Tabla</button>
+            </div>
+        `;
+
+        this.closeModals();
+        document.getElementById('mac-modal').classList.add('active');
+    },
+
+    setMacAgingTime(id, value) {
+        const d = sim.getDevice(id);
+        const seconds = parseInt(value, 10);
+        if (!d || !(seconds >= 10)) {
+            this.showToast('Error: Tiempo de envejecimiento inválido', 'error');
+            return;
         }
+        d.macAgingTime = seconds;
+        this.commitHistory(`Envejecimiento MAC de ${d.name}`);
+        this.showMacTable(id);
+    },
+
+    clearMacTable(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        d.macTable = [];
+        this.showMacTable(id);
+        this.showToast('Tabla MAC limpiada', 'info');
     },
 
     showRoutingTable(id) {
@@ -1005,65 +3881,64 @@ const UI = {
         if (!d || d.type !== 'Router') return;
 
         const container = document.getElementById('routing-table-content');
+        this.routingTableDeviceId = id;
 
         let html = `
             <div style="margin-bottom: 15px;">
                 <strong>Router:</strong> ${d.name}
-            </div>
+            </div>`;
+
+        if (d.rip.enabled) {
+            html += `
+            <div style="display:flex; align-items:center; gap:10px; margin-bottom:10px;">
+                <button class="btn" onclick="UI.stepRip(${d.id})" title="Enviar actualizaciones RIP y procesar temporizadores">
+                    <i class="fa-solid fa-forward-step"></i> Avanzar intervalo RIP
+                </button>
+                <label style="display:flex; align-items:center; gap:6px; font-size:0.9em;">
+                    <input type="checkbox" ${this.ripAutoUpdate ? 'checked' : ''} onchange="UI.ripAutoUpdate = this.checked">
+                    Automático (cada 30 s)
+                </label>
+                <small style="color:var(--text-muted);">Intervalo #${sim.ripClock}</small>
+            </div>`;
+        }
+
+        html += `
             <table class="routing-table">
                 <thead>
                     <tr>
                         <th>Código</th>
                         <th>Red</th>
+                        <th>[AD/Métrica]</th>
+                        <th>Vía</th>
                         <th>Interfaz</th>
                     </tr>
                 </thead>
                 <tbody>
         `;
 
-        // 1. Directly Connected Networks
-        d.interfaces.forEach(iface => {
-            if (iface.ip && iface.mask && iface.status === 'up') {
-                // Calculate Network Address
-                const ipLong = NetworkUtils.ipToLong(iface.ip);
-                const maskLong = NetworkUtils.ipToLong(iface.mask);
-                const netLong = ipLong & maskLong;
-
-                // Convert back to string (Manual implementation or helper needed? 
-                // Let's do a quick inline helper or add to NetworkUtils later. 
-                // For now, I'll add a helper inside this scope or just assume NetworkUtils can do it if I add it.
-                // Actually, let's just do it inline to be safe and quick.)
-                const netAddress = [
-                    (netLong >>> 24),
-                    (netLong >> 16 & 255),
-                    (netLong >> 8 & 255),
-                    (netLong & 255)
-                ].join('.');
-
-                // Count bits for CIDR
-                let cidr = 0;
-                let m = maskLong;
-                while (m !== 0) {
-                    if (m & 1) cidr++; // This counts trailing 1s if reversed...
-                    // Standard netmask is high bits. 
-                    // Actually, a simpler way for standard text masks:
-                    // Just count '1's in binary string.
-                    m = m >>> 1; // Unsigned right shift prevents infinite loop
-                }
-                // Correction: The above counts 1s anywhere. For a valid mask (1111...000), it works.
-                // Alternative safer approach using split used elsewhere:
-                cidr = iface.mask.split('.').reduce((acc, octet) => acc + (parseInt(octet) >>> 0).toString(2).split('1').length - 1, 0);
+        const badgeClass = { 'C': 'badge-success', 'S': 'badge-info', 'R': 'badge-warning', 'O': 'badge-ospf' };
+        const table = sim.getRoutingTable(d);
 
-                html += `
+        table.forEach(route => {
+            html += `
                     <tr>
-                        <td><span class="badge badge-success">C</span></td>
-                        <td>${netAddress}/${cidr}</td>
-                        <td>${iface.name}</td>
+                        <td><span class="badge ${badgeClass[route.code]}">${route.code}</span></td>
+                        <td>${route.network}/${route.prefixLength}</td>
+                        <td>${route.code === 'C' ? '-' : `[${route.distance}/${route.metric}]`}</td>
+                        <td>${route.nextHop || (route.code === 'C' ? 'Conectada' : '-')}${route.code === 'R' ? `, ${route.age * 30}s` : ''}</td>
+                        <td>${route.exitInterface || '-'}</td>
                     </tr>
                 `;
-            }
         });
 
+        if (table.length === 0) {
+            html += `
+                    <tr>
+                        <td colspan="5">Sin rutas (configure IPs en interfaces activas)</td>
+                    </tr>
+                `;
+        }
+
         html += `
                 </tbody>
             </table>
@@ -1072,6 +3947,29 @@ const UI = {
             </div>
         `;
 
+        const ipv6Table = sim.getIpv6RoutingTable(d);
+        if (ipv6Table.length > 0) {
+            html += `
+            <h4 class="section-title text-primary" style="margin-top:20px;">Tabla IPv6${d.ipv6Routing ? '' : ' (ipv6 unicast-routing deshabilitado)'}</h4>
+            <table class="routing-table">
+                <thead>
+                    <tr><th>Código</th><th>Prefijo</th><th>[AD/Métrica]</th><th>Vía</th><th>Interfaz</th></tr>
+                </thead>
+                <tbody>
+                    ${ipv6Table.map(route => `
+                        <tr>
+                            <td><span class="badge ${badgeClass[route.code]}">${route.code}</span></td>
+                            <td>${route.network}/${route.prefixLength}</td>
+                            <td>${route.code === 'C' ? '-' : `[${route.distance}/${route.metric}]`}</td>
+                            <td>${route.nextHop || (route.code === 'C' ? 'Conectada' : '-')}</td>
+                            <td>${route.exitInterface || '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            `;
+        }
+
         container.innerHTML = html;
         this.closeModals(); // Close config modal if open
         document.getElementById('routing-modal').classList.add('active');
@@ -1109,137 +4007,255 @@ const UI = {
             body.insertBefore(btnContainer, output);
         }
 
+        document.getElementById('ping-host').value = '';
         document.getElementById('ping-output').innerHTML = '> Esperando comando...';
         document.getElementById('ping-modal').classList.add('active');
     },
 
+    // Sends one ping from the ping modal through the packet engine and plays it in
+    // simulation mode
     runVisualPing() {
         const sId = parseInt(document.getElementById('ping-source').value);
         const tId = parseInt(document.getElementById('ping-target').value);
+        const host = document.getElementById('ping-host').value.trim();
 
-        // 1. Check basic valid logic
         const s = sim.getDevice(sId);
         const t = sim.getDevice(tId);
         if (!s || !t) return;
 
-        if (sId === tId) {
+        if (!host && sId === tId) {
             this.showToast('Error: Origen y Destino son el mismo dispositivo', 'error');
             return;
         }
 
+        // A typed hostname/IP takes precedence over the target dropdown
+        let destIp = sim.getDeviceIPs(t, s)[0] || sim.getDeviceIPs(t)[0];
+        if (host) {
+            const resolved = sim.resolveHostname(s, host);
+            if (!resolved.success) {
+                this.showToast(resolved.msg, 'error');
+                return;
+            }
+            destIp = resolved.ip;
+        }
+        if (!destIp) {
+            this.showToast(`${t.name} no tiene dirección IP configurada`, 'error');
+            return;
+        }
+
         this.closeModals();
-        this.showToast('Iniciando rastreo de paquete...', 'info');
+        this.openSimulation(sId, destIp);
+        this.simulation.engine.ping(s, destIp);
+        this.playSimulation();
+    },
 
-        // 2. Calculate Route
-        const route = sim.getRoute(sId, tId);
+    // --- Simulation Mode ---
 
-        if (route && route.length >= 2) {
-            // Let's use checkPhysicalPath logic but tracking path.
-            const physicalPath = this.getPhysicalPath(sId, tId);
-            if (physicalPath) {
-                this.animatePacket(physicalPath, sId, tId);
-            } else {
-                this.showToast('Error: No hay ruta física válida para animación', 'error');
-                // Fallback to ping
-                setTimeout(() => {
-                    UI.openPingModal(sId, tId);
-                    UI.runPing();
-                }, 1000);
-            }
+    openSimulation(sourceId = null, destIp = '') {
+        const sourceSelect = document.getElementById('sim-source');
+        sourceSelect.innerHTML = sim.devices
+            .filter(d => d.type !== 'Switch')
+            .map(d => `<option value="${d.id}">${d.name}</option>`).join('');
+        if (sourceId) sourceSelect.value = sourceId;
+        document.getElementById('sim-dest').value = destIp;
 
-        } else {
-            // Fallback for simple connections or direct failure
-            const physicalPath = this.getPhysicalPath(sId, tId);
-            if (physicalPath) this.animatePacket(physicalPath, sId, tId);
-            else {
-                this.showToast('No se pudo trazar una ruta visual.', 'error');
-                setTimeout(() => {
-                    UI.openPingModal(sId, tId);
-                }, 1000);
+        if (!this.simulation) this.simulation = { engine: new PacketEngine(sim), timer: null };
+        this.renderSimulation();
+        document.getElementById('sim-panel').classList.add('active');
+    },
+
+    closeSimulation() {
+        this.pauseSimulation();
+        this.clearPackets();
+        document.getElementById('sim-panel').classList.remove('active');
+    },
+
+    // Queues an echo request built from the panel's source and destination
+    addSimulationPing() {
+        const source = sim.getDevice(parseInt(document.getElementById('sim-source').value));
+        const destIp = document.getElementById('sim-dest').value.trim();
+        if (!source) return;
+        if (!NetworkUtils.isValidIp(destIp) && !NetworkUtils.isValidIpv6(destIp)) {
+            this.showToast('Introduzca una dirección IP de destino válida', 'error');
+            return;
+        }
+
+        const engine = this.simulation.engine;
+        engine.ping(source, NetworkUtils.isIpv6(destIp) ? NetworkUtils.normalizeIpv6(destIp) : destIp);
+        this.showToast(`PDU agregado: ${source.name} → ${destIp}`, 'success');
+        this.renderSimulation();
+    },
+
+    // Empties the timeline and the queue (learned ARP and MAC entries stay)
+    resetSimulation() {
+        this.pauseSimulation();
+        this.simulation.engine.reset();
+        this.clearPackets();
+        this.renderSimulation();
+    },
+
+    // Processes the next instant of the timeline and animates the frames it moved
+    stepSimulation() {
+        const engine = this.simulation.engine;
+        if (engine.finished) {
+            this.pauseSimulation();
+            this.showToast('No hay más eventos pendientes', 'info');
+            return;
+        }
+
+        // One envelope per frame that arrived; its drop (if any) is what it shows
+        this.clearPackets();
+        const arrivals = new Map();
+        engine.advance().forEach(event => {
+            if (!event.from) {
+                if (event.action === 'drop') this.showToast(`Paquete descartado en ${event.device.name}: ${event.info}`, 'error');
+                return;
             }
+            const key = `${event.from.id}>${event.device.id}:${event.pdu.id}`;
+            if (!arrivals.has(key) || event.action === 'drop') arrivals.set(key, event);
+        });
+        arrivals.forEach(event => this.animatePacket(event));
+        this.renderSimulation();
+        if (engine.finished) {
+            this.pauseSimulation();
+            this.showToast('Simulación completada', 'success');
         }
     },
 
-    getPhysicalPath(startId, endId) {
-        // BFS for physical connections
-        let queue = [[startId]];
-        let visited = new Set([startId]);
+    toggleSimulationPlay() {
+        if (this.simulation.timer) this.pauseSimulation();
+        else this.playSimulation();
+    },
 
-        while (queue.length > 0) {
-            let path = queue.shift();
-            let curr = path[path.length - 1];
+    playSimulation() {
+        if (this.simulation.timer) return;
+        // 1500ms transition + 100ms pause = 1600ms per instant, like a hop of the animation
+        this.simulation.timer = setInterval(() => this.stepSimulation(), 1600);
+        this.stepSimulation();
+        this.renderSimulation();
+    },
 
-            if (curr === endId) return path;
+    pauseSimulation() {
+        if (!this.simulation || !this.simulation.timer) return;
+        clearInterval(this.simulation.timer);
+        this.simulation.timer = null;
+        this.renderSimulation();
+    },
 
-            const device = sim.getDevice(curr);
-            if (device) {
-                for (let neighborId of device.connections) {
-                    if (!visited.has(neighborId)) {
-                        visited.add(neighborId);
-                        queue.push([...path, neighborId]);
-                    }
-                }
-            }
+    renderSimulation() {
+        const { engine, timer } = this.simulation;
+        document.getElementById('sim-clock').textContent = `${engine.clock} ms`;
+        document.getElementById('sim-play-btn').innerHTML = `<i class="fa-solid fa-${timer ? 'pause' : 'play'}"></i>`;
+
+        const actions = { send: 'Envía', forward: 'Reenvía', deliver: 'Recibe', drop: 'Descarta' };
+        const body = document.getElementById('sim-events-body');
+        if (engine.events.length === 0) {
+            body.innerHTML = `<tr><td colspan="5" style="text-align:center; color:var(--text-muted);">${engine.finished ? 'Agregue un PDU para comenzar' : 'Pulse Reproducir o Paso'}</td></tr>`;
+            return;
         }
-        return null;
+        body.innerHTML = engine.events.map((event, index) => {
+            const ports = [event.inInterface, event.outInterface].filter(Boolean).join(' → ');
+            return `
+                <tr class="sim-event-${event.action}" onclick="UI.openPduInspector(${index})" title="Inspeccionar PDU">
+                    <td>${event.time}</td>
+                    <td>${event.from ? event.from.name : '-'}</td>
+                    <td>${event.device.name}</td>
+                    <td>${event.pdu ? PacketEngine.describe(event.pdu) : '-'}</td>
+                    <td><strong>${actions[event.action]}</strong>${ports ? ` (${ports})` : ''}<br>${event.info}</td>
+                </tr>`;
+        }).join('');
+        const list = body.closest('.sim-events');
+        list.scrollTop = list.scrollHeight;
     },
 
-    animatePacket(pathIds, finalSourceId, finalTargetId) {
+    // Moves an envelope along the link an event's frame crossed (from → device). ARP is
+    // drawn in amber; a dropped frame turns red when it arrives. The envelope stays on
+    // the device until the next step so it can be clicked to inspect the PDU.
+    animatePacket(event) {
         const workspace = document.getElementById('workspace');
         const packet = document.createElement('div');
-        packet.className = 'packet';
+        packet.className = 'packet packet-inspectable';
+        if (event.pdu && event.pdu.arp) packet.classList.add('packet-arp');
         packet.innerHTML = '<i class="fa-solid fa-envelope"></i>'; // Add icon
+        packet.title = 'Inspeccionar PDU';
+        packet.onclick = () => this.openPduInspector(this.simulation.engine.events.indexOf(event));
 
         // Start Position
-        const startDevice = sim.getDevice(pathIds[0]);
-        packet.style.left = `${startDevice.x * this.zoomLevel}px`;
-        packet.style.top = `${startDevice.y * this.zoomLevel}px`;
+        packet.style.left = `${event.from.x * this.zoomLevel}px`;
+        packet.style.top = `${event.from.y * this.zoomLevel}px`;
 
         workspace.appendChild(packet);
 
-        let step = 0;
-        const totalSteps = pathIds.length;
-
-        const moveNext = () => {
-            step++;
-            if (step >= totalSteps) {
-                // Done
-                packet.remove();
-                this.showToast('Paquete entregado con éxito', 'success');
-                // Trigger actual successful ping result in modal?
-                // Or just show toast. User wanted "Wow effect", toast is okay.
-                // Re-open ping modal to show result?
-                setTimeout(() => {
-                    UI.openPingModal(finalSourceId, finalTargetId);
-                    // Auto-run ping to show text result
-                    UI.runPing();
-                }, 500);
-                return;
-            }
-
-            const nextId = pathIds[step];
-            const nextDevice = sim.getDevice(nextId);
+        setTimeout(() => {
+            packet.style.left = `${event.device.x * this.zoomLevel}px`;
+            packet.style.top = `${event.device.y * this.zoomLevel}px`;
+        }, 50);
 
-            packet.style.left = `${nextDevice.x * this.zoomLevel}px`;
-            packet.style.top = `${nextDevice.y * this.zoomLevel}px`;
+        // Wait for transition
+        setTimeout(() => {
+            if (event.action !== 'drop' || !packet.isConnected) return;
+            packet.classList.add('packet-drop');
+            packet.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+            this.showToast(`Paquete descartado en ${event.device.name}: ${event.info}`, 'error');
+        }, 1550);
+    },
 
-            // Wait for transition
-            // 1500ms transition + 100ms pause = 1600ms total wait per hop
-            setTimeout(moveNext, 1600);
-        };
+    clearPackets() {
+        document.querySelectorAll('#workspace .packet').forEach(el => el.remove());
+    },
 
-        // Start animation loop
-        setTimeout(moveNext, 100);
+    // Shows the OSI layers of an event's PDU as it arrived and as it left the device,
+    // and what the device changed in between
+    openPduInspector(index) {
+        const event = this.simulation && this.simulation.engine.events[index];
+        if (!event || !event.pdu) return;
+
+        const notSent = { send: 'En espera de la resolución ARP', forward: 'No sale del dispositivo', deliver: 'Entregado: no sale del dispositivo', drop: 'Descartado: no sale del dispositivo' };
+        const renderPdu = (pdu, title) => `
+            <div style="flex:1; min-width:0;">
+                <h4 style="margin-bottom:8px;">${title}</h4>
+                ${pdu ? PacketEngine.layers(pdu).map(layer => `
+                    <table class="routing-table" style="margin-bottom:10px;">
+                        <thead><tr><th colspan="2">${layer.title}</th></tr></thead>
+                        <tbody>
+                            ${layer.fields.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+                        </tbody>
+                    </table>
+                `).join('') : `<p style="color:var(--text-muted);">${notSent[event.action]}</p>`}
+            </div>`;
+
+        const changes = PacketEngine.changes(event.pdu, event.outPdu);
+        if (event.from && event.outPdu && changes.length === 0) changes.push('Reenvía la trama sin modificarla');
+        const ports = [event.inInterface && `entrada ${event.inInterface}`, event.outInterface && `salida ${event.outInterface}`].filter(Boolean);
+
+        document.getElementById('pdu-content').innerHTML = `
+            <div style="margin-bottom: 15px;">
+                <strong>${event.device.name}</strong> · ${event.time} ms
+                <small style="color:var(--text-muted);">${ports.join(', ') || 'sin interfaz'}${event.from ? ` · viene de ${event.from.name}` : ''}</small>
+                <div style="margin-top:5px;">${event.info}</div>
+            </div>
+            <div style="display:flex; gap:15px;">
+                ${renderPdu(event.pdu, event.from ? 'PDU recibido' : 'PDU creado')}
+                ${renderPdu(event.outPdu, 'PDU enviado')}
+            </div>
+            ${changes.length ? `
+                <h4 style="margin:5px 0 8px;">Cambios en ${event.device.name}</h4>
+                <ul style="padding-left:20px;">${changes.map(c => `<li>${c}</li>`).join('')}</ul>
+            ` : ''}
+        `;
+        document.getElementById('pdu-modal').classList.add('active');
     },
 
 
     runPing() {
         const sId = parseInt(document.getElementById('ping-source').value);
         const tId = parseInt(document.getElementById('ping-target').value);
+        const host = document.getElementById('ping-host').value.trim();
         const consoleOut = document.getElementById('ping-output');
 
-        consoleOut.innerHTML += `\n> ping...`;
-        const res = sim.testConnectivity(sId, tId);
+        // A typed hostname/IP takes precedence over the target dropdown
+        consoleOut.innerHTML += `\n> ping${host ? ` ${host}` : ''}...`;
+        const res = host ? sim.pingHost(sId, host) : sim.testConnectivity(sId, tId);
 
         // Log result
         const sDevice = sim.getDevice(sId);
@@ -1247,7 +4263,7 @@ const UI = {
         const logEntry = {
             time: new Date().toLocaleTimeString(),
             source: sDevice ? sDevice.name : 'Unknown',
-            target: tDevice ? tDevice.name : 'Unknown',
+            target: host || (tDevice ? tDevice.name : 'Unknown'),
             status: res.success ? 'Success' : 'Fail',
             msg: res.success ? 'Éxito' : res.msg
         };
@@ -1258,7 +4274,106 @@ const UI = {
         consoleOut.scrollTop = consoleOut.scrollHeight;
     },
 
+    // --- Device Terminal (CLI) ---
+    openTerminal(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        if (!this.terminals[id]) this.terminals[id] = new DeviceTerminal(sim, d);
+        const terminal = this.terminals[id];
+
+        this.closeModals();
+        this.terminalDeviceId = id;
+        document.getElementById('cli-title').textContent = d.name;
+        if (!terminal.transcript) {
+            terminal.transcript = terminal.isHost
+                ? 'Microsoft Windows [Versión 10.0]\nEscriba help para ver los comandos.\n\n'
+                : `${d.name} con ${d.interfaces.length} interfaces. Escriba ? para ver los comandos.\n\n`;
+        }
+        const output = document.getElementById('cli-output');
+        output.textContent = terminal.transcript;
+        output.scrollTop = output.scrollHeight;
+        document.getElementById('cli-prompt').textContent = terminal.prompt;
+        document.getElementById('cli-modal').classList.add('active');
+        const input = document.getElementById('cli-input');
+        input.value = '';
+        input.focus();
+    },
+
+    handleTerminalKey(e) {
+        const terminal = this.terminals[this.terminalDeviceId];
+        if (!terminal) return;
+        const input = e.target;
+        const output = document.getElementById('cli-output');
+
+        if (e.key === 'Enter') {
+            const line = input.value;
+            output.textContent += `${terminal.prompt}${line}\n`;
+            const result = terminal.execute(line);
+            if (result.clear) output.textContent = '';
+            if (result.output) output.textContent += `${result.output}\n`;
+            input.value = '';
+            document.getElementById('cli-prompt').textContent = terminal.prompt;
+            document.getElementById('cli-title').textContent = terminal.device.name;
+            terminal.transcript = output.textContent;
+            output.scrollTop = output.scrollHeight;
+            // Commands edit the same model as the forms: redraw names, links and lights
+            this.commitHistory(`${terminal.device.name}: ${line.trim()}`);
+            this.render();
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            const completion = terminal.complete(input.value);
+            input.value = completion.line;
+            if (completion.options.length > 1) {
+                output.textContent += `${terminal.prompt}${input.value}\n${completion.options.join('  ')}\n`;
+                terminal.transcript = output.textContent;
+                output.scrollTop = output.scrollHeight;
+            }
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            input.value = terminal.recall(e.key === 'ArrowUp' ? -1 : 1);
+        }
+    },
+
+    // tracert towards the typed host, or the first IP of the target device
+    runTraceroute() {
+        const sId = parseInt(document.getElementById('ping-source').value);
+        const tId = parseInt(document.getElementById('ping-target').value);
+        const consoleOut = document.getElementById('ping-output');
+        const sDevice = sim.getDevice(sId);
+        const tDevice = sim.getDevice(tId);
+
+        let host = document.getElementById('ping-host').value.trim();
+        if (!host && tDevice) host = sim.getDeviceIPs(tDevice, sDevice)[0] || '';
+
+        consoleOut.innerHTML += `\n> tracert ${host}`;
+        const res = host
+            ? sim.tracertHost(sId, host)
+            : { success: false, msg: "Error: Configuración IP faltante en Destino" };
+
+        // Log where the path broke (last hop that answered)
+        const lastHop = (res.hops || []).filter(h => !h.timedOut).pop();
+        const logEntry = {
+            time: new Date().toLocaleTimeString(),
+            source: sDevice ? sDevice.name : 'Unknown',
+            target: host || (tDevice ? tDevice.name : 'Unknown'),
+            status: res.success ? 'Success' : 'Fail',
+            msg: res.success ? 'Traza completa'
+                : lastHop ? `Traza interrumpida después de ${lastHop.ip} (${lastHop.device.name})`
+                : (res.hops || []).length > 0 ? 'Sin respuesta desde el primer salto' : res.msg
+        };
+        sim.logs.unshift(logEntry);
+
+        const resClass = res.success ? 'ping-success' : 'ping-fail';
+        consoleOut.innerHTML += `\n<span class="${resClass}">${res.msg}</span>`;
+        consoleOut.scrollTop = consoleOut.scrollHeight;
+    },
+
     closeModals() {
+        // Everything changed in a configuration form (applied or not) is one undo step
+        if (document.getElementById('config-modal').classList.contains('active')) {
+            const d = sim.getDevice(this.selectedDeviceId);
+            if (d) this.commitHistory(`Configurar ${d.name}`);
+        }
         document.querySelectorAll('.modal-overlay').forEach(el => el.classList.remove('active'));
     },
 
@@ -1294,11 +4409,13 @@ const UI = {
     },
 
     clearCanvas() {
-        this.showConfirm('¿Estás seguro de borrar todo el diseño? Esta acción no se puede deshacer.', () => {
+        this.showConfirm('¿Estás seguro de borrar todo el diseño? Podrá recuperarlo con Deshacer (Ctrl+Z).', () => {
             sim.devices = [];
             sim.textLabels = [];
             sim.nextId = 1;
             sim.nextTextId = 1;
+            this.terminals = {};
+            this.commitHistory('Limpiar lienzo');
             this.render();
             this.toggleUserMenu();
             this.showToast('Lienzo limpiado', 'info');
@@ -1306,25 +4423,103 @@ const UI = {
     },
 
     // --- Project Features ---
+    // Project contents as saved in .netsim files
+    serializeProject() {
+        return ProjectFormat.serialize(sim);
+    },
+
     saveProject() {
-        const data = {
-            devices: sim.devices,
-            textLabels: sim.textLabels,
-            nextId: sim.nextId,
-            nextTextId: sim.nextTextId,
-            timestamp: new Date().toISOString()
-        };
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const data = { ...this.serializeProject(), timestamp: new Date().toISOString() };
+        this.downloadFile('ejercicio_red.netsim', JSON.stringify(data, null, 2), 'application/json');
+        this.toggleUserMenu();
+    },
+
+    downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'ejercicio_red.netsim';
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
-        this.toggleUserMenu();
+    },
+
+    // --- Undo / Redo ---
+
+    // Project snapshot for the edit history (and the autosave). What traffic changes on its
+    // own (ARP and MAC caches, NAT translations, learned RIP routes, ACL counters, ping logs)
+    // is left out, so only real edits become undo steps; a cable still negotiating is stored
+    // as the link it is about to be.
+    snapshotProject() {
+        const volatile = ['arpCache', 'macTable', 'translations', 'routes', 'logs'];
+        return JSON.stringify(this.serializeProject(), function (key, value) {
+            if (volatile.includes(key)) return [];
+            if (key === 'matches') return 0;
+            if (key === 'status' && this.connectedDeviceId) return 'up'; // this: the interface
+            return value;
+        });
+    },
+
+    // Called after an edit; key lets consecutive edits of one kind merge (drag moves)
+    commitHistory(label, key = null) {
+        if (!this.editHistory.record(this.snapshotProject(), label, key)) return;
+        this.updateHistoryButtons();
+        this.autosave();
+    },
+
+    undo() {
+        this.closeModals(); // A form left open is committed first
+        this.applyHistoryEntry(this.editHistory.undo(), 'Deshacer', 'No hay nada que deshacer');
+    },
+
+    redo() {
+        this.closeModals();
+        this.applyHistoryEntry(this.editHistory.redo(), 'Rehacer', 'No hay nada que rehacer');
+    },
+
+    applyHistoryEntry(entry, action, emptyMessage) {
+        if (!entry) {
+            this.showToast(emptyMessage, 'info');
+            return;
+        }
+
+        const logs = sim.logs; // Not part of snapshots
+        ProjectFormat.restore(sim, JSON.parse(this.editHistory.current));
+        sim.logs = logs;
+        // Terminals keep their screen and mode, on the rebuilt devices
+        Object.keys(this.terminals).forEach(id => {
+            const device = sim.getDevice(parseInt(id));
+            if (device) this.terminals[id].attach(device);
+            else delete this.terminals[id];
+        });
+        if (!sim.getDevice(this.selectedDeviceId)) this.selectedDeviceId = null;
+        if (this.simulation) this.resetSimulation();
+
+        this.render();
+        this.updateHistoryButtons();
+        this.autosave();
+        this.showToast(`${action}: ${this.escapeHtml(entry.label)}`, 'info');
+    },
+
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('tool-undo');
+        const redoBtn = document.getElementById('tool-redo');
+        if (undoBtn) {
+            undoBtn.classList.toggle('disabled', !this.editHistory.canUndo);
+            undoBtn.title = this.editHistory.canUndo ? `Deshacer: ${this.editHistory.undoStack[this.editHistory.undoStack.length - 1].label} (Ctrl+Z)` : 'Deshacer (Ctrl+Z)';
+        }
+        if (redoBtn) {
+            redoBtn.classList.toggle('disabled', !this.editHistory.canRedo);
+            redoBtn.title = this.editHistory.canRedo ? `Rehacer: ${this.editHistory.redoStack[this.editHistory.redoStack.length - 1].label} (Ctrl+Y)` : 'Rehacer (Ctrl+Y)';
+        }
     },
 
     // --- Toast Notifications ---
+    // User-entered text (names, config lines) placed inside innerHTML templates
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
     showToast(message, type = 'info') {
         const container = document.getElementById('toast-container');
         const toast = document.createElement('div');
@@ -1392,24 +4587,22 @@ const UI = {
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
-                const data = JSON.parse(e.target.result);
-                sim.devices = data.devices || [];
-                sim.textLabels = data.textLabels || [];
-                sim.nextId = data.nextId || 1;
-                sim.nextTextId = data.nextTextId || 1;
-
-                // Restore object methods (Device class handling) if needed, 
-                // but since we use raw objects mostly, we need to ensure 'Device' instance methods work.
-                // Re-instantiate Devices to keep prototype methods active
-                sim.devices = sim.devices.map(d => {
-                    const dev = new Device(d.id, d.type, d.name, d.ip, d.mask, d.gateway, d.x, d.y);
-                    dev.interfaces = d.interfaces; // Restore interfaces
-                    dev.connections = d.connections || []; // Restore physical connections
-                    return dev;
-                });
-
+                const result = ProjectFormat.parse(e.target.result);
+                if (result.errors) {
+                    // The current design stays as it was
+                    const shown = result.errors.slice(0, 5);
+                    if (result.errors.length > shown.length) shown.push(`... y ${result.errors.length - shown.length} errores más`);
+                    this.showToast(`Archivo de ejercicio no válido:<br>${shown.map(m => this.escapeHtml(m)).join('<br>')}`, 'error');
+                    console.error(result.errors);
+                    return;
+                }
+                ProjectFormat.restore(sim, result.data);
+                this.terminals = {};
+                this.commitHistory('Cargar ejercicio');
                 this.render();
-                this.showToast('Ejercicio cargado correctamente', 'success');
+                this.showToast(result.migratedFrom
+                    ? `Ejercicio cargado correctamente (convertido desde el formato ${result.migratedFrom})`
+                    : 'Ejercicio cargado correctamente', 'success');
             } catch (err) {
                 this.showToast('Error al cargar el archivo de ejercicio', 'error');
                 console.error(err);
@@ -1420,25 +4613,456 @@ const UI = {
         event.target.value = ''; // Reset input
     },
 
+    topologyTheme() {
+        return document.body.classList.contains('light-mode') ? 'light' : 'dark';
+    },
+
+    // PNG rasterized by the browser from the SVG export, at twice its size for sharp output
     exportImage() {
         this.toggleUserMenu();
-        const workspace = document.getElementById('workspace');
-        // Temporarily hide toolbar for screenshot
-        document.querySelector('.canvas-toolbar').style.display = 'none';
+        const url = URL.createObjectURL(new Blob([TopologyExport.svg(sim, this.topologyTheme())], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            const scale = 2;
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width * scale;
+            canvas.height = image.height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0);
+            URL.revokeObjectURL(url);
 
-        // Determine background color based on theme
-        const isLight = document.body.classList.contains('light-mode');
-        const bgColor = isLight ? '#f1f5f9' : '#0f172a';
-
-        html2canvas(workspace, { backgroundColor: bgColor }).then(canvas => {
             const link = document.createElement('a');
             link.download = 'network_diagram.png';
-            link.href = canvas.toDataURL();
+            link.href = canvas.toDataURL('image/png');
             link.click();
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            this.showToast('No se pudo generar la imagen', 'error');
+        };
+        image.src = url;
+    },
+
+    exportSvg() {
+        this.toggleUserMenu();
+        this.downloadFile('network_diagram.svg', TopologyExport.svg(sim, this.topologyTheme()), 'image/svg+xml');
+    },
+
+    // Graphviz DOT of the topology, for documentation tools
+    exportDot() {
+        this.toggleUserMenu();
+        const project = this.library && this.library.current;
+        this.downloadFile('network_diagram.dot', TopologyExport.dot(sim, project ? project.name : 'red'), 'text/vnd.graphviz');
+    },
+
+    // --- Running-config text (import / export) ---
+
+    // 'show running-config' of a router or switch, from a terminal of its own so the
+    // mode of an open CLI is not touched
+    runningConfig(d) {
+        return new DeviceTerminal(sim, d).showRunningConfig();
+    },
+
+    exportDeviceConfig(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        this.downloadFile(`${d.name}-running-config.txt`, this.runningConfig(d), 'text/plain');
+    },
+
+    // Every device in one text file for grading: running-config of routers and switches,
+    // addressing of the hosts (as comments, so the file can still be pasted into a CLI)
+    exportAllConfigs() {
+        this.toggleUserMenu();
+        if (sim.devices.length === 0) {
+            this.showToast('No hay dispositivos en el lienzo', 'error');
+            return;
+        }
+
+        const project = this.library && this.library.current;
+        const lines = [`! Configuraciones de ${project ? `"${project.name}"` : 'la red'} - ${new Date().toLocaleString()}`];
+        [...sim.devices].sort((a, b) => a.name.localeCompare(b.name)).forEach(d => {
+            lines.push('!', `! ===== ${d.name} (${d.type}) =====`);
+            if (d.type === 'Router' || d.type === 'Switch') {
+                lines.push(this.runningConfig(d));
+                return;
+            }
+            d.interfaces.filter(i => i.type !== 'console').forEach(i => {
+                const addresses = [i.ip ? `${i.ip} ${i.mask}` : 'sin IP', i.ipv6 ? `${i.ipv6}/${i.ipv6Prefix}` : ''];
+                lines.push(`! ${i.name}: ${addresses.filter(a => a).join(', ')}${i.dhcp ? ' (DHCP)' : ''}`);
+            });
+            if (d.gateway) lines.push(`! Puerta de enlace: ${d.gateway}`);
+            if (d.ipv6Gateway) lines.push(`! Puerta de enlace IPv6: ${d.ipv6Gateway}`);
+            if (d.dnsServer) lines.push(`! Servidor DNS: ${d.dnsServer}`);
+        });
+        this.downloadFile('configuraciones_red.txt', lines.join('\n') + '\n', 'text/plain');
+    },
+
+    openConfigImport(id) {
+        const d = sim.getDevice(id);
+        if (!d) return;
+        this.closeModals();
+        this.configImportDeviceId = id;
+        document.getElementById('config-import-device').textContent = d.name;
+        document.getElementById('config-import-text').value = '';
+        document.getElementById('config-import-result').innerHTML = '';
+        document.getElementById('config-import-modal').classList.add('active');
+    },
+
+    // Fills the text box with a chosen file; nothing is applied until 'Aplicar'
+    readConfigFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            document.getElementById('config-import-text').value = e.target.result;
+        };
+        reader.readAsText(file);
+        event.target.value = ''; // Reset input
+    },
+
+    applyConfigImport() {
+        const d = sim.getDevice(this.configImportDeviceId);
+        const text = document.getElementById('config-import-text').value;
+        if (!d) return;
+        if (!text.trim()) {
+            this.showToast('Pegue una configuración o elija un archivo', 'error');
+            return;
+        }
+
+        const name = d.name;
+        const result = new DeviceTerminal(sim, d).importConfig(text);
+        this.commitHistory(`Importar configuración en ${name}`);
+        this.render();
+        document.getElementById('config-import-device').textContent = d.name;
+
+        const esc = t => this.escapeHtml(t);
+        let html = `<div style="margin-bottom:10px;"><strong>${result.applied}</strong> comandos aplicados en ${esc(d.name)}.</div>`;
+        if (result.messages.length > 0) {
+            html += `
+                <h4 class="section-title text-primary">Respuestas del dispositivo</h4>
+                <table class="routing-table">
+                    <thead><tr><th>Línea</th><th>Comando</th><th>Respuesta</th></tr></thead>
+                    <tbody>
+                        ${result.messages.map(m => `<tr><td>${m.number}</td><td>${esc(m.text)}</td><td>${esc(m.message)}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+        if (result.unsupported.length > 0) {
+            html += `
+                <h4 class="section-title text-primary" style="margin-top:15px;">Líneas no admitidas (omitidas)</h4>
+                <table class="routing-table">
+                    <thead><tr><th>Línea</th><th>Texto</th></tr></thead>
+                    <tbody>
+                        ${result.unsupported.map(u => `<tr><td>${u.number}</td><td>${esc(u.text)}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+        document.getElementById('config-import-result').innerHTML = html;
+
+        const skipped = result.messages.length + result.unsupported.length;
+        this.showToast(skipped === 0 ? `Configuración importada en ${d.name}` : `Configuración importada con avisos (${skipped})`,
+            skipped === 0 ? 'success' : 'info');
+    },
+
+    // --- Project library (browser storage) ---
+
+    // Reopens the project that was being edited when the page was closed, or starts one
+    startLibrary() {
+        try {
+            this.library = new ProjectLibrary(window.localStorage);
+        } catch (err) {
+            console.error(err); // Storage disabled by the browser: no autosave
+            return;
+        }
+
+        const project = this.library.current;
+        const stored = project && ProjectFormat.load(this.library.load(project.id));
+        let restored = false;
+        if (stored && stored.data) {
+            try {
+                ProjectFormat.restore(sim, stored.data);
+                restored = true;
+            } catch (err) {
+                console.error(err); // The stored project stays in the library, untouched
+            }
+        } else if (stored) {
+            console.error(stored.errors);
+        }
+        if (!restored) this.library.setCurrent(this.library.create('Mi red', this.serializeProject()).id);
+        this.updateProjectName();
+    },
+
+    // Stores the open project after every edit, undo and redo
+    autosave() {
+        const project = this.library && this.library.current;
+        if (!project) return;
+        try {
+            this.library.save(project.id, this.editHistory.current);
+            this.autosaveFailed = false;
+        } catch (err) {
+            if (!this.autosaveFailed) this.showToast('Error: No se pudo guardar automáticamente (almacenamiento del navegador lleno)', 'error');
+            this.autosaveFailed = true;
+        }
+    },
+
+    updateProjectName() {
+        const project = this.library && this.library.current;
+        const el = document.getElementById('project-name');
+        if (el) el.textContent = project ? project.name : '';
+    },
+
+    openLibrary() {
+        this.toggleUserMenu();
+        if (!this.library) {
+            this.showToast('Error: El navegador no permite guardar proyectos', 'error');
+            return;
+        }
+        this.closeModals();
+        this.renderLibrary();
+        document.getElementById('library-modal').classList.add('active');
+    },
+
+    renderLibrary() {
+        const current = this.library.current;
+        document.getElementById('library-content').innerHTML = `
+            <table class="routing-table">
+                <thead>
+                    <tr><th>Nombre</th><th>Modificado</th><th>Acciones</th></tr>
+                </thead>
+                <tbody>
+                    ${this.library.list().map(p => `
+                        <tr>
+                            <td>
+                                <input type="text" class="form-input" id="library-name-${p.id}" value="${this.escapeHtml(p.name)}">
+                                ${current && current.id === p.id ? '<small style="color:var(--accent);">Abierto</small>' : ''}
+                            </td>
+                            <td>${new Date(p.updated).toLocaleString('es-ES')}</td>
+                            <td style="white-space:nowrap;">
+                                <button class="btn" onclick="UI.openLibraryProject(${p.id})" title="Abrir"><i class="fa-solid fa-folder-open"></i></button>
+                                <button class="btn" onclick="UI.renameProject(${p.id})" title="Renombrar"><i class="fa-solid fa-pen"></i></button>
+                                <button class="btn" onclick="UI.duplicateProject(${p.id})" title="Duplicar"><i class="fa-solid fa-copy"></i></button>
+                                <button class="btn" onclick="UI.deleteProject(${p.id})" title="Eliminar"><i class="fa-solid fa-trash"></i></button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    createProject() {
+        const input = document.getElementById('library-new-name');
+        const empty = { devices: [], textLabels: [], nextId: 1, nextTextId: 1 };
+        const project = this.library.create(input.value.trim() || 'Nuevo proyecto', empty);
+        input.value = '';
+        this.openLibraryProject(project.id);
+    },
+
+    // The current project is already stored (autosave), so switching loses nothing
+    openLibraryProject(id) {
+        const project = this.library.get(id);
+        const stored = project && ProjectFormat.load(this.library.load(id));
+        if (!stored || stored.errors) {
+            this.showToast(`Error: No se pudo leer el proyecto${stored ? `<br>${this.escapeHtml(stored.errors[0])}` : ''}`, 'error');
+            return;
+        }
+
+        this.closeModals();
+        try {
+            ProjectFormat.restore(sim, stored.data);
+        } catch (err) {
+            // restore() replaces nothing until every device is rebuilt: the open project stays
+            console.error(err);
+            this.showToast('Error: No se pudo abrir el proyecto', 'error');
+            return;
+        }
+        this.terminals = {};
+        this.selectedDeviceId = null;
+        if (this.simulation) this.resetSimulation();
+        this.library.setCurrent(id);
+        this.editHistory.reset(this.snapshotProject());
+        this.updateHistoryButtons();
+        this.updateProjectName();
+        this.render();
+        this.showToast(`Proyecto "${this.escapeHtml(project.name)}" abierto`, 'success');
+    },
+
+    renameProject(id) {
+        const name = document.getElementById(`library-name-${id}`).value.trim();
+        const error = this.library.rename(id, name);
+        if (error) {
+            this.showToast(`Error: ${this.escapeHtml(error)}`, 'error');
+            return;
+        }
+        this.renderLibrary();
+        this.updateProjectName();
+        this.showToast('Proyecto renombrado', 'success');
+    },
+
+    duplicateProject(id) {
+        const copy = this.library.duplicate(id);
+        if (!copy) return;
+        this.renderLibrary();
+        this.showToast(`Proyecto duplicado como "${this.escapeHtml(copy.name)}"`, 'success');
+    },
+
+    deleteProject(id) {
+        const project = this.library.get(id);
+        if (!project) return;
+        if (project === this.library.current) {
+            this.showToast('Error: No se puede eliminar el proyecto abierto', 'error');
+            return;
+        }
+        this.showConfirm(`¿Eliminar el proyecto "${this.escapeHtml(project.name)}"? Esta acción no se puede deshacer.`, () => {
+            this.library.remove(id);
+            this.renderLibrary();
+            this.showToast('Proyecto eliminado', 'success');
+        });
+    },
+
+    // --- Subnet calculator / VLSM planner ---
+    openSubnetModal() {
+        this.toggleUserMenu();
+        this.closeModals();
+        document.getElementById('subnet-modal').classList.add('active');
+    },
+
+    // Accepts '192.168.1.77/26', or an IP plus a dotted mask or prefix ('255.255.255.192', '/26', '26')
+    runSubnetCalculator() {
+        const ipText = document.getElementById('subnet-calc-ip').value.trim();
+        const maskText = document.getElementById('subnet-calc-mask').value.trim().replace(/^\//, '');
+        const container = document.getElementById('subnet-calc-result');
+
+        let ip = ipText;
+        let mask = maskText;
+        const cidr = NetworkUtils.parseCidr(ipText);
+        if (cidr) {
+            ({ ip, mask } = cidr);
+        } else if (/^\d{1,2}$/.test(maskText) && parseInt(maskText, 10) <= 32) {
+            mask = NetworkUtils.prefixToMask(parseInt(maskText, 10));
+        }
+        if (!NetworkUtils.isValidIp(ip) || !NetworkUtils.isValidMask(mask)) {
+            container.innerHTML = '';
+            this.showToast('Error: Indique una IP y una máscara válidas', 'error');
+            return;
+        }
+
+        const info = NetworkUtils.subnetInfo(ip, mask);
+        const rows = [
+            ['Dirección de red', `${info.network}/${info.prefix}`],
+            ['Máscara', info.mask],
+            ['Wildcard', info.wildcard],
+            ['Broadcast', info.broadcast],
+            ['Rango de hosts', `${info.firstHost} - ${info.lastHost}`],
+            ['Hosts utilizables', info.hosts.toLocaleString()]
+        ];
+        container.innerHTML = `
+            <table class="routing-table">
+                <tbody>
+                    ${rows.map(([label, value]) => `<tr><td><strong>${label}</strong></td><td>${value}</td></tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    // One requirement per line: '<name> <hosts>' (a bare number gets a generated name)
+    runVlsmPlanner() {
+        const base = NetworkUtils.parseCidr(document.getElementById('vlsm-base').value);
+        const container = document.getElementById('vlsm-result');
+        if (!base) {
+            this.showToast('Error: Bloque base inválido (ej. 192.168.10.0/24)', 'error');
+            return;
+        }
+
+        const requirements = [];
+        const lines = document.getElementById('vlsm-requirements').value.split('\n').map(l => l.trim()).filter(l => l);
+        for (const line of lines) {
+            const match = line.match(/^(.*?)\s*(\d+)$/);
+            const hosts = match ? parseInt(match[2], 10) : 0;
+            if (!(hosts >= 1)) {
+                this.showToast(`Error: Línea inválida "${this.escapeHtml(line)}" (use: nombre hosts)`, 'error');
+                return;
+            }
+            requirements.push({ name: match[1] || `Subred ${requirements.length + 1}`, hosts });
+        }
+        if (requirements.length === 0) {
+            this.showToast('Error: Indique al menos una subred', 'error');
+            return;
+        }
+
+        const plan = NetworkUtils.planVlsm(base.ip, NetworkUtils.maskToPrefix(base.mask), requirements);
+        if (plan.error) {
+            container.innerHTML = '';
+            this.showToast(`Error: ${plan.error}`, 'error');
+            return;
+        }
+        this.vlsmPlan = plan.subnets;
+        this.renderVlsmPlan();
+    },
+
+    renderVlsmPlan() {
+        const container = document.getElementById('vlsm-result');
+        // Interfaces that can take an address from the plan
+        const targets = sim.devices.filter(d => d.type !== 'Switch').flatMap(d =>
+            d.interfaces.filter(i => i.type !== 'console').map(i => `<option value="${d.id}|${i.name}">${d.name} ${i.name}</option>`)).join('');
+
+        container.innerHTML = `
+            <table class="routing-table">
+                <thead>
+                    <tr><th>Subred</th><th>Hosts (pedidos / capacidad)</th><th>Red</th><th>Rango</th><th>Broadcast</th><th>Asignar a</th></tr>
+                </thead>
+                <tbody>
+                    ${this.vlsmPlan.map((s, idx) => `
+                        <tr>
+                            <td>${this.escapeHtml(s.name)}</td>
+                            <td>${s.required} / ${s.hosts}</td>
+                            <td>${s.network}/${s.prefix}<br><small>${s.mask}</small></td>
+                            <td>${s.firstHost} - ${s.lastHost}</td>
+                            <td>${s.broadcast}</td>
+                            <td>
+                                <select class="form-input" id="vlsm-assign-${idx}" multiple size="3" title="Ctrl+clic para elegir varias interfaces">${targets}</select>
+                                <button class="btn" style="width:100%; margin-top:3px;" onclick="UI.assignVlsmSubnet(${idx})">Asignar</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div style="margin-top:10px; font-size:0.9em; color:var(--text-muted);">
+                <small>Los routers reciben las primeras direcciones y actúan como gateway de los hosts.</small>
+            </div>
+        `;
+    },
 
-            // Restore toolbar
-            document.querySelector('.canvas-toolbar').style.display = 'flex';
+    assignVlsmSubnet(idx) {
+        const subnet = this.vlsmPlan[idx];
+        const select = document.getElementById(`vlsm-assign-${idx}`);
+        const targets = [...select.selectedOptions].map(option => {
+            const [id, name] = option.value.split('|');
+            const device = sim.getDevice(parseInt(id, 10));
+            return { device, iface: device ? device.getInterface(name) : null };
         });
+        if (!subnet || targets.length === 0) {
+            this.showToast('Error: Seleccione las interfaces a direccionar', 'error');
+            return;
+        }
+        // The lists are built when the plan is drawn: devices may have been deleted since
+        if (targets.some(t => !t.iface)) {
+            this.renderVlsmPlan();
+            this.showToast('Error: Alguna interfaz seleccionada ya no existe; la lista se ha actualizado', 'error');
+            return;
+        }
+
+        const result = sim.assignSubnet(subnet.network, subnet.mask, targets);
+        if (result.error) {
+            this.showToast(`Error: ${result.error}`, 'error');
+            return;
+        }
+        this.commitHistory(`Asignar ${subnet.name}`);
+        this.render();
+        this.showToast(result.assignments.map(a => `${a.device.name} ${a.iface.name}: ${a.ip}/${subnet.prefix}`).join('<br>'), 'success');
     },
 
     // --- Help / Logs ---
@@ -1594,7 +5218,8 @@ const UI = {
 
                     if (!d2 || !i2) return;
 
-                    const key = [d1.id, d2.id].sort().join('-');
+                    // One entry per cable (a console and an Ethernet cable may join the same pair)
+                    const key = [`${d1.id}:${i1.name}`, `${d2.id}:${i2.name}`].sort().join('-');
                     if (drawn.has(key)) return;
 
                     const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
@@ -1603,25 +5228,55 @@ const UI = {
                     line.setAttribute('x2', d2.x * this.zoomLevel);
                     line.setAttribute('y2', d2.y * this.zoomLevel);
 
-                    if (i1.type === 'serial') {
-                        line.setAttribute('stroke', '#ef4444');
-                        line.setAttribute('stroke-dasharray', '5,5');
-                        line.setAttribute('stroke-width', '2');
-                    } else {
-                        line.setAttribute('stroke', '#10b981');
-                        line.setAttribute('stroke-width', '2');
-                    }
+                    const style = TopologyExport.cableStyle(i1);
+                    line.setAttribute('stroke', style.stroke);
+                    line.setAttribute('stroke-width', '2');
+                    if (style.dash) line.setAttribute('stroke-dasharray', style.dash);
+                    const fault = sim.getLinkFault(d1, i1, d2, i2);
+                    const lineTitle = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+                    lineTitle.textContent = `${TopologyExport.CABLE_NAMES[i1.cable] || 'Cable'}: ${d1.name} ${i1.name} ↔ ${d2.name} ${i2.name}` +
+                        (fault && i1.type !== 'console' ? ` (${fault})` : '');
+                    line.appendChild(lineTitle);
                     connLayer.appendChild(line);
 
-                    const status1 = i1.status || 'up';
-                    const status2 = i2.status || 'up';
+                    if (i1.linkFailed) {
+                        const mark = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                        mark.setAttribute('x', (d1.x + d2.x) / 2 * this.zoomLevel);
+                        mark.setAttribute('y', (d1.y + d2.y) / 2 * this.zoomLevel);
+                        mark.setAttribute('fill', '#ef4444');
+                        mark.setAttribute('font-size', '16');
+                        mark.setAttribute('text-anchor', 'middle');
+                        mark.setAttribute('dominant-baseline', 'central');
+                        mark.textContent = '✕';
+                        connLayer.appendChild(mark);
+                    }
+
+                    if (this.currentTool === 'fail') {
+                        // Wide invisible stroke so the cable is easy to click
+                        const hit = line.cloneNode();
+                        hit.setAttribute('stroke', 'transparent');
+                        hit.setAttribute('stroke-width', '14');
+                        hit.removeAttribute('stroke-dasharray');
+                        hit.style.pointerEvents = 'stroke';
+                        hit.style.cursor = 'pointer';
+                        hit.onclick = (e) => {
+                            e.stopPropagation();
+                            this.toggleLinkFailure(d1.id, i1.name);
+                        };
+                        connLayer.appendChild(hit);
+                    }
+
+                    drawn.add(key);
+                    // Console cables carry no traffic: no link lights
+                    if (i1.type === 'console') return;
+
+                    const status1 = this.linkEndStatus(i1);
+                    const status2 = this.linkEndStatus(i2);
 
                     this.drawLinkLight(connLayer, d1.x * this.zoomLevel, d1.y * this.zoomLevel,
                         d2.x * this.zoomLevel, d2.y * this.zoomLevel, status1);
                     this.drawLinkLight(connLayer, d2.x * this.zoomLevel, d2.y * this.zoomLevel,
                         d1.x * this.zoomLevel, d1.y * this.zoomLevel, status2);
-
-                    drawn.add(key);
                 }
             });
         });
@@ -1632,6 +5287,18 @@ document.getElementById('workspace').addEventListener('click', (e) => UI.handleW
 
 // Global Keyboard Shortcuts
 document.addEventListener('keydown', (e) => {
+    // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z): undo and redo, except while typing in a field
+    const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+    if ((e.ctrlKey || e.metaKey) && !typing) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' || key === 'y') {
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) UI.redo();
+            else UI.undo();
+            return;
+        }
+    }
+
     // Delete / Backspace to remove selected device
     if ((e.key === 'Delete' || e.key === 'Backspace') && UI.selectedDeviceId) {
         // Prevent backspace from navigating back if not in input
@@ -1643,6 +5310,7 @@ document.addEventListener('keydown', (e) => {
 
 UI.init();
 UI.startUptime();
+UI.startRipTimer();
 
 // Set current year in footer
 document.getElementById('current-year').textContent = new Date().getFullYear();
@@ -0,0 +1,1250 @@
+/**
+ * Per-device command line. Routers and switches get a Cisco IOS-like CLI with
+ * its modes (user, privileged, global config, interface config); PCs, laptops
+ * and servers get a Windows-like shell. Every command works on the same
+ * Device/Interface objects the configuration modal edits.
+ */
+class DeviceTerminal {
+    // Lines of a configuration file that are not configuration commands: the
+    // 'show running-config' header and mode changes (modes follow the commands)
+    static IMPORT_IGNORED = /^(building configuration|current configuration|end$|exit$|enable$|conf(igure)?\s+t(erminal)?$)/i;
+
+    constructor(sim, device) {
+        this.sim = sim;
+        this.device = device;
+        this.mode = 'user'; // 'user', 'privileged', 'config', 'config-if', 'config-vlan', 'config-router', 'config-dhcp'
+        this.currentInterface = null; // Interface being configured (config-if)
+        this.currentVlan = null; // VLAN being configured (config-vlan)
+        this.currentProtocol = null; // 'rip' or 'ospf' (config-router)
+        this.currentPool = null; // DHCP pool being configured (config-dhcp), added once it has a network
+        this.history = [];
+        this.historyIndex = 0;
+        this.transcript = ''; // Screen contents, kept while the terminal is closed
+    }
+
+    // Points the terminal at a rebuilt copy of its device (undo/redo): the interface
+    // being configured is looked up again by name
+    attach(device) {
+        this.device = device;
+        if (this.currentInterface) {
+            this.currentInterface = device.getInterface(this.currentInterface.name) || null;
+            if (!this.currentInterface && this.mode === 'config-if') this.mode = 'config';
+        }
+    }
+
+    get isHost() {
+        return this.device.type !== 'Router' && this.device.type !== 'Switch';
+    }
+
+    get prompt() {
+        if (this.isHost) return 'C:\\>';
+        const name = this.device.name;
+        switch (this.mode) {
+            case 'privileged': return `${name}#`;
+            case 'config': return `${name}(config)#`;
+            case 'config-if': return `${name}(config-if)#`;
+            case 'config-vlan': return `${name}(config-vlan)#`;
+            case 'config-router': return `${name}(config-router)#`;
+            case 'config-dhcp': return `${name}(dhcp-config)#`;
+            default: return `${name}>`;
+        }
+    }
+
+    // Runs one line and returns { output, clear } (clear: the screen must be wiped)
+    execute(line) {
+        const text = line.trim();
+        if (text) {
+            this.history.push(text);
+        }
+        this.historyIndex = this.history.length;
+        if (!text) return { output: '', clear: false };
+
+        const tokens = text.split(/\s+/);
+        if (this.isHost) return this.runHostCommand(tokens);
+
+        if (tokens[0] === '?') return { output: this.listCommands(), clear: false };
+        const match = this.findCommand(tokens);
+        if (match.error) return { output: match.error, clear: false };
+        return { output: match.command.run(match.args) || '', clear: false };
+    }
+
+    // Previous (-1) or next (+1) history entry for the arrow keys
+    recall(direction) {
+        this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + direction));
+        return this.history[this.historyIndex] || '';
+    }
+
+    // Tab completion: returns { line, options } with the completed line and,
+    // when the word is ambiguous, the possible completions
+    complete(line) {
+        const tokens = line.replace(/^\s+/, '').split(/\s+/);
+        const partial = tokens.pop().toLowerCase();
+        let options;
+
+        if (this.isHost) {
+            options = tokens.length === 0 ? ['arp', 'cls', 'help', 'ipconfig', 'ping', 'tracert'] : [];
+        } else {
+            let candidates = this.commands();
+            tokens.forEach((token, depth) => {
+                const exact = candidates.filter(c => c.words[depth] === token.toLowerCase());
+                candidates = exact.length > 0 ? exact : candidates.filter(c => c.words[depth] && c.words[depth].startsWith(token.toLowerCase()));
+            });
+            const depth = tokens.length;
+            options = [...new Set(candidates.filter(c => c.words.length > depth).map(c => c.words[depth]))];
+            // Interface names complete the argument of 'interface'
+            const full = candidates.find(c => c.words.length === depth && c.argument === 'interface');
+            if (full) options = this.device.interfaces.map(i => i.name);
+        }
+
+        options = options.filter(o => o.toLowerCase().startsWith(partial));
+        if (options.length !== 1) return { line, options };
+        return { line: line.slice(0, line.length - partial.length) + options[0] + ' ', options: [] };
+    }
+
+    // Resolves IOS-style abbreviated keywords ('sh ip int br', 'conf t')
+    // Returns { command, args } or { error }.
+    findCommand(tokens) {
+        let candidates = this.commands();
+        let matched = null;
+        let consumed = 0; // Tokens recognised as keywords
+
+        for (let depth = 0; depth < tokens.length; depth++) {
+            const token = tokens[depth].toLowerCase();
+            let next = candidates.filter(c => depth < c.words.length && c.words[depth].startsWith(token));
+            const words = new Set(next.map(c => c.words[depth]));
+            if (words.size > 1) {
+                if (!words.has(token)) return { error: `% Ambiguous command:  "${tokens.slice(0, depth + 1).join(' ')}"` };
+                next = next.filter(c => c.words[depth] === token);
+            }
+            if (next.length === 0) break;
+            candidates = next;
+            consumed++;
+            const full = candidates.find(c => c.words.length === depth + 1);
+            if (full) matched = { command: full, args: tokens.slice(depth + 1) };
+        }
+
+        if (matched) return matched;
+        if (consumed === tokens.length) return { error: '% Incomplete command.' };
+        return { error: "% Invalid input detected at '^' marker." };
+    }
+
+    listCommands() {
+        return [...new Set(this.commands().map(c => c.words.join(' ')))].sort().map(c => `  ${c}`).join('\n');
+    }
+
+    // Commands available in the current mode
+    commands() {
+        const d = this.device;
+        const isRouter = d.type === 'Router';
+        const show = [
+            { words: ['show', 'ip', 'interface', 'brief'], run: () => this.showIpInterfaceBrief() },
+            ...(isRouter ? [
+                { words: ['show', 'ip', 'route'], run: () => this.showIpRoute() },
+                { words: ['show', 'arp'], run: () => this.showArp() },
+                { words: ['show', 'ipv6', 'interface', 'brief'], run: () => this.showIpv6InterfaceBrief() },
+                { words: ['show', 'ipv6', 'route'], run: () => this.showIpv6Route() },
+                { words: ['show', 'ipv6', 'neighbors'], run: () => this.showIpv6Neighbors() },
+                { words: ['show', 'access-lists'], run: () => this.showAccessLists() },
+                { words: ['show', 'ip', 'nat', 'translations'], run: () => this.showIpNatTranslations() }
+            ] : [
+                { words: ['show', 'mac', 'address-table'], run: () => this.showMacAddressTable() },
+                { words: ['show', 'vlan', 'brief'], run: () => this.showVlanBrief() }
+            ]),
+            { words: ['ping'], run: args => this.ping(args) },
+            { words: ['traceroute'], run: args => this.traceroute(args) }
+        ];
+
+        switch (this.mode) {
+            case 'user':
+                return [
+                    { words: ['enable'], run: () => { this.mode = 'privileged'; } },
+                    ...show
+                ];
+            case 'privileged':
+                return [
+                    { words: ['disable'], run: () => { this.mode = 'user'; } },
+                    { words: ['exit'], run: () => { this.mode = 'user'; } },
+                    { words: ['configure', 'terminal'], run: () => {
+                        this.mode = 'config';
+                        return 'Enter configuration commands, one per line.  End with CNTL/Z.';
+                    } },
+                    { words: ['show', 'running-config'], run: () => this.showRunningConfig() },
+                    ...(isRouter ? [
+                        { words: ['clear', 'access-list', 'counters'], run: () => d.accessLists.forEach(a => a.resetCounters()) },
+                        { words: ['clear', 'ip', 'nat', 'translation'], run: args => {
+                            if (args[0] !== '*') return '% Incomplete command.';
+                            d.nat.clearTranslations();
+                        } }
+                    ] : []),
+                    ...show
+                ];
+            case 'config':
+                return [
+                    { words: ['hostname'], run: args => this.setHostname(args) },
+                    { words: ['interface'], argument: 'interface', block: true, run: args => this.enterInterface(args) },
+                    ...(isRouter ? [
+                        { words: ['no', 'interface'], argument: 'interface', run: args => this.noInterface(args) },
+                        { words: ['router', 'rip'], block: true, run: () => this.enterRouter('rip') },
+                        { words: ['no', 'router', 'rip'], run: () => this.noRouter('rip') },
+                        { words: ['router', 'ospf'], block: true, run: args => this.enterRouter('ospf', args) },
+                        { words: ['no', 'router', 'ospf'], run: () => this.noRouter('ospf') },
+                        { words: ['ip', 'dhcp', 'pool'], block: true, run: args => this.enterDhcpPool(args) },
+                        { words: ['no', 'ip', 'dhcp', 'pool'], run: args => this.noDhcpPool(args) },
+                        { words: ['ip', 'dhcp', 'excluded-address'], run: args => this.dhcpExcluded(args) },
+                        { words: ['no', 'ip', 'dhcp', 'excluded-address'], run: args => this.noDhcpExcluded(args) },
+                        { words: ['service', 'dhcp'], run: () => { d.dhcpServer.enabled = true; } },
+                        { words: ['no', 'service', 'dhcp'], run: () => { d.dhcpServer.enabled = false; } },
+                        { words: ['ip', 'route'], run: args => this.ipRoute(args) },
+                        { words: ['no', 'ip', 'route'], run: args => this.noIpRoute(args) },
+                        { words: ['ipv6', 'unicast-routing'], run: () => { d.ipv6Routing = true; } },
+                        { words: ['no', 'ipv6', 'unicast-routing'], run: () => { d.ipv6Routing = false; } },
+                        { words: ['ipv6', 'route'], run: args => this.ipv6Route(args) },
+                        { words: ['no', 'ipv6', 'route'], run: args => this.noIpv6Route(args) },
+                        { words: ['access-list'], run: args => this.accessList(args) },
+                        { words: ['no', 'access-list'], run: args => this.noAccessList(args) },
+                        { words: ['ip', 'nat', 'pool'], run: args => this.natPool(args) },
+                        { words: ['no', 'ip', 'nat', 'pool'], run: args => this.noNatPool(args) },
+                        { words: ['ip', 'nat', 'inside', 'source', 'static'], run: args => this.natStatic(args) },
+                        { words: ['no', 'ip', 'nat', 'inside', 'source', 'static'], run: args => this.noNatStatic(args) },
+                        { words: ['ip', 'nat', 'inside', 'source', 'list'], run: args => this.natSourceList(args) },
+                        { words: ['no', 'ip', 'nat', 'inside', 'source', 'list'], run: args => this.noNatSourceList(args) }
+                    ] : [
+                        { words: ['vlan'], block: true, run: args => this.enterVlan(args) },
+                        { words: ['no', 'vlan'], run: args => this.noVlan(args) }
+                    ]),
+                    { words: ['exit'], run: () => { this.mode = 'privileged'; } },
+                    { words: ['end'], run: () => this.end() }
+                ];
+            case 'config-if':
+                return [
+                    { words: ['shutdown'], run: () => this.setShutdown(true) },
+                    { words: ['no', 'shutdown'], run: () => this.setShutdown(false) },
+                    ...(isRouter ? [
+                        { words: ['ip', 'address'], run: args => this.ipAddress(args) },
+                        { words: ['no', 'ip', 'address'], run: () => this.ipAddress(null) },
+                        { words: ['ipv6', 'address'], run: args => this.ipv6Address(args) },
+                        { words: ['no', 'ipv6', 'address'], run: () => this.ipv6Address(null) },
+                        { words: ['ip', 'helper-address'], run: args => this.helperAddress(args) },
+                        { words: ['no', 'ip', 'helper-address'], run: () => this.helperAddress(null) },
+                        { words: ['ip', 'access-group'], run: args => this.accessGroup(args) },
+                        { words: ['no', 'ip', 'access-group'], run: args => this.noAccessGroup(args) },
+                        { words: ['ip', 'nat', 'inside'], run: () => { this.currentInterface.natRole = 'inside'; } },
+                        { words: ['ip', 'nat', 'outside'], run: () => { this.currentInterface.natRole = 'outside'; } },
+                        { words: ['no', 'ip', 'nat', 'inside'], run: () => this.noNatRole('inside') },
+                        { words: ['no', 'ip', 'nat', 'outside'], run: () => this.noNatRole('outside') },
+                        { words: ['encapsulation', 'dot1q'], run: args => this.encapsulation(args) },
+                        { words: ['clock', 'rate'], run: args => this.clockRate(args) },
+                        { words: ['no', 'clock', 'rate'], run: () => { this.currentInterface.clockRate = 0; } }
+                    ] : [
+                        { words: ['switchport', 'mode'], run: args => this.switchportMode(args) },
+                        { words: ['switchport', 'access', 'vlan'], run: args => this.switchportVlan('accessVlan', args) },
+                        { words: ['switchport', 'trunk', 'native', 'vlan'], run: args => this.switchportVlan('nativeVlan', args) },
+                        { words: ['switchport', 'trunk', 'allowed', 'vlan'], run: args => this.switchportAllowed(args) }
+                    ]),
+                    { words: ['interface'], argument: 'interface', block: true, run: args => this.enterInterface(args) },
+                    { words: ['exit'], run: () => { this.mode = 'config'; this.currentInterface = null; } },
+                    { words: ['end'], run: () => this.end() }
+                ];
+            case 'config-vlan':
+                return [
+                    { words: ['name'], run: args => this.vlanName(args) },
+                    { words: ['exit'], run: () => { this.mode = 'config'; this.currentVlan = null; } },
+                    { words: ['end'], run: () => this.end() }
+                ];
+            case 'config-router':
+                return [
+                    ...(this.currentProtocol === 'rip' ? [
+                        { words: ['version'], run: args => this.ripVersion(args) },
+                        { words: ['network'], run: args => this.ripNetwork(args) },
+                        { words: ['no', 'network'], run: args => this.noRipNetwork(args) },
+                        // The simulated RIPv2 never summarizes: accepted as what it already does
+                        { words: ['no', 'auto-summary'], run: () => {} }
+                    ] : [
+                        { words: ['router-id'], run: args => this.ospfRouterId(args) },
+                        { words: ['no', 'router-id'], run: () => { d.ospf.routerId = ''; } },
+                        { words: ['network'], run: args => this.ospfNetwork(args) },
+                        { words: ['no', 'network'], run: args => this.noOspfNetwork(args) }
+                    ]),
+                    { words: ['exit'], run: () => { this.mode = 'config'; this.currentProtocol = null; } },
+                    { words: ['end'], run: () => this.end() }
+                ];
+            case 'config-dhcp':
+                return [
+                    { words: ['network'], run: args => this.dhcpNetwork(args) },
+                    { words: ['default-router'], run: args => this.dhcpPoolAddress('gateway', args) },
+                    { words: ['dns-server'], run: args => this.dhcpPoolAddress('dnsServer', args) },
+                    { words: ['lease'], run: args => this.dhcpLease(args) },
+                    { words: ['exit'], run: () => { this.mode = 'config'; this.currentPool = null; } },
+                    { words: ['end'], run: () => this.end() }
+                ];
+            default:
+                return [];
+        }
+    }
+
+    end() {
+        this.mode = 'privileged';
+        this.currentInterface = null;
+        this.currentVlan = null;
+        this.currentProtocol = null;
+        this.currentPool = null;
+    }
+
+    // Accepts full or abbreviated names, with or without a space: 'fa0/1', 'FastEthernet 0/1', 's0/0/0'
+    resolveInterface(text) {
+        const parse = name => {
+            const m = name.toLowerCase().match(/^([a-z-]*)\s*([\d/.]+)$/);
+            return m ? { kind: m[1], number: m[2] } : null;
+        };
+        const wanted = parse(text);
+        if (!wanted || !wanted.kind) return null;
+        return this.device.interfaces.find(i => {
+            const own = parse(i.name);
+            return own && own.number === wanted.number && own.kind.startsWith(wanted.kind);
+        }) || null;
+    }
+
+    // Pastes configuration text (a saved running-config or a list of commands) into global
+    // configuration mode, as 'copy tftp: running-config' would. As in IOS, a command the
+    // interface, VLAN, router or DHCP pool mode does not know falls back to global
+    // configuration; indented lines under a block whose first line is not supported are
+    // skipped with it.
+    // Commands the device answered (errors, warnings) go to messages instead of applied.
+    // Returns { applied, unsupported: [{ number, text }], messages: [{ number, text, message }] }
+    importConfig(text) {
+        const result = { applied: 0, unsupported: [], messages: [] };
+        let skipBlock = false;
+        this.end();
+        this.mode = 'config';
+
+        text.split(/\r?\n/).forEach((raw, index) => {
+            const line = raw.trim();
+            const number = index + 1;
+            if (!line || line.startsWith('!') || DeviceTerminal.IMPORT_IGNORED.test(line)) return;
+            const indented = /^\s/.test(raw);
+            if (indented && skipBlock) {
+                result.unsupported.push({ number, text: line });
+                return;
+            }
+
+            const tokens = line.split(/\s+/);
+            let match = this.findCommand(tokens);
+            if (match.error && this.mode !== 'config') {
+                const previous = {
+                    mode: this.mode,
+                    currentInterface: this.currentInterface,
+                    currentVlan: this.currentVlan,
+                    currentProtocol: this.currentProtocol,
+                    currentPool: this.currentPool
+                };
+                this.end();
+                this.mode = 'config';
+                match = this.findCommand(tokens);
+                if (match.error) Object.assign(this, previous);
+            }
+            if (match.error) {
+                result.unsupported.push({ number, text: line });
+                if (!indented) skipBlock = true;
+                return;
+            }
+
+            skipBlock = false;
+            const output = match.command.run(match.args) || '';
+            // Link state notifications are not answers to the command
+            const message = output.split('\n').filter(l => l && !/^%(LINK|LINEPROTO)-/.test(l)).join(' ');
+            if (message) result.messages.push({ number, text: line, message });
+            else result.applied++;
+            // A block (interface, VLAN, routing process, DHCP pool) the device refused:
+            // its lines must not land on the previous one
+            if (message && match.command.block && !indented) {
+                this.end();
+                this.mode = 'config';
+                skipBlock = true;
+            }
+        });
+
+        this.end();
+        return result;
+    }
+
+    // --- Global configuration ---
+
+    setHostname(args) {
+        if (args.length !== 1) return '% Incomplete command.';
+        this.device.name = args[0];
+    }
+
+    enterInterface(args) {
+        const text = args.join(' ');
+        let iface = this.resolveInterface(text);
+        // Like IOS, naming a router subinterface that does not exist yet creates it
+        const sub = text.match(/^(.+)\.(\d+)$/);
+        if (!iface && sub && this.device.type === 'Router') {
+            const parent = this.resolveInterface(sub[1]);
+            const number = parseInt(sub[2], 10);
+            if (parent && number >= 1) iface = this.device.addSubinterface(parent.name, number, null);
+        }
+        if (!iface) return "% Invalid input detected at '^' marker.";
+        this.currentInterface = iface;
+        this.mode = 'config-if';
+    }
+
+    // no interface <subinterface>: physical interfaces cannot be removed
+    noInterface(args) {
+        const iface = this.resolveInterface(args.join(' '));
+        if (!iface) return "% Invalid input detected at '^' marker.";
+        if (!iface.parentName) return '% Removal of physical interfaces is not permitted';
+        this.device.removeSubinterface(iface.name);
+    }
+
+    // ip route <network> <mask> {<next-hop> | <interface>} [<distance>]
+    ipRoute(args) {
+        if (args.length < 3) return '% Incomplete command.';
+        const [network, mask, via, distanceText] = args;
+        if (!NetworkUtils.isValidIp(network) || !NetworkUtils.isValidMask(mask)) return '% Invalid input detected.';
+        if (NetworkUtils.networkAddress(network, mask) !== network) return '%Inconsistent address and mask';
+
+        let nextHop = '';
+        let exitInterface = '';
+        if (NetworkUtils.isValidIp(via)) {
+            nextHop = via;
+        } else {
+            const iface = this.resolveInterface(via);
+            if (!iface) return "% Invalid input detected at '^' marker.";
+            exitInterface = iface.name;
+        }
+
+        const distance = distanceText === undefined ? 1 : parseInt(distanceText, 10);
+        if (!(distance >= 1 && distance <= 255)) return "% Invalid input detected at '^' marker.";
+        // IOS silently accepts a route that is already configured
+        this.device.addStaticRoute(network, mask, nextHop, exitInterface, distance);
+    }
+
+    noIpRoute(args) {
+        if (args.length < 2) return '% Incomplete command.';
+        const [network, mask, via] = args;
+        const iface = via && !NetworkUtils.isValidIp(via) ? this.resolveInterface(via) : null;
+        const index = this.device.staticRoutes.findIndex(r => r.network === network && r.mask === mask &&
+            (!via || r.nextHop === via || (iface && r.exitInterface === iface.name)));
+        if (index === -1) return '%No matching route to delete';
+        this.device.removeStaticRoute(index);
+    }
+
+    // ipv6 route <prefix>/<length> {<next-hop> | <interface> [<link-local next-hop>]} [<distance>]
+    ipv6Route(args) {
+        if (args.length < 2) return '% Incomplete command.';
+        const prefix = NetworkUtils.parseIpv6Cidr(args[0]);
+        if (!prefix) return "% Invalid input detected at '^' marker.";
+        const network = NetworkUtils.ipv6Network(prefix.ip, prefix.prefixLength);
+
+        let nextHop = '';
+        let exitInterface = '';
+        let rest = args.slice(1);
+        if (NetworkUtils.isValidIpv6(rest[0])) {
+            nextHop = NetworkUtils.normalizeIpv6(rest[0]);
+            rest = rest.slice(1);
+        } else {
+            const iface = this.resolveInterface(rest[0]);
+            if (!iface) return "% Invalid input detected at '^' marker.";
+            exitInterface = iface.name;
+            rest = rest.slice(1);
+            if (rest.length > 0 && NetworkUtils.isValidIpv6(rest[0])) {
+                nextHop = NetworkUtils.normalizeIpv6(rest[0]);
+                rest = rest.slice(1);
+            }
+        }
+        if (NetworkUtils.isLinkLocalIpv6(nextHop) && !exitInterface) {
+            return '% Interface has to be specified for a link-local nexthop';
+        }
+
+        const distance = rest.length === 0 ? 1 : parseInt(rest[0], 10);
+        if (!(distance >= 1 && distance <= 255)) return "% Invalid input detected at '^' marker.";
+        this.device.addIpv6StaticRoute(network, prefix.prefixLength, nextHop, exitInterface, distance);
+    }
+
+    noIpv6Route(args) {
+        const prefix = NetworkUtils.parseIpv6Cidr(args[0] || '');
+        if (!prefix) return '% Incomplete command.';
+        const network = NetworkUtils.ipv6Network(prefix.ip, prefix.prefixLength);
+        const via = args[1];
+        const iface = via && !NetworkUtils.isValidIpv6(via) ? this.resolveInterface(via) : null;
+        const index = this.device.ipv6StaticRoutes.findIndex(r => r.network === network && r.mask === prefix.prefixLength &&
+            (!via || r.nextHop === NetworkUtils.normalizeIpv6(via) || (iface && r.exitInterface === iface.name)));
+        if (index === -1) return '%No matching route to delete';
+        this.device.removeIpv6StaticRoute(index);
+    }
+
+    // access-list <1-99> {permit|deny} <source>
+    // access-list <100-199> {permit|deny} <protocol> <source> <destination> [eq <port>]
+    accessList(args) {
+        const number = parseInt(args[0], 10);
+        if (!AccessList.isValidNumber(number)) return "% Invalid input detected at '^' marker.";
+        if (args.length < 3) return '% Incomplete command.';
+
+        const fields = new AccessList(number).parseEntry(args.slice(1));
+        if (!fields) return "% Invalid input detected at '^' marker.";
+        this.device.ensureAccessList(number).addEntry(fields);
+    }
+
+    noAccessList(args) {
+        const number = parseInt(args[0], 10);
+        if (!AccessList.isValidNumber(number)) return "% Invalid input detected at '^' marker.";
+        this.device.removeAccessList(number);
+    }
+
+    // ip nat pool <name> <start> <end> {netmask <mask> | prefix-length <n>}
+    natPool(args) {
+        if (args.length < 5) return '% Incomplete command.';
+        const [name, startIp, endIp, keyword, value] = args;
+        let mask = null;
+        if (keyword.toLowerCase() === 'netmask') mask = value;
+        else if (keyword.toLowerCase() === 'prefix-length' && parseInt(value, 10) >= 1 && parseInt(value, 10) <= 32) {
+            mask = NetworkUtils.prefixToMask(parseInt(value, 10));
+        }
+        if (!NetworkUtils.isValidIp(startIp) || !NetworkUtils.isValidIp(endIp) || !mask || !NetworkUtils.isValidMask(mask)) {
+            return "% Invalid input detected at '^' marker.";
+        }
+        if (!NetworkUtils.isSameSubnet(startIp, endIp, mask) || NetworkUtils.ipToLong(startIp) > NetworkUtils.ipToLong(endIp)) {
+            return '%End address less than starting address';
+        }
+        const nat = this.device.nat;
+        if (nat.pools.some(p => p.name === name) && !nat.removePool(name)) return `%Pool ${name} in use, cannot redefine`;
+        nat.addPool({ name, startIp, endIp, mask });
+    }
+
+    noNatPool(args) {
+        if (args.length === 0) return '% Incomplete command.';
+        const nat = this.device.nat;
+        if (!nat.pools.some(p => p.name === args[0])) return `%Pool ${args[0]} not found`;
+        if (!nat.removePool(args[0])) return `%Pool ${args[0]} in use, cannot destroy`;
+    }
+
+    // ip nat inside source static <local> <global>
+    natStatic(args) {
+        if (args.length < 2) return '% Incomplete command.';
+        if (!NetworkUtils.isValidIp(args[0]) || !NetworkUtils.isValidIp(args[1])) return "% Invalid input detected at '^' marker.";
+        if (!this.device.nat.addStatic(args[0], args[1])) return `% ${args[0]} already mapped (${args[0]} -> ${args[1]})`;
+    }
+
+    noNatStatic(args) {
+        if (args.length < 1) return '% Incomplete command.';
+        if (!this.device.nat.statics.some(s => s.local === args[0])) return '%Translation not found';
+        this.device.nat.removeStatic(args[0]);
+    }
+
+    // ip nat inside source list <acl> {pool <name> | interface <interface>} [overload]
+    natSourceList(args) {
+        const acl = parseInt(args[0], 10);
+        if (!AccessList.isValidNumber(acl)) return "% Invalid input detected at '^' marker.";
+        if (args.length < 3) return '% Incomplete command.';
+
+        const kind = args[1].toLowerCase();
+        const overload = (args[3] || '').toLowerCase() === 'overload';
+        if (args.length > (overload ? 4 : 3)) return "% Invalid input detected at '^' marker.";
+        if ('pool'.startsWith(kind)) {
+            if (!this.device.nat.pools.some(p => p.name === args[2])) return `%Pool ${args[2]} not found`;
+            this.device.nat.setRule({ acl, pool: args[2], interface: '', overload });
+        } else if ('interface'.startsWith(kind)) {
+            const iface = this.resolveInterface(args[2]);
+            if (!iface) return "% Invalid input detected at '^' marker.";
+            // Translating to an interface address is always overloaded
+            this.device.nat.setRule({ acl, pool: '', interface: iface.name, overload: true });
+        } else {
+            return "% Invalid input detected at '^' marker.";
+        }
+    }
+
+    noNatSourceList(args) {
+        const acl = parseInt(args[0], 10);
+        if (!this.device.nat.rules.some(r => r.acl === acl)) return '%Dynamic mapping not found';
+        this.device.nat.removeRule(acl);
+    }
+
+    // router rip | router ospf <process-id>
+    enterRouter(protocol, args = []) {
+        const d = this.device;
+        if (protocol === 'ospf') {
+            const processId = parseInt(args[0], 10);
+            if (!(processId >= 1 && processId <= 65535)) return '% Incomplete command.';
+            d.ospf.processId = processId;
+        }
+        d[protocol].enabled = true;
+        this.currentProtocol = protocol;
+        this.mode = 'config-router';
+    }
+
+    // Removing the process removes its configuration, as in IOS
+    noRouter(protocol) {
+        const d = this.device;
+        if (protocol === 'rip') {
+            d.rip = new RipProcess();
+        } else {
+            d.ospf = new OspfProcess();
+        }
+    }
+
+    ripVersion(args) {
+        const version = parseInt(args[0], 10);
+        if (version !== 1 && version !== 2) return "% Invalid input detected at '^' marker.";
+        this.device.rip.version = version;
+    }
+
+    ripNetwork(args) {
+        if (!NetworkUtils.isValidIp(args[0] || '')) return "% Invalid input detected at '^' marker.";
+        this.device.rip.addNetwork(args[0]); // IOS ignores a network already configured
+    }
+
+    noRipNetwork(args) {
+        if (!NetworkUtils.isValidIp(args[0] || '')) return "% Invalid input detected at '^' marker.";
+        const rip = this.device.rip;
+        const classful = NetworkUtils.networkAddress(args[0], NetworkUtils.classfulMask(args[0]));
+        if (!rip.networks.includes(classful)) return '%Can\'t find network';
+        rip.removeNetwork(classful);
+    }
+
+    ospfRouterId(args) {
+        if (!NetworkUtils.isValidIp(args[0] || '')) return "% Invalid input detected at '^' marker.";
+        this.device.ospf.routerId = args[0];
+    }
+
+    // network <address> <wildcard> area <area>
+    ospfNetwork(args) {
+        const [network, wildcard, keyword, areaText] = args;
+        if (!keyword || (keyword || '').toLowerCase() !== 'area' || areaText === undefined) return '% Incomplete command.';
+        const area = parseInt(areaText, 10);
+        if (!NetworkUtils.isValidIp(network) || !NetworkUtils.isValidIp(wildcard) || !(area >= 0)) {
+            return "% Invalid input detected at '^' marker.";
+        }
+        this.device.ospf.addNetwork(network, wildcard, area);
+    }
+
+    noOspfNetwork(args) {
+        const ospf = this.device.ospf;
+        const index = ospf.networks.findIndex(n => n.network === args[0] && n.wildcard === args[1]);
+        if (index === -1) return '%OSPF: Network not found';
+        ospf.removeNetwork(index);
+    }
+
+    // ip dhcp pool <name>: a new pool is added to the server once 'network' gives its range
+    enterDhcpPool(args) {
+        if (args.length !== 1) return '% Incomplete command.';
+        const server = this.device.dhcpServer;
+        this.currentPool = server.pools.find(p => p.name === args[0]) ||
+            { name: args[0], startIp: '', endIp: '', mask: '', gateway: '', dnsServer: '', leaseTime: 86400 };
+        server.enabled = true; // The DHCP service is on by default in IOS
+        this.mode = 'config-dhcp';
+    }
+
+    noDhcpPool(args) {
+        const server = this.device.dhcpServer;
+        if (!server.pools.some(p => p.name === args[0])) return `%Pool ${args[0] || ''} not found`;
+        server.removePool(args[0]);
+    }
+
+    // ip dhcp excluded-address <from> [<to>]
+    dhcpExcluded(args) {
+        const [from, to = from] = args;
+        if (!NetworkUtils.isValidIp(from || '') || !NetworkUtils.isValidIp(to) ||
+            NetworkUtils.ipToLong(from) > NetworkUtils.ipToLong(to)) {
+            return "% Invalid input detected at '^' marker.";
+        }
+        const server = this.device.dhcpServer;
+        if (!server.excluded.some(r => r.from === from && r.to === to)) server.addExclusion(from, to);
+        server.enabled = true;
+    }
+
+    noDhcpExcluded(args) {
+        const [from, to = from] = args;
+        const server = this.device.dhcpServer;
+        const index = server.excluded.findIndex(r => r.from === from && r.to === to);
+        if (index === -1) return '% Range not found';
+        server.removeExclusion(index);
+    }
+
+    // network <address> {<mask> | /<prefix>}: the pool serves every host of the subnet
+    dhcpNetwork(args) {
+        const [ip, maskText] = args;
+        const mask = (maskText || '').startsWith('/') ? NetworkUtils.prefixToMask(parseInt(maskText.slice(1), 10)) : maskText;
+        if (!NetworkUtils.isValidIp(ip || '') || !NetworkUtils.isValidMask(mask || '')) return "% Invalid input detected at '^' marker.";
+        const pool = this.currentPool;
+        const range = NetworkUtils.hostRange(ip, mask);
+        pool.startIp = range.first;
+        pool.endIp = range.last;
+        pool.mask = mask;
+        const server = this.device.dhcpServer;
+        if (!server.pools.includes(pool)) server.addPool(pool);
+    }
+
+    dhcpPoolAddress(field, args) {
+        if (!NetworkUtils.isValidIp(args[0] || '')) return "% Invalid input detected at '^' marker.";
+        this.currentPool[field] = args[0];
+    }
+
+    // lease {<days> [<hours> [<minutes>]] | infinite}
+    dhcpLease(args) {
+        if ((args[0] || '').toLowerCase() === 'infinite') {
+            this.currentPool.leaseTime = DeviceTerminal.INFINITE_LEASE;
+            return;
+        }
+        const [days, hours = 0, minutes = 0] = args.map(a => parseInt(a, 10));
+        if (args.length === 0 || args.length > 3 || [days, hours, minutes].some(n => !(n >= 0))) {
+            return "% Invalid input detected at '^' marker.";
+        }
+        const seconds = ((days * 24 + hours) * 60 + minutes) * 60;
+        if (seconds === 0) return "% Invalid input detected at '^' marker.";
+        this.currentPool.leaseTime = seconds;
+    }
+
+    enterVlan(args) {
+        const id = parseInt(args[0], 10);
+        if (!(id >= 1 && id <= 4094)) return "% Invalid input detected at '^' marker.";
+        this.device.addVlan(id);
+        this.currentVlan = id;
+        this.mode = 'config-vlan';
+    }
+
+    noVlan(args) {
+        const id = parseInt(args[0], 10);
+        if (id === 1) return '%Default VLAN 1 may not be deleted.';
+        this.device.removeVlan(id);
+    }
+
+    vlanName(args) {
+        if (args.length === 0) return '% Incomplete command.';
+        const vlan = this.device.vlans.find(v => v.id === this.currentVlan);
+        if (vlan) vlan.name = args.join(' ');
+    }
+
+    // --- Interface configuration ---
+
+    setShutdown(shutdown) {
+        const iface = this.currentInterface;
+        const wasUp = this.sim.isInterfaceUp(iface);
+        iface.shutdown = shutdown;
+        const isUp = this.sim.isInterfaceUp(iface);
+        if (wasUp === isUp) return '';
+
+        const state = isUp ? 'up' : (shutdown ? 'administratively down' : 'down');
+        return `%LINK-5-CHANGED: Interface ${iface.name}, changed state to ${state}\n` +
+            `%LINEPROTO-5-UPDOWN: Line protocol on Interface ${iface.name}, changed state to ${isUp ? 'up' : 'down'}`;
+    }
+
+    ipAddress(args) {
+        const iface = this.currentInterface;
+        if (args === null) {
+            iface.ip = '';
+            iface.mask = '';
+        } else {
+            if (args.length < 2) return '% Incomplete command.';
+            const [ip, mask] = args;
+            if (!NetworkUtils.isValidIp(ip) || !NetworkUtils.isValidIp(mask)) return "% Invalid input detected at '^' marker.";
+            if (NetworkUtils.validateHostAddress(ip, mask)) return `Bad mask ${mask} for address ${ip}`;
+
+            const owner = this.sim.findDeviceByIp(ip);
+            if (owner && owner.iface !== iface) return `% ${ip} is already assigned to ${owner.device.name} (${owner.iface.name})`;
+            const overlap = this.device.interfaces.find(i => i !== iface && i.ip && i.mask &&
+                NetworkUtils.subnetsOverlap(i.ip, i.mask, ip, mask));
+            if (overlap) return `% ${NetworkUtils.networkAddress(ip, mask)} overlaps with ${overlap.name}`;
+
+            iface.ip = ip;
+            iface.mask = mask;
+        }
+        // Old IP-to-MAC mappings are no longer trustworthy after readdressing
+        this.device.arpCache = [];
+        this.sim.syncDeviceAddress(this.device);
+    }
+
+    // Also used by the host shell ('netsh interface ipv6'), on the host's NIC
+    ipv6Address(args, iface = this.currentInterface) {
+        if (args === null) {
+            iface.ipv6 = '';
+        } else {
+            const address = NetworkUtils.parseIpv6Cidr(args[0] || '');
+            if (!address) return "% Invalid input detected at '^' marker.";
+            const error = NetworkUtils.validateIpv6HostAddress(address.ip, address.prefixLength);
+            if (error) return `% Invalid address ${args[0]}`;
+
+            const owner = this.sim.findDeviceByIp(address.ip);
+            if (owner && owner.iface !== iface) return `% ${address.ip} is already assigned to ${owner.device.name} (${owner.iface.name})`;
+            const overlap = this.device.interfaces.find(i => i !== iface && i.ipv6 &&
+                NetworkUtils.ipv6SubnetsOverlap(i.ipv6, i.ipv6Prefix, address.ip, address.prefixLength));
+            if (overlap) return `% ${NetworkUtils.ipv6Network(address.ip, address.prefixLength)}/${address.prefixLength} overlaps with ${overlap.name}`;
+
+            iface.ipv6 = address.ip;
+            iface.ipv6Prefix = address.prefixLength;
+        }
+        this.device.arpCache = this.device.arpCache.filter(e => !NetworkUtils.isIpv6(e.ip));
+    }
+
+    helperAddress(args) {
+        if (args === null) {
+            this.currentInterface.helperAddress = '';
+            return;
+        }
+        if (!NetworkUtils.isValidIp(args[0] || '')) return "% Invalid input detected at '^' marker.";
+        this.currentInterface.helperAddress = args[0];
+    }
+
+    // ip access-group <number> {in|out}
+    accessGroup(args) {
+        const number = parseInt(args[0], 10);
+        const direction = (args[1] || '').toLowerCase();
+        if (!AccessList.isValidNumber(number)) return "% Invalid input detected at '^' marker.";
+        if (direction !== 'in' && direction !== 'out') return '% Incomplete command.';
+        this.currentInterface[direction === 'in' ? 'aclIn' : 'aclOut'] = number;
+    }
+
+    noAccessGroup(args) {
+        const direction = (args[1] || args[0] || '').toLowerCase();
+        if (direction !== 'in' && direction !== 'out') return '% Incomplete command.';
+        this.currentInterface[direction === 'in' ? 'aclIn' : 'aclOut'] = null;
+    }
+
+    noNatRole(role) {
+        if (this.currentInterface.natRole === role) this.currentInterface.natRole = '';
+    }
+
+    encapsulation(args) {
+        const iface = this.currentInterface;
+        if (!iface.parentName) return '% Configuring IEEE 802.1Q encapsulation is only allowed on subinterfaces.';
+        const vlan = parseInt(args[0], 10);
+        if (!(vlan >= 1 && vlan <= 4094)) return "% Invalid input detected at '^' marker.";
+        const clash = this.device.interfaces.find(i => i !== iface && i.parentName === iface.parentName && i.encapsulationVlan === vlan);
+        if (clash) return `% Configuration of multiple subinterfaces of the same main interface with the same VID (${vlan}) is not permitted.`;
+        iface.encapsulationVlan = vlan;
+    }
+
+    clockRate(args) {
+        const iface = this.currentInterface;
+        if (iface.type !== 'serial') return "% Invalid input detected at '^' marker.";
+        const rate = parseInt(args[0], 10);
+        if (!(rate > 0)) return '% Incomplete command.';
+        iface.clockRate = rate;
+        if (iface.serialRole === 'DTE') return '%Warning: clock rate is only used on the DCE end of the cable';
+    }
+
+    switchportMode(args) {
+        const mode = (args[0] || '').toLowerCase();
+        if (mode !== 'access' && mode !== 'trunk') return "% Invalid input detected at '^' marker.";
+        this.currentInterface.mode = mode;
+    }
+
+    switchportVlan(field, args) {
+        const vlan = parseInt(args[0], 10);
+        if (!(vlan >= 1 && vlan <= 4094)) return "% Invalid input detected at '^' marker.";
+        this.currentInterface[field] = vlan;
+        // Like IOS, assigning a port to a VLAN that does not exist creates it
+        if (!this.device.hasVlan(vlan)) {
+            this.device.addVlan(vlan);
+            return `% Access VLAN does not exist. Creating vlan ${vlan}`;
+        }
+    }
+
+    switchportAllowed(args) {
+        const list = NetworkUtils.parseVlanList(args.join(''));
+        if (list === null) return '% Bad VLAN list';
+        this.currentInterface.allowedVlans = list;
+    }
+
+    // --- show commands ---
+
+    showIpInterfaceBrief() {
+        const rows = this.device.interfaces.filter(i => i.type !== 'console').map(i => {
+            const up = this.sim.isInterfaceUp(i);
+            const status = i.shutdown ? 'administratively down' : (up ? 'up' : 'down');
+            return i.name.padEnd(23) + (i.ip || 'unassigned').padEnd(16) + 'YES ' +
+                (i.ip ? (i.dhcp ? 'DHCP  ' : 'manual') : 'unset ') + ' ' + status.padEnd(22) + (up ? 'up' : 'down');
+        });
+        return ['Interface              IP-Address      OK? Method Status                Protocol', ...rows].join('\n');
+    }
+
+    showIpRoute() {
+        const table = this.sim.getRoutingTable(this.device);
+        const lines = [
+            'Codes: C - connected, S - static, R - RIP, O - OSPF',
+            ''
+        ];
+        const defaultRoute = table.find(r => r.network === '0.0.0.0' && r.prefixLength === 0);
+        lines.push(defaultRoute
+            ? `Gateway of last resort is ${defaultRoute.nextHop || defaultRoute.exitInterface} to network 0.0.0.0`
+            : 'Gateway of last resort is not set');
+        lines.push('');
+
+        table.forEach(r => {
+            const prefix = `${r.code}    ${r.network}/${r.prefixLength}`;
+            if (r.code === 'C' || !r.nextHop) {
+                lines.push(`${prefix} is directly connected, ${r.exitInterface}`);
+            } else {
+                const via = [r.nextHop ? `via ${r.nextHop}` : '', r.exitInterface].filter(v => v).join(', ');
+                lines.push(`${prefix} [${r.distance}/${r.metric}] ${via}`);
+            }
+        });
+        return lines.join('\n');
+    }
+
+    showArp() {
+        this.sim.ageArpCache(this.device);
+        const now = Date.now();
+        const rows = this.device.arpCache.filter(e => !NetworkUtils.isIpv6(e.ip)).map(e =>
+            `Internet  ${e.ip.padEnd(17)}${String(Math.floor((now - e.lastSeen) / 60000)).padEnd(11)}${e.mac.padEnd(16)}ARPA   ${e.iface}`);
+        // The router's own addresses are listed too
+        this.device.interfaces.filter(i => i.ip).forEach(i =>
+            rows.push(`Internet  ${i.ip.padEnd(17)}${'-'.padEnd(11)}${i.mac.padEnd(16)}ARPA   ${i.name}`));
+        return ['Protocol  Address          Age (min)  Hardware Addr   Type   Interface', ...rows].join('\n');
+    }
+
+    showIpv6InterfaceBrief() {
+        const lines = [];
+        this.device.interfaces.filter(i => i.type !== 'console').forEach(i => {
+            const up = this.sim.isInterfaceUp(i);
+            const status = i.shutdown ? 'administratively down' : (up ? 'up' : 'down');
+            lines.push(`${i.name.padEnd(23)}[${status}/${up ? 'up' : 'down'}]`);
+            if (i.ipv6) {
+                lines.push(`    ${i.linkLocal}`, `    ${i.ipv6}`);
+            } else {
+                lines.push('    unassigned');
+            }
+        });
+        return lines.join('\n');
+    }
+
+    showIpv6Route() {
+        const table = this.sim.getIpv6RoutingTable(this.device);
+        const lines = [`IPv6 Routing Table - ${table.length} entries`, 'Codes: C - Connected, S - Static', ''];
+        table.forEach(r => {
+            lines.push(`${r.code}   ${r.network}/${r.prefixLength} [${r.distance}/${r.metric}]`);
+            lines.push(r.code === 'C' || !r.nextHop
+                ? `     via ${r.exitInterface}, directly connected`
+                : `     via ${r.nextHop}${r.exitInterface ? `, ${r.exitInterface}` : ''}`);
+        });
+        return lines.join('\n');
+    }
+
+    showIpv6Neighbors() {
+        this.sim.ageArpCache(this.device);
+        const now = Date.now();
+        const rows = this.device.arpCache.filter(e => NetworkUtils.isIpv6(e.ip)).map(e =>
+            `${e.ip.padEnd(40)}${String(Math.floor((now - e.lastSeen) / 60000)).padEnd(4)}${e.mac.padEnd(15)}REACH ${e.iface}`);
+        return ['IPv6 Address                              Age Link-layer Addr State Interface', ...rows].join('\n');
+    }
+
+    showAccessLists() {
+        const lines = [];
+        this.device.accessLists.forEach(acl => {
+            lines.push(`${acl.type === 'standard' ? 'Standard' : 'Extended'} IP access list ${acl.number}`);
+            acl.entries.forEach(e => lines.push(`    ${e.sequence} ${acl.formatEntry(e)}${e.matches > 0 ? ` (${e.matches} matches)` : ''}`));
+        });
+        return lines.join('\n');
+    }
+
+    showIpNatTranslations() {
+        const rows = this.device.nat.listTranslations().map(t =>
+            `${t.protocol.padEnd(5)}${t.insideGlobal.padEnd(22)}${t.insideLocal.padEnd(22)}${t.outsideLocal.padEnd(22)}${t.outsideGlobal}`);
+        return ['Pro  Inside global         Inside local          Outside local         Outside global', ...rows].join('\n');
+    }
+
+    showMacAddressTable() {
+        this.sim.ageMacTable(this.device);
+        const rows = this.device.macTable.map(e =>
+            `${String(e.vlan).padStart(4)}    ${e.mac.padEnd(19)}DYNAMIC     ${e.port}`);
+        return [
+            '          Mac Address Table',
+            '-------------------------------------------',
+            '',
+            'Vlan    Mac Address       Type        Ports',
+            '----    -----------       --------    -----',
+            ...rows
+        ].join('\n');
+    }
+
+    showVlanBrief() {
+        const rows = this.device.vlans.map(v => {
+            const ports = this.device.interfaces
+                .filter(i => i.type !== 'console' && i.mode === 'access' && i.accessVlan === v.id)
+                .map(i => i.name.replace('FastEthernet', 'Fa'));
+            return `${String(v.id).padEnd(5)}${v.name.padEnd(33)}active    ${ports.join(', ')}`;
+        });
+        return [
+            'VLAN Name                             Status    Ports',
+            '---- -------------------------------- --------- -------------------------------',
+            ...rows
+        ].join('\n');
+    }
+
+    showRunningConfig() {
+        const d = this.device;
+        const lines = ['Building configuration...', '', 'Current configuration:', '!', `hostname ${d.name}`, '!'];
+        if (d.ipv6Routing) lines.push('ipv6 unicast-routing', '!');
+
+        if (d.type === 'Switch') {
+            d.vlans.filter(v => v.id !== 1).forEach(v => lines.push(`vlan ${v.id}`, ` name ${v.name}`, '!'));
+        }
+
+        d.interfaces.filter(i => i.type !== 'console').forEach(i => {
+            lines.push(`interface ${i.name}`);
+            if (d.type === 'Switch') {
+                if (i.mode === 'trunk') {
+                    lines.push(' switchport mode trunk');
+                    if (i.nativeVlan !== 1) lines.push(` switchport trunk native vlan ${i.nativeVlan}`);
+                    if (i.allowedVlans !== 'all') lines.push(` switchport trunk allowed vlan ${NetworkUtils.formatVlanList(i.allowedVlans)}`);
+                } else if (i.accessVlan !== 1) {
+                    lines.push(` switchport access vlan ${i.accessVlan}`);
+                }
+            } else {
+                if (i.encapsulationVlan) lines.push(` encapsulation dot1Q ${i.encapsulationVlan}`);
+                lines.push(i.ip ? ` ip address ${i.ip} ${i.mask}` : ' no ip address');
+                if (i.ipv6) lines.push(` ipv6 address ${i.ipv6}/${i.ipv6Prefix}`);
+                if (i.helperAddress) lines.push(` ip helper-address ${i.helperAddress}`);
+                if (i.aclIn) lines.push(` ip access-group ${i.aclIn} in`);
+                if (i.aclOut) lines.push(` ip access-group ${i.aclOut} out`);
+                if (i.natRole) lines.push(` ip nat ${i.natRole}`);
+                if (i.clockRate) lines.push(` clock rate ${i.clockRate}`);
+            }
+            if (i.shutdown) lines.push(' shutdown');
+            lines.push('!');
+        });
+
+        if (d.type === 'Router') {
+            if (d.rip.enabled) {
+                lines.push('router rip', ` version ${d.rip.version}`);
+                d.rip.networks.forEach(n => lines.push(` network ${n}`));
+                lines.push('!');
+            }
+            if (d.ospf.enabled) {
+                lines.push(`router ospf ${d.ospf.processId}`);
+                if (d.ospf.routerId) lines.push(` router-id ${d.ospf.routerId}`);
+                d.ospf.networks.forEach(n => lines.push(` network ${n.network} ${n.wildcard} area ${n.area}`));
+                lines.push('!');
+            }
+            d.nat.pools.forEach(p => lines.push(`ip nat pool ${p.name} ${p.startIp} ${p.endIp} netmask ${p.mask}`));
+            d.nat.rules.forEach(r => lines.push(`ip nat inside source list ${r.acl} ${r.pool ? `pool ${r.pool}` : `interface ${r.interface}`}${r.overload ? ' overload' : ''}`));
+            d.nat.statics.forEach(s => lines.push(`ip nat inside source static ${s.local} ${s.global}`));
+            d.staticRoutes.forEach(r => {
+                const via = [r.nextHop, r.exitInterface].filter(v => v).join(' ');
+                lines.push(`ip route ${r.network} ${r.mask} ${via}${r.distance !== 1 ? ` ${r.distance}` : ''}`);
+            });
+            d.ipv6StaticRoutes.forEach(r => {
+                const via = [r.exitInterface, r.nextHop].filter(v => v).join(' ');
+                lines.push(`ipv6 route ${r.network}/${r.mask} ${via}${r.distance !== 1 ? ` ${r.distance}` : ''}`);
+            });
+            d.accessLists.forEach(acl => acl.entries.forEach(e => lines.push(`access-list ${acl.number} ${acl.formatEntry(e)}`)));
+            const server = d.dhcpServer;
+            if (server.enabled || server.pools.length > 0 || server.excluded.length > 0) {
+                // An IOS pool serves its whole subnet: a narrower range is written as exclusions around it
+                const excluded = [...server.excluded];
+                const exclude = (from, to) => {
+                    if (!excluded.some(r => r.from === from && r.to === to)) excluded.push({ from, to });
+                };
+                server.pools.forEach(p => {
+                    const range = NetworkUtils.hostRange(p.startIp, p.mask);
+                    const start = NetworkUtils.ipToLong(p.startIp);
+                    const end = NetworkUtils.ipToLong(p.endIp);
+                    if (start > NetworkUtils.ipToLong(range.first)) exclude(range.first, NetworkUtils.longToIp(start - 1));
+                    if (end < NetworkUtils.ipToLong(range.last)) exclude(NetworkUtils.longToIp(end + 1), range.last);
+                });
+                excluded.forEach(r => lines.push(`ip dhcp excluded-address ${r.from}${r.to !== r.from ? ` ${r.to}` : ''}`));
+                server.pools.forEach(p => {
+                    lines.push(`ip dhcp pool ${p.name}`, ` network ${NetworkUtils.networkAddress(p.startIp, p.mask)} ${p.mask}`);
+                    if (p.gateway) lines.push(` default-router ${p.gateway}`);
+                    if (p.dnsServer) lines.push(` dns-server ${p.dnsServer}`);
+                    if (p.leaseTime !== 86400) {
+                        const minutes = Math.max(1, Math.round(p.leaseTime / 60));
+                        lines.push(` lease ${Math.floor(minutes / 1440)} ${Math.floor(minutes / 60) % 24} ${minutes % 60}`);
+                    }
+                });
+                if (!server.enabled) lines.push('no service dhcp');
+            }
+            lines.push('!');
+        }
+
+        lines.push('end');
+        return lines.join('\n');
+    }
+
+    // --- Connectivity ---
+
+    ping(args) {
+        if (args.length === 0) return '% Incomplete command.';
+        const host = NetworkUtils.isValidIpv6(args[0]) ? NetworkUtils.normalizeIpv6(args[0]) : args[0];
+        if (!NetworkUtils.isValidIp(host) && !NetworkUtils.isValidIpv6(host)) return '% Unrecognized host or address, or protocol not running.';
+
+        const lines = ['Type escape sequence to abort.', `Sending 5, 100-byte ICMP Echos to ${host}, timeout is 2 seconds:`];
+        const owner = this.sim.findDeviceByIp(host) || this.sim.findNatInsideHost(host);
+        let marks = '';
+        for (let seq = 0; seq < 5; seq++) {
+            if (owner && owner.device === this.device) {
+                marks += '!';
+                continue;
+            }
+            const attempt = owner ? this.sim.resolvePingPath(this.device, owner.device, [host]) : null;
+            if (attempt) this.sim.countAclMatches(attempt.request, attempt.reply);
+            if (attempt && attempt.request.prohibited) marks += 'U';
+            else marks += attempt && attempt.success && !this.sim.lostToArp(attempt) ? '!' : '.';
+        }
+        const received = marks.split('').filter(m => m === '!').length;
+        lines.push(marks);
+        lines.push(`Success rate is ${received * 20} percent (${received}/5)` +
+            (received > 0 ? ', round-trip min/avg/max = 1/2/4 ms' : ''));
+        return lines.join('\n');
+    }
+
+    traceroute(args) {
+        if (args.length === 0) return '% Incomplete command.';
+        const host = NetworkUtils.isValidIpv6(args[0]) ? NetworkUtils.normalizeIpv6(args[0]) : args[0];
+        if (!NetworkUtils.isValidIp(host) && !NetworkUtils.isValidIpv6(host)) return '% Unrecognized host or address, or protocol not running.';
+
+        const trace = this.sim.traceRoute(this.device, host);
+        const lines = ['Type escape sequence to abort.', `Tracing the route to ${host}`, ''];
+        trace.hops.forEach(hop => {
+            lines.push(hop.timedOut
+                ? `${String(hop.ttl).padStart(3)} * * *`
+                : `${String(hop.ttl).padStart(3)} ${hop.ip} ${hop.rtts.map(ms => hop.prohibited ? '!A' : `${ms} msec`).join(' ')}`);
+        });
+        return lines.join('\n');
+    }
+
+    // --- Host shell ---
+
+    runHostCommand(tokens) {
+        const command = tokens[0].toLowerCase();
+        const arg = (tokens[1] || '').toLowerCase();
+        const d = this.device;
+
+        switch (command) {
+            case 'help':
+                return {
+                    output: 'arp -a | arp -d\ncls\nipconfig [/all | /renew | /release]\n' +
+                        'netsh interface ipv6 {add | delete} address <dirección>/<prefijo>\n' +
+                        'netsh interface ipv6 {add | delete} route ::/0 <puerta de enlace>\nping <host>\ntracert <host>',
+                    clear: false
+                };
+            case 'cls':
+            case 'clear':
+                return { output: '', clear: true };
+            case 'ipconfig':
+                return { output: this.ipconfig(arg), clear: false };
+            case 'netsh':
+                return { output: this.netsh(tokens.slice(1)), clear: false };
+            case 'ping':
+                if (!tokens[1]) return { output: 'Uso: ping <nombre de host o dirección IP>', clear: false };
+                return { output: this.sim.pingHost(d.id, tokens[1]).msg, clear: false };
+            case 'tracert':
+                if (!tokens[1]) return { output: 'Uso: tracert <nombre de host o dirección IP>', clear: false };
+                return { output: this.sim.tracertHost(d.id, tokens[1]).msg, clear: false };
+            case 'arp':
+                if (arg === '-a') return { output: this.arpTable(), clear: false };
+                if (arg === '-d') {
+                    d.arpCache = [];
+                    return { output: '', clear: false };
+                }
+                return { output: 'Uso: arp -a | arp -d', clear: false };
+            default:
+                return {
+                    output: `"${tokens[0]}" no se reconoce como un comando interno o externo,\nprograma o archivo por lotes ejecutable.`,
+                    clear: false
+                };
+        }
+    }
+
+    // Static IPv6 settings of the host's NIC, as the router's 'ipv6 address':
+    // netsh interface ipv6 {add | delete} address <address>/<prefix>
+    // netsh interface ipv6 {add | delete} route ::/0 <gateway>
+    netsh(args) {
+        const d = this.device;
+        const nic = d.interfaces[0];
+        const [context, family, verb, object, value, gateway] = args.map(a => a.toLowerCase());
+        const usage = 'Uso: netsh interface ipv6 {add | delete} address <dirección>/<prefijo>\n' +
+            '     netsh interface ipv6 {add | delete} route ::/0 <puerta de enlace>';
+        if (!nic || context !== 'interface' || family !== 'ipv6' || !['add', 'delete'].includes(verb)) return usage;
+
+        if (object === 'address') {
+            if (verb === 'delete') {
+                if (!nic.ipv6 || NetworkUtils.normalizeIpv6(value || '') !== nic.ipv6) return 'El elemento no se encuentra.';
+                this.ipv6Address(null, nic);
+                return 'Aceptar.';
+            }
+            if (!value) return usage;
+            const error = this.ipv6Address([value], nic);
+            if (error) return `El parámetro no es correcto: ${error.replace(/^% /, '')}`;
+            // A fixed address replaces the one SLAAC gave the NIC
+            nic.ipv6Autoconfig = false;
+            return 'Aceptar.';
+        }
+
+        if (object === 'route' && value === '::/0') {
+            if (verb === 'delete') {
+                d.ipv6Gateway = '';
+                return 'Aceptar.';
+            }
+            const address = NetworkUtils.normalizeIpv6(gateway || '');
+            if (!address) return usage;
+            // Like the config form: a link-local gateway or a global one on the NIC's prefix
+            if (!NetworkUtils.isLinkLocalIpv6(address) && !(nic.ipv6 && NetworkUtils.isSameIpv6Subnet(address, nic.ipv6, nic.ipv6Prefix))) {
+                return `El parámetro no es correcto: la puerta de enlace ${address} está fuera del prefijo de ${nic.name}`;
+            }
+            d.ipv6Gateway = address;
+            return 'Aceptar.';
+        }
+        return usage;
+    }
+
+    ipconfig(option) {
+        const d = this.device;
+        const nic = d.interfaces[0];
+        if (!nic) return '';
+
+        if (option === '/renew') {
+            const result = this.sim.requestDhcp(d);
+            if (!result.success) return `Se produjo un error al renovar la interfaz ${nic.name}: no se puede contactar con el servidor DHCP.`;
+        } else if (option === '/release') {
+            if (!nic.dhcp) return 'La operación no se puede realizar en el adaptador porque no tiene DHCP habilitado.';
+            this.sim.releaseDhcp(d);
+        } else if (option && option !== '/all') {
+            return `Error: opción no reconocida ${option}`;
+        }
+
+        // Dot leaders on fixed columns, like 'Dirección IPv4. . . . . : '
+        const field = (label, value) => {
+            let text = label;
+            for (let col = label.length; col < 40; col++) text += col % 2 === 1 ? '.' : ' ';
+            return `   ${text} : ${value}`;
+        };
+        const lines = ['', 'Configuración IP de Windows', '', `Adaptador de Ethernet ${nic.name}:`, ''];
+        if (!this.sim.isInterfaceUp(nic)) {
+            lines.push(field('Estado de los medios', 'medios desconectados'));
+            return lines.join('\n');
+        }
+        if (option === '/all') {
+            lines.push(field('Dirección física', nic.mac));
+            lines.push(field('DHCP habilitado', nic.dhcp ? 'sí' : 'no'));
+            lines.push(field('Autoconfiguración IPv6 (SLAAC)', nic.ipv6Autoconfig ? 'sí' : 'no'));
+        }
+        if (nic.ipv6) lines.push(field('Dirección IPv6', nic.ipv6));
+        lines.push(field('Vínculo: dirección IPv6 local', nic.linkLocal));
+        lines.push(field('Dirección IPv4', nic.ip || '0.0.0.0'));
+        lines.push(field('Máscara de subred', nic.mask || '0.0.0.0'));
+        // Both default gateways share the field, IPv6 first
+        const gateways = [d.ipv6Gateway, d.gateway].filter(g => g);
+        lines.push(field('Puerta de enlace predeterminada', gateways[0] || ''));
+        gateways.slice(1).forEach(g => lines.push(`${' '.repeat(46)}${g}`));
+        if (option === '/all') lines.push(field('Servidores DNS', d.dnsServer));
+        return lines.join('\n');
+    }
+
+    arpTable() {
+        const d = this.device;
+        this.sim.ageArpCache(d);
+        // IPv6 neighbors share the cache but are not ARP entries
+        const arpEntries = d.arpCache.filter(e => !NetworkUtils.isIpv6(e.ip));
+        if (arpEntries.length === 0) return 'No se encontraron entradas ARP.';
+
+        const lines = [];
+        d.interfaces.filter(i => i.ip).forEach(i => {
+            const entries = arpEntries.filter(e => e.iface === i.name);
+            if (entries.length === 0) return;
+            lines.push('', `Interfaz: ${i.ip} --- ${i.name}`, '  Dirección de Internet          Dirección física      Tipo');
+            entries.forEach(e => lines.push(`  ${e.ip.padEnd(31)}${e.mac.replace(/\./g, '').replace(/(..)(?!$)/g, '$1-').padEnd(22)}dinámico`));
+        });
+        return lines.join('\n');
+    }
+}
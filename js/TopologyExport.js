@@ -0,0 +1,216 @@
+// Vector exports of the topology built from the model alone (devices, cables, text labels),
+// so they need no external script and no DOM: an SVG drawing like the canvas, and a
+// Graphviz DOT graph for documentation tools. The canvas takes its cable styles and link
+// lights from here too, so both always look the same.
+class TopologyExport {
+    static FONT = 'Inter, Helvetica, Arial, sans-serif';
+    static LINK_LIGHT_COLORS = { 'up': '#10b981', 'down': '#ef4444', 'admin-down': '#f59e0b' };
+    static CABLE_NAMES = { straight: 'Cable directo', crossover: 'Cable cruzado', serial: 'Cable serial', console: 'Cable de consola' };
+
+    // Canvas colours of the dark and light themes (css/style.css)
+    static THEMES = {
+        dark: {
+            background: '#0f172a', panel: '#1e293b', border: '#2563eb', icon: '#ffffff', text: '#f8fafc',
+            labelBackground: 'rgba(15, 23, 42, 0.8)', ip: '#10b981', ipBackground: 'rgba(15, 23, 42, 0.8)',
+            note: '#f8fafc', noteBackground: 'rgba(59, 130, 246, 0.2)', noteBorder: 'rgba(59, 130, 246, 0.4)'
+        },
+        light: {
+            background: '#f1f5f9', panel: '#ffffff', border: '#e2e8f0', icon: '#2563eb', text: '#0f172a',
+            labelBackground: 'none', ip: '#2563eb', ipBackground: '#eff6ff',
+            note: '#0f172a', noteBackground: 'rgba(59, 130, 246, 0.2)', noteBorder: 'rgba(59, 130, 246, 0.4)'
+        }
+    };
+
+    // Device icons as strokes in a 24x24 box (the canvas uses Font Awesome glyphs)
+    static ICONS = {
+        PC: '<rect x="2" y="3" width="20" height="13" rx="1.5"/><path d="M12 16v4M8 21h8"/>',
+        Laptop: '<rect x="4" y="5" width="16" height="11" rx="1.5"/><path d="M2 19h20"/>',
+        Server: '<rect x="4" y="2" width="16" height="6" rx="1"/><rect x="4" y="9" width="16" height="6" rx="1"/>' +
+            '<rect x="4" y="16" width="16" height="6" rx="1"/><path d="M7 5h.01M7 12h.01M7 19h.01"/>',
+        Router: '<circle cx="12" cy="12" r="10"/><path d="M12 6v12M6 12h12M9.5 8.5 12 6l2.5 2.5M9.5 15.5 12 18l2.5-2.5' +
+            'M8.5 9.5 6 12l2.5 2.5M15.5 9.5 18 12l-2.5 2.5"/>',
+        Switch: '<rect x="2" y="5" width="20" height="14" rx="2"/><path d="M6 10h11M14.5 7.5 17 10l-2.5 2.5M18 14H7M9.5 11.5 7 14l2.5 2.5"/>'
+    };
+
+    // Stroke of a cable on the canvas, from the interface at either end
+    static cableStyle(iface) {
+        if (iface.linkFailed) return { stroke: '#6b7280', dash: '2,6' }; // Cut cable: faded, sparse dashes
+        if (iface.type === 'console') return { stroke: '#38bdf8', dash: '3,3' };
+        if (iface.cable === 'crossover') return { stroke: '#10b981', dash: '8,4' };
+        if (iface.type === 'serial') return { stroke: '#ef4444', dash: '5,5' };
+        return { stroke: '#10b981', dash: null };
+    }
+
+    // 'up', 'down' (protocol down) or 'admin-down' (shutdown)
+    static linkStatus(sim, iface) {
+        if (iface.shutdown) return 'admin-down';
+        return sim.isInterfaceUp(iface) ? 'up' : 'down';
+    }
+
+    // Triangle near (x1, y1) pointing towards (x2, y2): the link light of that end
+    static linkLightPoints(x1, y1, x2, y2) {
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const dist = 60; // Clear of the device labels
+        const size = 5;
+        const tx = x1 + dist * Math.cos(angle);
+        const ty = y1 + dist * Math.sin(angle);
+        return [0, 2.5, -2.5].map(turn => `${tx + size * Math.cos(angle + turn)},${ty + size * Math.sin(angle + turn)}`).join(' ');
+    }
+
+    // One entry per cable (a console and an Ethernet cable may join the same pair)
+    static cables(sim) {
+        const cables = [];
+        const seen = new Set();
+        sim.devices.forEach(d1 => d1.interfaces.forEach(i1 => {
+            if (!i1.connectedDeviceId) return;
+            const d2 = sim.getDevice(i1.connectedDeviceId);
+            const i2 = d2 && d2.getInterface(i1.connectedInterfaceName);
+            if (!i2) return;
+            const key = [`${d1.id}:${i1.name}`, `${d2.id}:${i2.name}`].sort().join('-');
+            if (seen.has(key)) return;
+            seen.add(key);
+            cables.push({ d1, i1, d2, i2 });
+        }));
+        return cables;
+    }
+
+    // Addresses shown under a device: every router interface, the host address otherwise
+    static addressLabel(d) {
+        if (d.type === 'Router') return d.interfaces.filter(i => i.ip).map(i => i.ip).join(' | ');
+        return d.ip || '';
+    }
+
+    static escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Standalone SVG document of the whole topology. theme: 'dark' | 'light'
+    static svg(sim, theme = 'dark') {
+        const colors = TopologyExport.THEMES[theme] || TopologyExport.THEMES.dark;
+        const esc = TopologyExport.escapeXml;
+        // Rough text width, enough to size label backgrounds and the drawing bounds
+        const textWidth = (text, size) => String(text).length * size * 0.6;
+
+        const parts = [];
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        const extend = (x1, y1, x2, y2) => {
+            bounds.minX = Math.min(bounds.minX, x1);
+            bounds.minY = Math.min(bounds.minY, y1);
+            bounds.maxX = Math.max(bounds.maxX, x2);
+            bounds.maxY = Math.max(bounds.maxY, y2);
+        };
+
+        TopologyExport.cables(sim).forEach(({ d1, i1, d2, i2 }) => {
+            const style = TopologyExport.cableStyle(i1);
+            const fault = sim.getLinkFault(d1, i1, d2, i2);
+            const title = `${TopologyExport.CABLE_NAMES[i1.cable] || 'Cable'}: ${d1.name} ${i1.name} ↔ ${d2.name} ${i2.name}` +
+                (fault && i1.type !== 'console' ? ` (${fault})` : '');
+            parts.push(`<line x1="${d1.x}" y1="${d1.y}" x2="${d2.x}" y2="${d2.y}" stroke="${style.stroke}" stroke-width="2"` +
+                `${style.dash ? ` stroke-dasharray="${style.dash}"` : ''}><title>${esc(title)}</title></line>`);
+            if (i1.linkFailed) {
+                parts.push(`<text x="${(d1.x + d2.x) / 2}" y="${(d1.y + d2.y) / 2}" fill="#ef4444" font-size="16" ` +
+                    'text-anchor="middle" dominant-baseline="central">✕</text>');
+            }
+            if (i1.type === 'console') return; // Console cables carry no traffic: no link lights
+            [[d1, i1, d2], [d2, i2, d1]].forEach(([from, iface, to]) => {
+                const status = TopologyExport.linkStatus(sim, iface);
+                parts.push(`<polygon points="${TopologyExport.linkLightPoints(from.x, from.y, to.x, to.y)}" ` +
+                    `fill="${TopologyExport.LINK_LIGHT_COLORS[status]}"/>`);
+            });
+        });
+
+        sim.devices.forEach(d => {
+            const name = d.name;
+            const address = TopologyExport.addressLabel(d);
+            const nameWidth = textWidth(name, 13) + 12;
+            const addressWidth = textWidth(address, 11) + 8;
+            extend(d.x - Math.max(30, nameWidth / 2, addressWidth / 2), d.y - 30, d.x + Math.max(30, nameWidth / 2, addressWidth / 2), d.y + 70);
+
+            const device = [
+                `<rect x="-25" y="-25" width="50" height="50" rx="12" fill="${colors.panel}" stroke="${d.failed ? '#ef4444' : colors.border}" stroke-width="2"/>`,
+                `<g transform="translate(-15 -15) scale(1.25)" fill="none" stroke="${colors.icon}" stroke-width="1.8" ` +
+                    `stroke-linecap="round" stroke-linejoin="round">${TopologyExport.ICONS[d.type] || ''}</g>`,
+                `<rect x="${-nameWidth / 2}" y="30" width="${nameWidth}" height="20" rx="4" fill="${colors.labelBackground}"/>`,
+                `<text y="44" text-anchor="middle" font-size="13" font-weight="600" fill="${colors.text}">${esc(name)}</text>`
+            ];
+            if (address) {
+                device.push(`<rect x="${-addressWidth / 2}" y="53" width="${addressWidth}" height="16" rx="4" fill="${colors.ipBackground}"/>`,
+                    `<text y="65" text-anchor="middle" font-size="11" fill="${colors.ip}">${esc(address)}</text>`);
+            }
+            parts.push(`<g transform="translate(${d.x} ${d.y})"${d.failed ? ' opacity="0.45"' : ''}><title>${esc(`${name} (${d.type})`)}</title>` +
+                `${device.join('')}</g>`);
+        });
+
+        // Text labels are anchored at their top-left corner
+        sim.textLabels.forEach(lbl => {
+            const width = textWidth(lbl.text, 14) + 16;
+            extend(lbl.x, lbl.y, lbl.x + width, lbl.y + 26);
+            parts.push(`<g transform="translate(${lbl.x} ${lbl.y})"><rect width="${width}" height="26" rx="4" ` +
+                `fill="${colors.noteBackground}" stroke="${colors.noteBorder}"/>` +
+                `<text x="8" y="18" font-size="14" fill="${colors.note}">${esc(lbl.text)}</text></g>`);
+        });
+
+        if (bounds.minX === Infinity) extend(0, 0, 200, 100);
+        const margin = 40;
+        const x = Math.floor(bounds.minX - margin);
+        const y = Math.floor(bounds.minY - margin);
+        const width = Math.ceil(bounds.maxX - bounds.minX + 2 * margin);
+        const height = Math.ceil(bounds.maxY - bounds.minY + 2 * margin);
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}" font-family="${TopologyExport.FONT}">`,
+            `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${colors.background}"/>`,
+            ...parts,
+            '</svg>'
+        ].join('\n');
+    }
+
+    // Graphviz graph: one node per device (name, type, addresses) and one edge per cable with
+    // the interface at each end. Nodes keep their canvas position: 'neato -n2' draws the same
+    // layout, 'dot' lays the graph out again.
+    static dot(sim, title = 'red') {
+        const q = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+        const pos = (x, y) => q(`${Math.round(x)},${Math.round(-y)}!`); // Graphviz y grows upwards
+        const shapes = { Router: 'ellipse', Switch: 'box', Server: 'box3d', PC: 'box', Laptop: 'box' };
+        const attrs = list => `[${Object.entries(list).filter(([, v]) => v !== null).map(([k, v]) => `${k}=${v}`).join(', ')}]`;
+
+        const lines = [
+            `graph ${q(title)} {`,
+            `    graph ${attrs({ overlap: 'false', splines: 'true', fontname: q('Helvetica') })};`,
+            `    node ${attrs({ fontname: q('Helvetica'), fontsize: 10, style: q('rounded,filled'), fillcolor: q('#eff6ff'), color: q('#2563eb') })};`,
+            `    edge ${attrs({ fontname: q('Helvetica'), fontsize: 8 })};`
+        ];
+
+        sim.devices.forEach(d => {
+            const addresses = d.interfaces.filter(i => i.ip || i.ipv6).map(i => [
+                i.ip ? `${i.ip}${i.mask ? `/${NetworkUtils.maskToPrefix(i.mask)}` : ''}` : '',
+                i.ipv6 ? `${i.ipv6}/${i.ipv6Prefix}` : ''
+            ].filter(a => a).join(' '));
+            lines.push(`    ${q(`d${d.id}`)} ${attrs({
+                label: q([d.name, d.type, ...addresses].join('\n')),
+                shape: shapes[d.type] || 'box',
+                pos: pos(d.x, d.y),
+                style: d.failed ? q('rounded,filled,dashed') : null,
+                fontcolor: d.failed ? q('#6b7280') : null
+            })};`);
+        });
+
+        TopologyExport.cables(sim).forEach(({ d1, i1, d2, i2 }) => {
+            const style = TopologyExport.cableStyle(i1);
+            lines.push(`    ${q(`d${d1.id}`)} -- ${q(`d${d2.id}`)} ${attrs({
+                taillabel: q(i1.name),
+                headlabel: q(i2.name),
+                color: q(style.stroke),
+                style: i1.linkFailed || i1.type === 'console' ? 'dotted' : style.dash ? 'dashed' : null,
+                label: i1.linkFailed ? q('cortado') : null,
+                tooltip: q(`${TopologyExport.CABLE_NAMES[i1.cable] || 'Cable'}: ${d1.name} ${i1.name} - ${d2.name} ${i2.name}`)
+            })};`);
+        });
+
+        sim.textLabels.forEach(lbl => {
+            lines.push(`    ${q(`label${lbl.id}`)} ${attrs({ label: q(lbl.text), shape: 'plaintext', style: q(''), pos: pos(lbl.x, lbl.y) })};`);
+        });
+
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+}